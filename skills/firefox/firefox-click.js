@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+
+import { parseArgs } from "./lib/args.js";
+import { withBrowser, activePage } from "./lib/connect.js";
+import { emit } from "./lib/output.js";
+import { LOCATOR_OPTIONS, locatorUsage, targetFromArgs, locateOrExit } from "./lib/locate.js";
+
+const { values, positionals } = parseArgs({
+	...LOCATOR_OPTIONS,
+	double: { type: "boolean" },
+	right: { type: "boolean" },
+});
+const { target, timeout } = targetFromArgs(values, positionals);
+
+if (!target) {
+	console.log("Usage: firefox-click.js <target> [--double] [--right] [--tab <id|index|url>]");
+	console.log(locatorUsage());
+	console.log("\nExamples:");
+	console.log("  firefox-click.js e12                # Ref from firefox-snapshot.js");
+	console.log("  firefox-click.js 'button[type=submit]'");
+	console.log("  firefox-click.js --text 'Sign in'");
+	console.log("  firefox-click.js --role link --name 'Pricing'");
+	process.exit(2);
+}
+
+await withBrowser(async (browser) => {
+	const page = await activePage(browser, values.tab);
+	const { element, description } = await locateOrExit(page, target, { timeout });
+
+	await element.click({
+		count: values.double ? 2 : 1,
+		button: values.right ? "right" : "left",
+	});
+	emit({ action: "click", element: description }, `✓ Clicked ${description}`);
+});
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+import { parseArgs } from "./lib/args.js";
+import { withBrowser, activePage } from "./lib/connect.js";
+import { emit, fail, info, isJsonMode } from "./lib/output.js";
+import { LEVELS, parseLevels, formatEntry, captureConsole } from "./lib/console.js";
+import { daemonRequest, readDaemonState } from "./lib/daemon.js";
+
+const { values } = parseArgs({
+	help: { type: "boolean", short: "h" },
+	level: { type: "string" },
+	duration: { type: "string" },
+	reload: { type: "boolean" },
+	buffered: { type: "boolean" },
+});
+
+if (values.help) {
+	console.log("Usage: firefox-console.js [--level <levels>] [--duration <ms>] [--reload] [--buffered] [--tab <id|index|url>] [--json]");
+	console.log("\nPrints console messages and uncaught errors from a tab as they happen,");
+	console.log("until Ctrl+C or --duration. Only messages logged while connected are seen;");
+	console.log("use --reload to capture what the page logs while loading.");
+	console.log("\nOptions:");
+	console.log(`  --level <levels>   Comma-separated (${LEVELS.join(",")}), or e.g. warn+ for warn and above`);
+	console.log("  --duration <ms>    Stop after <ms> and exit");
+	console.log("  --reload           Reload the tab first");
+	console.log("  --buffered         Print what firefox-daemon.js has seen in the tab since it started, and exit");
+	console.log("\nExamples:");
+	console.log("  firefox-console.js                          # Stream until Ctrl+C");
+	console.log("  firefox-console.js --reload --duration 3000 # Logs from a fresh load");
+	console.log("  firefox-console.js --level error --duration 10000 --json");
+	console.log("  firefox-console.js --buffered --level warn+   # Errors from earlier commands");
+	process.exit(0);
+}
+
+let levels;
+try {
+	levels = parseLevels(values.level);
+} catch (e) {
+	fail(e.message, { code: "USAGE" });
+}
+const duration = values.duration ? Number(values.duration) : null;
+if (values.buffered && (values.reload || duration !== null)) fail("--buffered can't be combined with --reload or --duration", { code: "USAGE" });
+if (values.buffered && !readDaemonState()) {
+	fail("--buffered needs the daemon, which buffers console messages between commands", { hints: ["Start it: firefox-daemon.js start"] });
+}
+
+await withBrowser(async (browser) => {
+	const page = await activePage(browser, values.tab);
+
+	if (values.buffered) {
+		const tab = page.mainFrame().browsingContext.id;
+		const buffered = await daemonRequest(`/console?tab=${encodeURIComponent(tab)}`);
+		const entries = buffered.map(({ tab, ...entry }) => entry).filter((entry) => !levels || levels.includes(entry.level));
+		emit(entries, () => {
+			if (!entries.length) console.log("(no console messages)");
+			for (const entry of entries) console.log(formatEntry(entry));
+		});
+		return;
+	}
+
+	// JSON mode prints one envelope at the end; text mode streams
+	const capture = captureConsole(browser, page, {
+		levels,
+		onEntry: isJsonMode() ? undefined : (entry) => console.log(formatEntry(entry)),
+	});
+
+	if (values.reload) await page.reload({ waitUntil: "load" });
+	if (duration === null) info("Listening for console messages (Ctrl+C to stop)...");
+
+	await new Promise((resolve) => {
+		process.once("SIGINT", resolve);
+		if (duration !== null) setTimeout(resolve, duration);
+	});
+	const entries = await capture.stop();
+
+	emit(entries, () => {
+		if (!entries.length) console.log("(no console messages)");
+	});
+});
@@ -1,174 +1,213 @@
 #!/usr/bin/env node
 
-import { spawn } from "node:child_process";
-import { createInterface } from "node:readline";
 import { join } from "node:path";
-import { existsSync, readdirSync } from "node:fs";
-import puppeteer from "puppeteer-core";
-import { connect } from "./lib/connect.js";
-import { CACHE_DIR, findFirefox, syncProfile, disableSyncPrefs } from "./lib/firefox.js";
-import { Readability } from "@mozilla/readability";
-import { JSDOM } from "jsdom";
-import TurndownService from "turndown";
-import { gfm } from "turndown-plugin-gfm";
-
-// Global timeout
-const TIMEOUT = 60000;
-setTimeout(() => {
-	console.error("✗ Timeout after 60s");
-	process.exit(1);
-}, TIMEOUT).unref();
-
-const url = process.argv[2];
-
-if (!url) {
-	console.log("Usage: firefox-content.js <url>");
-	console.log("\nExtracts readable content from a URL as markdown.");
+import { parseArgs } from "./lib/args.js";
+import { activePage, connectOrExit, openPage } from "./lib/connect.js";
+import { FORMATS, readContent } from "./lib/content.js";
+import { CRAWL_OPTIONS, CRAWL_USAGE, crawlFromArgs, createCrawlState, loadCrawlState, runCrawl } from "./lib/crawl.js";
+import { EXTRACT_OPTIONS, EXTRACT_USAGE, extractFromPage, extractModes, printExtracted } from "./lib/extract.js";
+import { EXIT_CODES, emit, fail, info } from "./lib/output.js";
+import { installIntercepts, loadRules } from "./lib/intercept.js";
+import { WAIT_OPTIONS, WAIT_USAGE, loadAndWait, waitForAll, waitFromArgs } from "./lib/wait.js";
+
+const { values, positionals } = parseArgs({
+	...WAIT_OPTIONS,
+	...EXTRACT_OPTIONS,
+	...CRAWL_OPTIONS,
+	help: { type: "boolean", short: "h" },
+	intercept: { type: "string" },
+	selector: { type: "string" },
+	format: { type: "string" },
+});
+const url = positionals[0];
+const modes = extractModes(values);
+const wait = waitFromArgs(values);
+const format = values.format ?? "markdown";
+
+if (values.help) {
+	console.log("Usage: firefox-content.js [url] [--selector <css>] [--format markdown|text|html] [--tables] [--links]");
+	console.log("                          [--forms] [--meta] [--intercept <rules.json>] [--tab <id|index|url>] [--json]");
+	console.log("       firefox-content.js <url...> --crawl --out <dir> [crawl options]");
+	console.log("       firefox-content.js --urls <file> --out <dir> [crawl options]");
+	console.log("\nExtracts readable content as markdown, with the title, byline, site name and excerpt.");
+	console.log("With a URL, loads it in a new tab (or a headless Firefox if none is running) and waits");
+	console.log("for network idle (at most 15s) unless --wait-for is given. Without a URL, extracts");
+	console.log("from the active tab as it is, e.g. after logging in or clicking through a flow.");
+	console.log("With --urls or --crawl, extracts many pages in several tabs and saves one file per page.");
+	console.log("\n  --selector <css>          Only this element (skips Readability), e.g. 'main' or '#results'");
+	console.log("  --format <format>         markdown (default), text, or html (cleaned)");
+	console.log("  --intercept <rules.json>  Block/mock/rewrite requests while loading the URL, e.g. ads and");
+	console.log("                            analytics, to extract faster (see firefox-intercept.js)");
+	console.log(EXTRACT_USAGE);
+	console.log(CRAWL_USAGE);
+	console.log(WAIT_USAGE);
 	console.log("\nExamples:");
 	console.log("  firefox-content.js https://example.com");
 	console.log("  firefox-content.js https://en.wikipedia.org/wiki/Rust_(programming_language)");
-	process.exit(1);
+	console.log("  firefox-content.js https://app.example.com/docs --wait-for 'main article'");
+	console.log("  firefox-content.js https://news.example.com/story --intercept block-trackers.json");
+	console.log("  firefox-content.js https://en.wikipedia.org/wiki/List_of_tallest_buildings --tables --meta");
+	console.log("  firefox-content.js                                  # Active tab");
+	console.log("  firefox-content.js --selector '#results' --format text --tab 2");
+	console.log("  firefox-content.js https://docs.example.com/guide/ --crawl --out guide --sitemap");
+	console.log("  firefox-content.js --urls pages.txt --out pages --concurrency 8");
+	console.log("  firefox-content.js --resume --out guide           # Continue an interrupted crawl");
+	process.exit(0);
 }
 
-// --- Spawn a headless Firefox, wait for BiDi endpoint, return ws URL ---
+if (!FORMATS.includes(format)) {
+	fail(`Invalid --format "${format}" (use ${FORMATS.join(", ")})`, { code: "USAGE" });
+}
+let batch;
+try {
+	batch = crawlFromArgs(values, positionals);
+} catch (e) {
+	fail(e.message, { code: "USAGE" });
+}
+if (batch && modes.length) {
+	fail("--tables, --links, --forms and --meta work on one page, not with --urls or --crawl", { code: "USAGE" });
+}
+if (values.intercept && !url && !batch) {
+	fail("--intercept needs a URL to load", { code: "USAGE", hints: ["Or apply rules to open tabs: firefox-intercept.js start <rules.json>"] });
+}
 
-async function spawnHeadlessFirefox() {
-	const firefoxBin = findFirefox();
-	if (!firefoxBin) {
-		console.error("✗ Could not find Firefox. Install it or set the path manually.");
-		process.exit(1);
+let rules = null;
+if (values.intercept) {
+	try {
+		rules = loadRules(values.intercept);
+	} catch (e) {
+		fail(e.message, { code: "USAGE" });
 	}
+}
+
+// --- Several pages: one tab each, files in --out ---
 
-	// Reuse existing cached profile; only rsync on first use
-	const profileDir = join(CACHE_DIR, "profile");
-	const hasCache = existsSync(profileDir) && readdirSync(profileDir).length > 0;
-	if (!hasCache) {
-		syncProfile(profileDir);
-		disableSyncPrefs(profileDir);
+if (batch) {
+	let state;
+	try {
+		state = batch.resume
+			? loadCrawlState(batch.out, { maxPages: batch.maxPages })
+			: await createCrawlState(batch, { format, selector: values.selector, onInfo: info });
+	} catch (e) {
+		fail(e.message, { code: "USAGE" });
 	}
 
-	const proc = spawn(
-		firefoxBin,
-		["--headless", "--no-remote", "--remote-debugging-port=0", "--profile", profileDir],
-		{ stdio: ["ignore", "pipe", "pipe"], detached: true },
-	);
-
-	// Wait for the BiDi WebSocket URL from stdout/stderr
-	const wsUrl = await new Promise((resolve, reject) => {
-		const regex = /^WebDriver BiDi listening on (ws:\/\/.*)$/;
-		const timer = setTimeout(() => reject(new Error("Timed out waiting for Firefox BiDi endpoint")), 15000);
-
-		function onLine(line) {
-			const m = line.match(regex);
-			if (m) {
-				clearTimeout(timer);
-				resolve(m[1]);
-			}
+	const { browser, page, close } = await openPage();
+	const pages = [page];
+	let error;
+	try {
+		const tabs = state.options.crawl ? batch.concurrency : Math.min(batch.concurrency, state.queue.length);
+		while (pages.length < tabs) pages.push(await browser.newPage());
+		if (rules) {
+			await installIntercepts(browser.connection, rules, { contexts: pages.map((p) => p.mainFrame().browsingContext.id) });
 		}
 
-		if (proc.stdout) createInterface(proc.stdout).on("line", onLine);
-		if (proc.stderr) createInterface(proc.stderr).on("line", onLine);
-		proc.on("exit", (code) => {
-			clearTimeout(timer);
-			reject(new Error(`Firefox exited with code ${code}`));
+		const controller = new AbortController();
+		process.once("SIGINT", () => {
+			info("Stopping after the pages being loaded (state is saved; continue with --resume)");
+			controller.abort();
+		});
+		const marks = { saved: "✓", failed: "✗", duplicate: "=", skipped: "-" };
+		await runCrawl(pages, state, batch.out, {
+			wait,
+			signal: controller.signal,
+			onPage: (entry) => {
+				const detail = entry.file ?? entry.error ?? (entry.duplicateOf && `same page as ${entry.duplicateOf}`);
+				info(`${marks[entry.status]} ${entry.url}${detail ? ` → ${detail}` : ""}`);
+			},
 		});
+	} catch (e) {
+		error = e;
+	} finally {
+		for (const extra of pages.slice(1)) await extra.close().catch(() => {});
+		await close();
+	}
+	if (error) fail(error.message, { code: error.name === "TimeoutError" ? "TIMEOUT" : "ERROR" });
+
+	const count = (status) => state.pages.filter((p) => p.status === status).length;
+	const failed = state.pages.filter((p) => p.status === "failed").map(({ url, error }) => ({ url, error }));
+	const result = {
+		out: batch.out,
+		index: join(batch.out, "index.md"),
+		saved: count("saved"),
+		failed,
+		duplicates: count("duplicate"),
+		skipped: count("skipped"),
+		queued: state.queue.length,
+	};
+	emit(result, () => {
+		console.log(`✓ Saved ${result.saved} page${result.saved === 1 ? "" : "s"} to ${result.out}`);
+		console.log(`  Index: ${result.index}`);
+		if (failed.length) console.log(`  ${failed.length} failed (retried with --resume)`);
+		if (result.duplicates) console.log(`  ${result.duplicates} redirected to pages already saved`);
+		if (result.queued) console.log(`  ${result.queued} URLs left; continue with: firefox-content.js --resume --out ${result.out}`);
 	});
-
-	return { proc, wsUrl };
+	process.exit(result.saved === 0 && failed.length ? EXIT_CODES.ERROR : 0);
 }
 
-// --- Connect to existing Firefox, or spawn a headless one ---
+// Global timeout
+const TIMEOUT = 60000;
+setTimeout(() => {
+	fail("Timeout after 60s", { code: "TIMEOUT" });
+}, TIMEOUT).unref();
 
-let browser, page, firefoxProc = null;
+// --- Open the page: a new tab for a URL, else the active tab ---
 
-try {
-	// Try connecting to existing Firefox on :9222 — open a new tab
-	browser = await connect();
-	page = await browser.newPage();
-} catch {
-	// No existing Firefox — spawn a headless one
-	const { proc, wsUrl } = await spawnHeadlessFirefox();
-	firefoxProc = proc;
-
-	browser = await puppeteer.connect({
-		browserWSEndpoint: wsUrl + "/session",
-		protocol: "webDriverBiDi",
-		defaultViewport: null,
-	});
-	const pages = await browser.pages();
-	page = pages[0] || (await browser.newPage());
+let browser, page, close;
+if (url) {
+	({ browser, page, close } = await openPage());
+} else {
+	browser = await connectOrExit();
+	page = await activePage(browser, values.tab);
+	close = () => browser.disconnect().catch(() => {});
 }
 
-// --- Navigate and extract content ---
+// --- Load, extract and convert ---
 
+let error;
 try {
-	await Promise.race([
-		page.goto(url, { waitUntil: "networkidle2" }),
-		new Promise((r) => setTimeout(r, 15000)),
-	]).catch(() => {});
-
-	const outerHTML = await page.evaluate(() => document.documentElement.outerHTML);
-	const finalUrl = page.url();
-
-	// Extract with Readability
-	const doc = new JSDOM(outerHTML, { url: finalUrl });
-	const reader = new Readability(doc.window.document);
-	const article = reader.parse();
-
-	// Convert to markdown
-	function htmlToMarkdown(html) {
-		const turndown = new TurndownService({ headingStyle: "atx", codeBlockStyle: "fenced" });
-		turndown.use(gfm);
-		turndown.addRule("removeEmptyLinks", {
-			filter: (node) => node.nodeName === "A" && !node.textContent?.trim(),
-			replacement: () => "",
-		});
-		return turndown
-			.turndown(html)
-			.replace(/\[\\?\[\s*\\?\]\]\([^)]*\)/g, "")
-			.replace(/ +/g, " ")
-			.replace(/\s+,/g, ",")
-			.replace(/\s+\./g, ".")
-			.replace(/\n{3,}/g, "\n\n")
-			.trim();
-	}
-
-	let content;
-	if (article && article.content) {
-		content = htmlToMarkdown(article.content);
-	} else {
-		const fallbackDoc = new JSDOM(outerHTML, { url: finalUrl });
-		const fallbackBody = fallbackDoc.window.document;
-		fallbackBody
-			.querySelectorAll("script, style, noscript, nav, header, footer, aside")
-			.forEach((el) => el.remove());
-		const main =
-			fallbackBody.querySelector("main, article, [role='main'], .content, #content") ||
-			fallbackBody.body;
-		const fallbackHtml = main?.innerHTML || "";
-		if (fallbackHtml.trim().length > 100) {
-			content = htmlToMarkdown(fallbackHtml);
-		} else {
-			content = "(Could not extract content)";
-		}
+	if (rules) {
+		await installIntercepts(browser.connection, rules, { contexts: [page.mainFrame().browsingContext.id] });
 	}
 
-	console.log(`URL: ${finalUrl}`);
-	if (article?.title) console.log(`Title: ${article.title}`);
-	console.log("");
-	console.log(content);
+	if (url) await loadAndWait(page, url, wait);
+	else await waitForAll(page, wait.conditions, { timeout: wait.timeout });
+
+	// Tables, links and forms as they are on the page, before Readability drops them
+	const extracted = await extractFromPage(page, modes);
+
+	const result = {
+		...(await readContent(page, {
+			selector: values.selector,
+			format,
+			hints: [
+				"Point at the content: --selector <css>",
+				`If it renders late, wait for it: --wait-for <condition>${url ? "" : " (or firefox-wait.js)"}`,
+			],
+		})),
+		...extracted,
+	};
+
+	emit(result, () => {
+		console.log(`URL: ${result.url}`);
+		if (result.title) console.log(`Title: ${result.title}`);
+		if (result.byline) console.log(`Byline: ${result.byline}`);
+		if (result.siteName) console.log(`Site: ${result.siteName}`);
+		if (result.publishedTime) console.log(`Published: ${result.publishedTime}`);
+		if (result.excerpt) console.log(`Excerpt: ${result.excerpt}`);
+		console.log("");
+		console.log(result.content);
+		if (modes.length) printExtracted(extracted, { headings: true });
+	});
+} catch (e) {
+	error = e;
 } finally {
-	// Clean up
-	try { await page.close(); } catch {}
-
-	if (firefoxProc) {
-		// We spawned it — kill it
-		try { await browser.close(); } catch {}
-		try { process.kill(-firefoxProc.pid, "SIGTERM"); } catch {}
-	} else {
-		// Existing Firefox — just disconnect
-		try { await browser.disconnect(); } catch {}
-	}
+	// Close the tab (or the Firefox we spawned), or just disconnect from the active tab
+	await close();
 }
 
+if (error) {
+	const code = error.code in EXIT_CODES ? error.code : error.name === "TimeoutError" ? "TIMEOUT" : "ERROR";
+	fail(error.message, { code, hints: error.hints });
+}
 process.exit(0);
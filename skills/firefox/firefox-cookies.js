@@ -1,22 +1,193 @@
 #!/usr/bin/env node
 
+import { readFileSync, writeFileSync } from "node:fs";
+import { extname, resolve } from "node:path";
+import { parseArgs } from "./lib/args.js";
 import { withBrowser, activePage } from "./lib/connect.js";
+import { emit, fail, isJsonMode } from "./lib/output.js";
+import { cookieMatchesUrl, domainMatches, fromBidi, parseCookieFile, parseExpires, toBidi, toNetscape } from "./lib/cookies.js";
 
-await withBrowser(async (browser) => {
-	const page = await activePage(browser);
+const { values, positionals } = parseArgs({
+	help: { type: "boolean", short: "h" },
+	all: { type: "boolean" },
+	domain: { type: "string" },
+	name: { type: "string" },
+	format: { type: "string" },
+	out: { type: "string" },
+	path: { type: "string" },
+	expires: { type: "string" },
+	"http-only": { type: "boolean" },
+	secure: { type: "boolean" },
+	"same-site": { type: "string" },
+});
+const [command = "list", ...args] = positionals;
+
+function usage() {
+	console.log("Usage: firefox-cookies.js [command] [options] [--tab <id|index|url>] [--json]");
+	console.log("\nCommands:");
+	console.log("  list                     Cookies sent to the current tab (default)");
+	console.log("    --all                  All cookies in the browser");
+	console.log("    --domain <domain>      Cookies of <domain> and its subdomains");
+	console.log("    --name <name>          Only cookies named <name>");
+	console.log("  export                   All cookies (or --domain/--name) as JSON or cookies.txt");
+	console.log("    --format json|netscape Default json, or netscape when --out ends in .txt");
+	console.log("    --out <path>           Write to a file instead of stdout");
+	console.log("  import <file>            Set cookies from a JSON export, storage state or cookies.txt");
+	console.log("  set <name> <value>       Set a cookie (domain defaults to the current tab's host)");
+	console.log("    --domain <domain>      Use a leading dot (.example.com) to include subdomains");
+	console.log("    --path <path>          Default /");
+	console.log("    --expires <when>       Epoch seconds, ISO date or duration (30m, 12h, 7d); default session");
+	console.log("    --http-only --secure   Flags");
+	console.log("    --same-site <value>    Strict, Lax or None");
+	console.log("  delete [name]            Delete cookies by name (sent to the current tab) and/or --domain");
+	console.log("    --all                  Delete every cookie");
+	console.log("\nExamples:");
+	console.log("  firefox-cookies.js export --domain example.com --out cookies.txt && curl -b cookies.txt https://example.com/api");
+	console.log("  firefox-cookies.js import session.json");
+	console.log("  firefox-cookies.js set feature_flag on --expires 7d --same-site Lax");
+	console.log("  firefox-cookies.js delete --domain example.com   # Reset login state");
+	process.exit(values.help ? 0 : 2);
+}
 
-	const cookies = await page.cookies();
+if (values.help || !["list", "export", "import", "set", "delete"].includes(command)) usage();
+if (command === "import" && !args[0]) usage();
+if (command === "set" && (!args[0] || args[1] === undefined)) usage();
+if (command === "delete" && !args[0] && !values.name && !values.domain && !values.all) {
+	fail("Give a cookie name, --domain or --all", { code: "USAGE" });
+}
 
+function formatCookie(c) {
+	const expires = c.expires > 0 ? new Date(c.expires * 1000).toISOString() : "session";
+	return [
+		`${c.name}: ${c.value}`,
+		`  domain: ${c.domain}`,
+		`  path: ${c.path}`,
+		`  expires: ${expires}`,
+		`  httpOnly: ${c.httpOnly}`,
+		`  secure: ${c.secure}`,
+		`  sameSite: ${c.sameSite}`,
+	].join("\n");
+}
+
+function printCookies(cookies) {
 	if (cookies.length === 0) {
 		console.log("(no cookies)");
-	} else {
-		for (const cookie of cookies) {
-			console.log(`${cookie.name}: ${cookie.value}`);
-			console.log(`  domain: ${cookie.domain}`);
-			console.log(`  path: ${cookie.path}`);
-			console.log(`  httpOnly: ${cookie.httpOnly}`);
-			console.log(`  secure: ${cookie.secure}`);
-			console.log("");
+		return;
+	}
+	console.log(cookies.map(formatCookie).join("\n\n"));
+}
+
+async function getCookies(browser, filter = {}) {
+	const { result } = await browser.connection.send("storage.getCookies", { filter });
+	return result.cookies.map(fromBidi);
+}
+
+// Cookies of `domain` itself or any of its subdomains
+const belongsTo = (cookie, domain) => domainMatches(domain, cookie.domain.replace(/^\./, ""));
+
+// Cookies for the --all/--domain/--name options; the current tab's by default
+async function selectCookies(browser, { all = false, name = values.name } = {}) {
+	let cookies = await getCookies(browser, name ? { name } : {});
+	if (values.domain) {
+		cookies = cookies.filter((c) => belongsTo(c, values.domain));
+	} else if (!all) {
+		const page = await activePage(browser, values.tab);
+		cookies = cookies.filter((c) => cookieMatchesUrl(c, page.url()));
+	}
+	return cookies;
+}
+
+await withBrowser(async (browser) => {
+	switch (command) {
+		case "list": {
+			const cookies = await selectCookies(browser, { all: values.all });
+			emit(cookies, () => printCookies(cookies));
+			break;
+		}
+
+		case "export": {
+			const cookies = await selectCookies(browser, { all: true });
+			const format = values.format || (extname(values.out || "") === ".txt" ? "netscape" : "json");
+			if (!["json", "netscape"].includes(format)) fail(`Unknown format "${format}" (use json or netscape)`, { code: "USAGE" });
+			const text = format === "netscape" ? toNetscape(cookies) : `${JSON.stringify(cookies, null, 2)}\n`;
+
+			if (values.out) {
+				const path = resolve(values.out);
+				writeFileSync(path, text);
+				emit({ path, format, count: cookies.length }, `✓ Exported ${cookies.length} cookies to ${path}`);
+			} else if (isJsonMode()) {
+				emit(cookies);
+			} else {
+				process.stdout.write(text);
+			}
+			break;
+		}
+
+		case "import": {
+			let cookies;
+			try {
+				cookies = parseCookieFile(readFileSync(resolve(args[0]), "utf8"));
+			} catch (e) {
+				fail(`Could not read cookies from ${args[0]}: ${e.message}`, { code: "USAGE" });
+			}
+
+			const failed = [];
+			for (const cookie of cookies) {
+				try {
+					await browser.connection.send("storage.setCookie", { cookie: toBidi(cookie) });
+				} catch (e) {
+					failed.push({ name: cookie.name, domain: cookie.domain, error: e.message });
+				}
+			}
+			const imported = cookies.length - failed.length;
+			emit({ imported, failed }, () => {
+				console.log(`✓ Imported ${imported} of ${cookies.length} cookies`);
+				for (const f of failed) console.log(`  ✗ ${f.name} (${f.domain}): ${f.error}`);
+			});
+			if (imported === 0 && failed.length) process.exitCode = 1;
+			break;
+		}
+
+		case "set": {
+			const [name, value] = args;
+			let domain = values.domain;
+			if (!domain) {
+				const page = await activePage(browser, values.tab);
+				domain = new URL(page.url()).hostname;
+				if (!domain) fail(`Can't infer a domain from ${page.url()}, pass --domain`, { code: "USAGE" });
+			}
+
+			let cookie;
+			try {
+				cookie = {
+					name,
+					value,
+					domain,
+					path: values.path || "/",
+					expires: values.expires ? parseExpires(values.expires) : -1,
+					httpOnly: values["http-only"] || false,
+					secure: values.secure || false,
+					sameSite: values["same-site"],
+				};
+				await browser.connection.send("storage.setCookie", { cookie: toBidi(cookie) });
+			} catch (e) {
+				fail(`Could not set cookie "${name}": ${e.message}`, { code: /Invalid/.test(e.message) ? "USAGE" : "ERROR" });
+			}
+			const [stored] = await getCookies(browser, { name, domain, path: cookie.path });
+			emit(stored ?? cookie, (c) => console.log(`✓ Set cookie\n${formatCookie(c)}`));
+			break;
+		}
+
+		case "delete": {
+			const cookies = await selectCookies(browser, { all: values.all, name: args[0] ?? values.name });
+			for (const c of cookies) {
+				await browser.connection.send("storage.deleteCookies", { filter: { name: c.name, domain: c.domain, path: c.path } });
+			}
+			emit({ deleted: cookies.length, cookies: cookies.map((c) => ({ name: c.name, domain: c.domain, path: c.path })) }, () => {
+				console.log(`✓ Deleted ${cookies.length} cookies`);
+				for (const c of cookies) console.log(`  ${c.name} (${c.domain}${c.path})`);
+			});
+			break;
 		}
 	}
 });
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+import { spawn } from "node:child_process";
+import { closeSync, existsSync, mkdirSync, openSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "./lib/args.js";
+import { sessionPort } from "./lib/connect.js";
+import { daemonRequest, readDaemonState, startDaemon } from "./lib/daemon.js";
+import { emit, fail } from "./lib/output.js";
+import { readRelayState, removeRelayState, writeRelayState } from "./lib/relay.js";
+import { sessionDir, sessionFlag, sessionName } from "./lib/session.js";
+
+const { values, positionals } = parseArgs({ help: { type: "boolean", short: "h" } });
+const [command] = positionals;
+const LOG_FILE = join(sessionDir(), "daemon.log");
+
+function usage() {
+	console.log("Usage: firefox-daemon.js <command> [--session <name>] [--json]");
+	console.log("\nKeeps one connection to the running Firefox open in a background helper.");
+	console.log("While it runs, the other scripts connect through it automatically (faster, no");
+	console.log("session handshake per command), and it buffers console messages and finished");
+	console.log("requests from every tab, read with firefox-console.js --buffered and");
+	console.log("firefox-network.js --buffered. A tab picked with firefox-tabs.js select stays the");
+	console.log("default tab for later commands. Without it, scripts connect directly.");
+	console.log("\nCommands:");
+	console.log("  start    Start the daemon");
+	console.log("  status   Show its uptime, clients and buffered events");
+	console.log("  stop     Stop it");
+	process.exit(values.help ? 0 : 2);
+}
+
+function logTail() {
+	if (!existsSync(LOG_FILE)) return [];
+	return readFileSync(LOG_FILE, "utf8").trim().split("\n").slice(-5);
+}
+
+// --- Helper process: hold the session and serve it ---
+
+async function serve() {
+	const daemon = await startDaemon({ upstream: `ws://127.0.0.1:${sessionPort()}/session` });
+	writeRelayState({ pid: process.pid, port: daemon.port, started: daemon.started }, "daemon");
+	console.log(`${daemon.started} Daemon on :${daemon.port}`);
+
+	const shutdown = async (reason) => {
+		console.log(`${new Date().toISOString()} Stopping: ${reason}`);
+		removeRelayState("daemon");
+		await daemon.close();
+		process.exit(0);
+	};
+	process.on("SIGTERM", () => shutdown("SIGTERM"));
+	process.on("SIGINT", () => shutdown("SIGINT"));
+	daemon.connection.on("close", () => shutdown("Firefox closed the connection"));
+}
+
+switch (command) {
+	case "serve": {
+		await serve().catch((e) => {
+			console.log(`Could not start: ${e.message}`);
+			process.exit(1);
+		});
+		break;
+	}
+
+	case "start": {
+		const running = readDaemonState();
+		if (running) {
+			emit({ pid: running.pid, port: running.port, started: running.started, already: true }, `✓ Daemon already running (pid ${running.pid})`);
+			break;
+		}
+		// Firefox allows one BiDi session, and the interception helper holds it
+		const relay = readRelayState();
+		if (relay) {
+			fail(`The interception helper (pid ${relay.pid}) holds the connection`, {
+				hints: [
+					`Stop it, start the daemon, then start it again: firefox-intercept.js stop${sessionFlag()}`,
+					"It then connects through the daemon",
+				],
+			});
+		}
+
+		mkdirSync(sessionDir(), { recursive: true });
+		const log = openSync(LOG_FILE, "w");
+		const child = spawn(process.execPath, [fileURLToPath(import.meta.url), "serve", "--session", sessionName()], {
+			detached: true,
+			stdio: ["ignore", log, log],
+		});
+		child.unref();
+		closeSync(log);
+
+		let state = null;
+		for (let i = 0; i < 50 && !state; i++) {
+			await new Promise((r) => setTimeout(r, 200));
+			state = readDaemonState();
+			if (!state && child.exitCode !== null) break;
+		}
+		if (!state) {
+			try {
+				process.kill(child.pid);
+			} catch {}
+			fail("Daemon did not start", { code: "NO_BROWSER", hints: [...logTail(), `Is Firefox running? Run: firefox-start.js${sessionFlag()}`] });
+		}
+
+		emit({ pid: state.pid, port: state.port, started: state.started }, () => {
+			console.log(`✓ Daemon running (pid ${state.pid}) on :${state.port}`);
+			console.log(`  log: ${LOG_FILE}`);
+		});
+		break;
+	}
+
+	case "status": {
+		let status;
+		try {
+			status = await daemonRequest("/status");
+		} catch (e) {
+			fail(`Daemon is not answering: ${e.message}`, { hints: [`Restart it: firefox-daemon.js stop${sessionFlag()} && firefox-daemon.js start${sessionFlag()}`] });
+		}
+		if (!status) {
+			emit({ running: false }, "Daemon not running");
+			break;
+		}
+		emit({ running: true, port: readDaemonState()?.port ?? null, ...status }, () => {
+			console.log(`✓ Running (pid ${status.pid}) since ${status.started}`);
+			console.log(`  ${status.tabs} tabs, ${status.clients} connected clients${status.selectedTab ? `, selected tab ${status.selectedTab}` : ""}`);
+			console.log(`  Buffered: ${status.console} console entries, ${status.network} requests`);
+		});
+		break;
+	}
+
+	case "stop": {
+		const state = readDaemonState();
+		if (!state) {
+			emit({ stopped: false }, "Daemon not running");
+			break;
+		}
+		process.kill(state.pid, "SIGTERM");
+		for (let i = 0; i < 25 && readDaemonState(); i++) {
+			await new Promise((r) => setTimeout(r, 200));
+		}
+		if (readDaemonState()) {
+			process.kill(state.pid, "SIGKILL");
+			removeRelayState("daemon");
+		}
+		emit({ stopped: true, pid: state.pid }, `✓ Stopped daemon (pid ${state.pid})`);
+		break;
+	}
+
+	default:
+		usage();
+}
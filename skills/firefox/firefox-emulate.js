@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+import { parseArgs } from "./lib/args.js";
+import { activePage, listTabs, withBrowser } from "./lib/connect.js";
+import {
+	DEVICES,
+	EMULATE_OPTIONS,
+	EMULATE_USAGE,
+	describeEmulation,
+	emulateTab,
+	emulationFromArgs,
+	loadEmulation,
+	readEffective,
+} from "./lib/emulation.js";
+import { emit, fail, info } from "./lib/output.js";
+
+const { values } = parseArgs({
+	...EMULATE_OPTIONS,
+	help: { type: "boolean", short: "h" },
+	reset: { type: "boolean" },
+	reload: { type: "boolean" },
+});
+
+if (values.help) {
+	console.log("Usage: firefox-emulate.js [options] [--reset] [--reload] [--tab <id|index|url>] [--json]");
+	console.log("\nEmulates a device or environment in a tab. Settings add to what the tab already");
+	console.log("emulates and stay until reset; without options, shows the current emulation and");
+	console.log("what the page sees.");
+	console.log(EMULATE_USAGE);
+	console.log("  --reset                  Remove the tab's emulation (before applying new options)");
+	console.log("  --reload                 Reload the page afterwards, so scripts see the new values");
+	console.log("\nDevices:");
+	for (const [name, device] of Object.entries(DEVICES)) {
+		console.log(`  ${name.padEnd(12)} ${describeEmulation({ ...device, userAgent: undefined })}${device.userAgent ? ", mobile UA" : ""}`);
+	}
+	console.log("\nFirefox can't switch prefers-color-scheme or reduced motion at runtime; start it");
+	console.log("with a pref instead, e.g.:");
+	console.log("  firefox-start.js --restart --pref layout.css.prefers-color-scheme.content-override=0  # dark");
+	console.log("  firefox-start.js --restart --pref ui.prefersReducedMotion=1");
+	console.log("\nExamples:");
+	console.log("  firefox-emulate.js --device iphone-15 --reload");
+	console.log("  firefox-emulate.js --locale de-DE --timezone Europe/Berlin");
+	console.log("  firefox-emulate.js --geolocation 48.8584,2.2945");
+	console.log("  firefox-emulate.js --reset");
+	process.exit(0);
+}
+
+let config;
+try {
+	config = emulationFromArgs(values);
+} catch (e) {
+	fail(e.message, { code: "USAGE" });
+}
+
+await withBrowser(async (browser) => {
+	const page = await activePage(browser, values.tab);
+	const saved = loadEmulation(page.mainFrame().browsingContext.id);
+
+	if (!config && !values.reset) {
+		const effective = await readEffective(page);
+		emit({ emulation: saved, effective }, () => {
+			console.log(saved ? `Emulating ${describeEmulation(saved)}` : "No emulation");
+			for (const [key, value] of Object.entries(effective)) console.log(`  ${key}: ${value}`);
+		});
+		return;
+	}
+
+	const openContexts = (await listTabs(browser)).map((t) => t.id);
+	const { emulation, applied, unsupported } = await emulateTab(browser, page, config, { reset: values.reset, openContexts });
+	for (const { feature, reason } of unsupported) info(`⚠ ${feature} not emulated: ${reason}`);
+
+	if (values.reload) await page.reload({ waitUntil: "domcontentloaded" });
+	const effective = await readEffective(page);
+
+	emit({ emulation, applied, unsupported, effective, reloaded: Boolean(values.reload) }, () => {
+		console.log(emulation ? `✓ Emulating ${describeEmulation(emulation)}` : "✓ Emulation removed");
+		for (const [key, value] of Object.entries(effective)) console.log(`  ${key}: ${value}`);
+		if (!values.reload && applied.some((f) => f !== "viewport")) {
+			console.log("  (reload the page if its scripts read these values at startup)");
+		}
+	});
+});
@@ -1,36 +1,39 @@
 #!/usr/bin/env node
 
+import { parseArgs } from "./lib/args.js";
 import { withBrowser, activePage } from "./lib/connect.js";
+import { emit, formatText } from "./lib/output.js";
+import { captureConsole, formatEntry } from "./lib/console.js";
 
-const code = process.argv.slice(2).join(" ");
+const { values, positionals } = parseArgs({ "capture-console": { type: "boolean" } });
+const code = positionals.join(" ");
 if (!code) {
-	console.log("Usage: firefox-eval.js 'code'");
+	console.log("Usage: firefox-eval.js 'code' [--capture-console] [--tab <id|index|url>] [--json]");
+	console.log("\n  --capture-console  Include console messages and errors logged while running");
 	console.log("\nExamples:");
 	console.log('  firefox-eval.js "document.title"');
 	console.log('  firefox-eval.js "document.querySelectorAll(\'a\').length"');
-	process.exit(1);
+	console.log("  firefox-eval.js --capture-console 'myApp.refresh()'");
+	process.exit(2);
 }
 
 await withBrowser(async (browser) => {
-	const page = await activePage(browser);
+	const page = await activePage(browser, values.tab);
+	const capture = values["capture-console"] ? captureConsole(browser, page) : null;
 
 	const result = await page.evaluate((c) => {
 		const AsyncFunction = (async () => {}).constructor;
 		return new AsyncFunction(`return (${c})`)();
 	}, code);
 
-	if (Array.isArray(result)) {
-		for (let i = 0; i < result.length; i++) {
-			if (i > 0) console.log("");
-			for (const [key, value] of Object.entries(result[i])) {
-				console.log(`${key}: ${value}`);
-			}
-		}
-	} else if (typeof result === "object" && result !== null) {
-		for (const [key, value] of Object.entries(result)) {
-			console.log(`${key}: ${value}`);
-		}
-	} else {
-		console.log(result);
+	if (!capture) {
+		emit(result);
+		return;
 	}
+	const entries = await capture.stop();
+	emit({ value: result ?? null, console: entries }, () => {
+		console.log(formatText(result));
+		console.log(`\nConsole (${entries.length}):`);
+		for (const entry of entries) console.log(formatEntry(entry));
+	});
 });
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+import { parseArgs } from "./lib/args.js";
+import { activePage, withBrowser } from "./lib/connect.js";
+import { EXTRACT_OPTIONS, EXTRACT_USAGE, extractFromPage, extractModes, printExtracted } from "./lib/extract.js";
+import { emit } from "./lib/output.js";
+import { WAIT_OPTIONS, WAIT_USAGE, waitForAll, waitFromArgs } from "./lib/wait.js";
+
+const { values } = parseArgs({ help: { type: "boolean", short: "h" }, ...EXTRACT_OPTIONS, ...WAIT_OPTIONS });
+const modes = extractModes(values);
+const wait = waitFromArgs(values);
+
+if (values.help || !modes.length) {
+	console.log("Usage: firefox-extract.js [--tables] [--links] [--forms] [--meta] [--tab <id|index|url>] [--json]");
+	console.log("\nExtracts structured data from the active tab. Combine modes to get several at once.");
+	console.log("Text output prints tables as CSV; --json returns headers and rows per table.");
+	console.log(EXTRACT_USAGE);
+	console.log(WAIT_USAGE);
+	console.log("\nExamples:");
+	console.log("  firefox-extract.js --tables");
+	console.log("  firefox-extract.js --links --json");
+	console.log("  firefox-extract.js --forms --wait-for 'form#checkout'");
+	console.log("  firefox-extract.js --meta --tab 2");
+	console.log("\nfirefox-content.js <url> takes the same options to extract from a URL.");
+	process.exit(values.help ? 0 : 2);
+}
+
+await withBrowser(async (browser) => {
+	const page = await activePage(browser, values.tab);
+	await waitForAll(page, wait.conditions, { timeout: wait.timeout });
+
+	const result = await extractFromPage(page, modes);
+	emit(result, () => printExtracted(result));
+});
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+
+import { parseArgs } from "./lib/args.js";
+import { withBrowser, activePage } from "./lib/connect.js";
+import { emit } from "./lib/output.js";
+import { LOCATOR_OPTIONS, locatorUsage, targetFromArgs, locateOrExit } from "./lib/locate.js";
+
+const { values, positionals } = parseArgs(LOCATOR_OPTIONS);
+const { target, timeout } = targetFromArgs(values, positionals);
+
+if (!target) {
+	console.log("Usage: firefox-hover.js <target> [--tab <id|index|url>]");
+	console.log(locatorUsage());
+	console.log("\nExamples:");
+	console.log("  firefox-hover.js 'nav .menu-trigger'");
+	console.log("  firefox-hover.js --role button --name 'Account'");
+	process.exit(2);
+}
+
+await withBrowser(async (browser) => {
+	const page = await activePage(browser, values.tab);
+	const { element, description } = await locateOrExit(page, target, { timeout });
+
+	await element.hover();
+	emit({ action: "hover", element: description }, `✓ Hovering over ${description}`);
+});
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+import { spawn } from "node:child_process";
+import { closeSync, existsSync, mkdirSync, openSync, readFileSync, unwatchFile, watchFile } from "node:fs";
+import { join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "./lib/args.js";
+import { sessionPort } from "./lib/connect.js";
+import { readDaemonState } from "./lib/daemon.js";
+import { describeRule, installIntercepts, loadRules } from "./lib/intercept.js";
+import { emit, fail } from "./lib/output.js";
+import { readRelayState, removeRelayState, startRelay, writeRelayState } from "./lib/relay.js";
+import { sessionDir, sessionFlag, sessionName } from "./lib/session.js";
+
+const { values, positionals } = parseArgs({ help: { type: "boolean", short: "h" } });
+const [command, rulesArg] = positionals;
+const LOG_FILE = join(sessionDir(), "intercept.log");
+
+function usage() {
+	console.log("Usage: firefox-intercept.js <command> [--session <name>] [--json]");
+	console.log("\nKeeps request interception rules active for the running Firefox, in a");
+	console.log("background helper. Other scripts keep working while it runs.");
+	console.log("\nCommands:");
+	console.log("  start <rules.json>   Start the helper with a rules file (reloaded when it changes)");
+	console.log("  status               Show the rules and how many requests each matched");
+	console.log("  stop                 Stop the helper and remove the rules");
+	console.log("\nRules file (first match wins, url is a substring, /regex/ or *):");
+	console.log('  [{ "url": "doubleclick.net", "block": true },');
+	console.log('   { "url": "/api/user", "method": "GET", "respond": { "status": 200, "json": { "name": "Test" } } },');
+	console.log('   { "url": "/logo.png", "respond": { "file": "fixtures/logo.png" } },');
+	console.log('   { "url": "/api/", "headers": { "set": { "X-Debug": "1" }, "remove": ["Cookie"] } },');
+	console.log('   { "url": "/slow/", "delay": 2000 }]');
+	console.log("\nfirefox-nav.js and firefox-content.js also take --intercept <rules.json>");
+	console.log("to apply rules for a single command.");
+	process.exit(values.help ? 0 : 2);
+}
+
+function readRules(path) {
+	try {
+		return loadRules(path);
+	} catch (e) {
+		fail(e.message, { code: "USAGE" });
+	}
+}
+
+function logTail() {
+	if (!existsSync(LOG_FILE)) return [];
+	return readFileSync(LOG_FILE, "utf8").trim().split("\n").slice(-5);
+}
+
+// --- Helper process: hold the session, relay it and apply the rules ---
+
+async function serve(rulesPath) {
+	let rules = loadRules(rulesPath);
+	// Chained onto the daemon's relay when it runs, since it holds the session
+	const daemon = readDaemonState();
+	const relay = await startRelay({ upstream: `ws://127.0.0.1:${daemon?.port ?? sessionPort()}/session` });
+	const intercept = await installIntercepts(relay.connection, rules, {
+		onMatch: (rule, request) => console.log(`${new Date().toISOString()} ${describeRule(rule)}: ${request.method} ${request.url}`),
+	});
+
+	const state = { pid: process.pid, port: relay.port, rules: rulesPath, started: new Date().toISOString() };
+	const save = () => writeRelayState({ ...state, counts: intercept.counts });
+	save();
+	const saver = setInterval(save, 1000);
+	console.log(`Relay on :${relay.port}, ${rules.length} rules from ${rulesPath}`);
+
+	watchFile(rulesPath, { interval: 500 }, () => {
+		try {
+			rules = loadRules(rulesPath);
+			intercept.setRules(rules);
+			console.log(`Reloaded ${rules.length} rules`);
+		} catch (e) {
+			console.log(`Keeping previous rules: ${e.message}`);
+		}
+	});
+
+	const shutdown = async (reason) => {
+		console.log(`Stopping: ${reason}`);
+		clearInterval(saver);
+		unwatchFile(rulesPath);
+		removeRelayState();
+		await intercept.remove();
+		await relay.close();
+		process.exit(0);
+	};
+	process.on("SIGTERM", () => shutdown("SIGTERM"));
+	process.on("SIGINT", () => shutdown("SIGINT"));
+	relay.connection.on("close", () => shutdown("Firefox closed the connection"));
+}
+
+switch (command) {
+	case "serve": {
+		await serve(resolve(rulesArg)).catch((e) => {
+			console.log(`Could not start: ${e.message}`);
+			process.exit(1);
+		});
+		break;
+	}
+
+	case "start": {
+		if (!rulesArg) usage();
+		const rulesPath = resolve(rulesArg);
+		const rules = readRules(rulesPath);
+		const running = readRelayState();
+		if (running) {
+			fail(`Interception helper already running (pid ${running.pid}) with ${running.rules}`, {
+				hints: [`Edit that file to change the rules, or run: firefox-intercept.js stop${sessionFlag()}`],
+			});
+		}
+
+		mkdirSync(sessionDir(), { recursive: true });
+		const log = openSync(LOG_FILE, "w");
+		const child = spawn(process.execPath, [fileURLToPath(import.meta.url), "serve", rulesPath, "--session", sessionName()], {
+			detached: true,
+			stdio: ["ignore", log, log],
+		});
+		child.unref();
+		closeSync(log);
+
+		let state = null;
+		for (let i = 0; i < 50 && !state; i++) {
+			await new Promise((r) => setTimeout(r, 200));
+			state = readRelayState();
+			if (!state && child.exitCode !== null) break;
+		}
+		if (!state) {
+			try {
+				process.kill(child.pid);
+			} catch {}
+			fail("Interception helper did not start", { code: "NO_BROWSER", hints: [...logTail(), `Is Firefox running? Run: firefox-start.js${sessionFlag()}`] });
+		}
+
+		emit({ pid: state.pid, port: state.port, rules: rulesPath, count: rules.length }, () => {
+			console.log(`✓ Intercepting with ${rules.length} rules from ${rulesPath} (pid ${state.pid})`);
+			for (const rule of rules) console.log(`  ${describeRule(rule)}`);
+			console.log(`  log: ${LOG_FILE}`);
+		});
+		break;
+	}
+
+	case "status": {
+		const state = readRelayState();
+		if (!state) {
+			emit({ running: false }, "Interception helper not running");
+			break;
+		}
+		let rules = [];
+		try {
+			rules = loadRules(state.rules);
+		} catch {}
+		const counts = state.counts ?? [];
+		const result = {
+			running: true,
+			pid: state.pid,
+			rules: state.rules,
+			started: state.started,
+			matches: rules.map((rule, i) => ({ rule: describeRule(rule), count: counts[i] ?? 0 })),
+		};
+		emit(result, () => {
+			console.log(`✓ Running (pid ${state.pid}) since ${state.started}, rules from ${state.rules}`);
+			for (const { rule, count } of result.matches) console.log(`  ${String(count).padStart(5)}  ${rule}`);
+		});
+		break;
+	}
+
+	case "stop": {
+		const state = readRelayState();
+		if (!state) {
+			emit({ stopped: false }, "Interception helper not running");
+			break;
+		}
+		process.kill(state.pid, "SIGTERM");
+		for (let i = 0; i < 25 && readRelayState(); i++) {
+			await new Promise((r) => setTimeout(r, 200));
+		}
+		if (readRelayState()) {
+			process.kill(state.pid, "SIGKILL");
+			removeRelayState();
+		}
+		emit({ stopped: true, pid: state.pid }, `✓ Stopped interception helper (pid ${state.pid})`);
+		break;
+	}
+
+	default:
+		usage();
+}
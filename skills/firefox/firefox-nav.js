@@ -1,27 +1,92 @@
 #!/usr/bin/env node
 
-import { withBrowser } from "./lib/connect.js";
+import { parseArgs } from "./lib/args.js";
+import { withBrowser, activePage, listTabs } from "./lib/connect.js";
+import { EMULATE_OPTIONS, EMULATE_USAGE, emulateTab, emulationFromArgs } from "./lib/emulation.js";
+import { emit, fail, info, setPage } from "./lib/output.js";
+import { describeRule, installIntercepts, loadRules } from "./lib/intercept.js";
+import { captureConsole, formatEntry } from "./lib/console.js";
+import { WAIT_OPTIONS, WAIT_USAGE, waitFromArgs, waitForAll } from "./lib/wait.js";
 
-const url = process.argv[2];
-const newTab = process.argv[3] === "--new";
+const { values, positionals } = parseArgs({
+	new: { type: "boolean" },
+	"capture-console": { type: "boolean" },
+	intercept: { type: "string" },
+	...WAIT_OPTIONS,
+	...EMULATE_OPTIONS,
+});
+const url = positionals[0];
+const newTab = values.new;
+const wait = waitFromArgs(values);
 
 if (!url) {
-	console.log("Usage: firefox-nav.js <url> [--new]");
+	console.log("Usage: firefox-nav.js <url> [--new] [--wait-for <condition>...] [--capture-console] [--intercept <rules.json>] [--tab <id|index|url>] [--json]");
+	console.log("\n  --capture-console          Include console messages and errors logged while loading");
+	console.log("  --intercept <rules.json>   Block/mock/rewrite requests during this navigation (see firefox-intercept.js)");
+	console.log(WAIT_USAGE);
+	console.log(EMULATE_USAGE);
 	console.log("\nExamples:");
-	console.log("  firefox-nav.js https://example.com       # Navigate current tab");
-	console.log("  firefox-nav.js https://example.com --new # Open in new tab");
-	process.exit(1);
+	console.log("  firefox-nav.js https://example.com         # Navigate current tab");
+	console.log("  firefox-nav.js https://example.com --new   # Open in new tab");
+	console.log("  firefox-nav.js https://example.com --tab 1 # Navigate tab 1");
+	console.log("  firefox-nav.js https://app.example.com --wait-for '#app' --wait-for idle");
+	console.log("  firefox-nav.js https://example.com --device iphone-15 --locale fr-FR");
+	process.exit(2);
+}
+
+let emulation;
+try {
+	emulation = emulationFromArgs(values);
+} catch (e) {
+	fail(e.message, { code: "USAGE" });
+}
+
+let rules = null;
+if (values.intercept) {
+	try {
+		rules = loadRules(values.intercept);
+	} catch (e) {
+		fail(e.message, { code: "USAGE" });
+	}
 }
 
 await withBrowser(async (browser) => {
+	let page;
 	if (newTab) {
-		const page = await browser.newPage();
-		await page.goto(url, { waitUntil: "domcontentloaded" });
-		console.log("✓ Opened:", url);
+		page = await browser.newPage();
+		setPage(page);
 	} else {
-		const pages = await browser.pages();
-		const page = pages.at(-1);
-		await page.goto(url, { waitUntil: "domcontentloaded" });
-		console.log("✓ Navigated to:", url);
+		page = await activePage(browser, values.tab);
 	}
+
+	if (emulation) {
+		// Before loading, so the page starts with the emulated environment
+		const openContexts = (await listTabs(browser)).map((t) => t.id);
+		const { unsupported } = await emulateTab(browser, page, emulation, { openContexts });
+		for (const { feature, reason } of unsupported) info(`⚠ ${feature} not emulated: ${reason}`);
+	}
+
+	const capture = values["capture-console"] ? captureConsole(browser, page) : null;
+	let intercept = null;
+	let response, waited, entries, intercepted;
+	try {
+		intercept = rules ? await installIntercepts(browser.connection, rules, { contexts: [page.mainFrame().browsingContext.id] }) : null;
+		response = await page.goto(url, { waitUntil: "domcontentloaded" });
+		waited = await waitForAll(page, wait.conditions, { timeout: wait.timeout });
+	} finally {
+		// Also when loading fails, so the intercept doesn't outlive the command
+		entries = await capture?.stop();
+		intercepted = intercept?.counts.map((count, i) => ({ rule: describeRule(rules[i]), count }));
+		await intercept?.remove();
+	}
+
+	emit({ url: page.url(), status: response?.status() ?? null, newTab: Boolean(newTab), waited, console: entries, intercepted }, () => {
+		console.log(`✓ ${newTab ? "Opened" : "Navigated to"}: ${url}`);
+		for (const { condition, ms } of waited) console.log(`  waited for ${condition} (${ms}ms)`);
+		for (const { rule, count } of intercepted ?? []) console.log(`  ${rule}: ${count} requests`);
+		if (entries) {
+			console.log(`\nConsole (${entries.length}):`);
+			for (const entry of entries) console.log(formatEntry(entry));
+		}
+	});
 });
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+import { mkdirSync, writeFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { parseArgs } from "./lib/args.js";
+import { withBrowser, activePage } from "./lib/connect.js";
+import { daemonRequest, readDaemonState } from "./lib/daemon.js";
+import { emit, fail, info } from "./lib/output.js";
+import { recordNetwork, summarize, networkFilter, parseStatusFilter, formatTable, toHar } from "./lib/network.js";
+import { WAIT_OPTIONS, WAIT_USAGE, waitFromArgs, waitForAll } from "./lib/wait.js";
+
+const { values, positionals } = parseArgs({
+	...WAIT_OPTIONS,
+	help: { type: "boolean", short: "h" },
+	reload: { type: "boolean" },
+	duration: { type: "string" },
+	url: { type: "string" },
+	method: { type: "string" },
+	status: { type: "string" },
+	type: { type: "string" },
+	har: { type: "string" },
+	buffered: { type: "boolean" },
+});
+const navigateTo = positionals[0];
+const wait = waitFromArgs(values);
+
+if (values.help) {
+	console.log("Usage: firefox-network.js [url] [options] [--tab <id|index|url>] [--json]");
+	console.log("\nRecords the requests a tab makes and prints a summary table.");
+	console.log("  With <url> or --reload: records the navigation until the network is idle.");
+	console.log("  With --buffered: prints what firefox-daemon.js has seen since it started.");
+	console.log("  Otherwise: records until Ctrl+C or --duration.");
+	console.log("\nOptions:");
+	console.log("  --reload             Reload the tab and record the load");
+	console.log("  --duration <ms>      Record for <ms> (after the load, with <url>/--reload)");
+	console.log("  --har <path>         Also write the recorded requests as a HAR file");
+	console.log("  --buffered           Finished requests the daemon buffered from the tab, instead of recording");
+	console.log("\nFilters (comma-separated lists):");
+	console.log("  --url <pattern>      URL contains <pattern>, or matches /regex/");
+	console.log("  --method <methods>   e.g. GET,POST");
+	console.log("  --status <codes>     e.g. 404, 4xx, 400-499, failed");
+	console.log("  --type <types>       document, stylesheet, script, image, font, media, fetch, xhr, websocket, other");
+	console.log(WAIT_USAGE);
+	console.log("\nExamples:");
+	console.log("  firefox-network.js https://example.com --type fetch,xhr");
+	console.log("  firefox-network.js --reload --status 4xx,5xx,failed");
+	console.log("  firefox-network.js --duration 10000 --url /api/ --har api.har");
+	console.log("  firefox-network.js --buffered --status 4xx,5xx,failed   # Failures from earlier commands");
+	process.exit(0);
+}
+
+if (navigateTo && values.reload) fail("Use either <url> or --reload", { code: "USAGE" });
+if (values.status) {
+	try {
+		parseStatusFilter(values.status);
+	} catch (e) {
+		fail(e.message, { code: "USAGE" });
+	}
+}
+const duration = values.duration ? Number(values.duration) : null;
+const matches = networkFilter(values);
+if (values.buffered && (navigateTo || values.reload || duration !== null)) {
+	fail("--buffered can't be combined with <url>, --reload or --duration", { code: "USAGE" });
+}
+if (values.buffered && !readDaemonState()) {
+	fail("--buffered needs the daemon, which buffers requests between commands", { hints: ["Start it: firefox-daemon.js start"] });
+}
+
+await withBrowser(async (browser) => {
+	const page = await activePage(browser, values.tab);
+	const tab = page.mainFrame().browsingContext.id;
+	const recording = values.buffered ? null : recordNetwork(browser, page);
+
+	if (navigateTo || values.reload) {
+		if (navigateTo) await page.goto(navigateTo, { waitUntil: "load" });
+		else await page.reload({ waitUntil: "load" });
+		await waitForAll(page, wait.conditions, { timeout: wait.timeout });
+		if (duration !== null) {
+			await new Promise((r) => setTimeout(r, duration));
+		} else {
+			// Late XHRs after load are usually what we're after; give up waiting at 10s
+			await page.waitForNetworkIdle({ idleTime: 500, timeout: 10000 }).catch(() => {});
+		}
+	} else if (!values.buffered) {
+		if (duration === null) info("Recording network requests (Ctrl+C to stop)...");
+		await new Promise((resolve) => {
+			process.once("SIGINT", resolve);
+			if (duration !== null) setTimeout(resolve, duration);
+		});
+	}
+
+	const recorded = recording ? await recording.stop() : await daemonRequest(`/network?tab=${encodeURIComponent(tab)}`);
+	const records = recorded.filter((record) => matches(summarize(record)));
+	const summaries = records.map(summarize);
+
+	let harPath = null;
+	if (values.har) {
+		harPath = resolve(values.har);
+		mkdirSync(dirname(harPath), { recursive: true });
+		writeFileSync(harPath, JSON.stringify(toHar(records, { title: await page.title() }), null, 2));
+	}
+
+	emit({ requests: summaries, har: harPath }, () => {
+		console.log(summaries.length ? formatTable(summaries) : "(no matching requests)");
+		if (harPath) console.log(`\nHAR: ${harPath}`);
+	});
+});
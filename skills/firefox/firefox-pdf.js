@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+import { mkdirSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join, resolve } from "node:path";
+import { parseArgs } from "./lib/args.js";
+import { activePage, openPage, withBrowser } from "./lib/connect.js";
+import { emit, fail } from "./lib/output.js";
+import { PAPER_SIZES, parseMargin, parsePageRanges, parsePageSize, printToPdf } from "./lib/pdf.js";
+import { WAIT_OPTIONS, WAIT_USAGE, loadAndWait, waitForAll, waitFromArgs } from "./lib/wait.js";
+
+const { values, positionals } = parseArgs({
+	...WAIT_OPTIONS,
+	help: { type: "boolean", short: "h" },
+	out: { type: "string" },
+	"page-size": { type: "string" },
+	landscape: { type: "boolean" },
+	margin: { type: "string" },
+	scale: { type: "string" },
+	background: { type: "boolean" },
+	pages: { type: "string" },
+});
+const url = positionals[0];
+const wait = waitFromArgs(values);
+
+if (values.help) {
+	console.log("Usage: firefox-pdf.js [url] [options] [--tab <id|index|url>] [--json]");
+	console.log("\nSaves a page as PDF. Without a URL, prints the current tab. With a URL, loads it in");
+	console.log("a new tab (or a headless Firefox if none is running), like firefox-content.js.");
+	console.log("\nOptions:");
+	console.log("  --out <path>          Output file (default: a temp file)");
+	console.log(`  --page-size <size>    ${Object.keys(PAPER_SIZES).join(", ")} or WxH[cm|mm|in], e.g. 8.5x11in (default letter)`);
+	console.log("  --landscape           Landscape orientation");
+	console.log("  --margin <lengths>    One length, or top,right,bottom,left (default 1cm); bare numbers are cm");
+	console.log("  --scale <0.1-2>       Scale the content (default 1)");
+	console.log("  --background          Print background colors and images");
+	console.log("  --pages <ranges>      Only these pages, e.g. 1-3,5");
+	console.log(WAIT_USAGE);
+	console.log("\nExamples:");
+	console.log("  firefox-pdf.js --out invoice.pdf");
+	console.log("  firefox-pdf.js https://example.com/docs --page-size a4 --margin 15mm --background");
+	console.log("  firefox-pdf.js --landscape --scale 0.8 --pages 1-2 --out summary.pdf");
+	process.exit(0);
+}
+
+const options = { landscape: values.landscape || false, background: values.background || false };
+try {
+	if (values["page-size"]) options.page = parsePageSize(values["page-size"]);
+	if (values.margin) options.margin = parseMargin(values.margin);
+	if (values.pages) options.pageRanges = parsePageRanges(values.pages);
+} catch (e) {
+	fail(e.message, { code: "USAGE" });
+}
+if (values.scale !== undefined) {
+	options.scale = Number(values.scale);
+	if (!(options.scale >= 0.1 && options.scale <= 2)) fail(`Invalid --scale "${values.scale}" (use 0.1 to 2)`, { code: "USAGE" });
+}
+
+const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+const filepath = values.out ? resolve(values.out) : join(tmpdir(), `page-${timestamp}.pdf`);
+
+async function print(browser, page) {
+	const pdf = await printToPdf(browser, page, options);
+	mkdirSync(dirname(filepath), { recursive: true });
+	writeFileSync(filepath, pdf);
+	emit({ path: filepath, url: page.url(), bytes: pdf.length }, filepath);
+}
+
+if (!url) {
+	await withBrowser(async (browser) => {
+		const page = await activePage(browser, values.tab);
+		await waitForAll(page, wait.conditions, { timeout: wait.timeout });
+		await print(browser, page);
+	});
+} else {
+	const { browser, page, close } = await openPage();
+	let error;
+	try {
+		await loadAndWait(page, url, wait);
+		await print(browser, page);
+	} catch (e) {
+		error = e;
+	} finally {
+		await close();
+	}
+	if (error) {
+		fail(error.message, { code: error.name === "TimeoutError" ? "TIMEOUT" : "ERROR" });
+	}
+	process.exit(0);
+}
@@ -1,147 +1,46 @@
 #!/usr/bin/env node
 
+import { parseArgs } from "./lib/args.js";
 import { withBrowser, activePage } from "./lib/connect.js";
+import { targetArgs } from "./lib/locate.js";
+import { emit } from "./lib/output.js";
+import { pickElements } from "./lib/pick.js";
 
-const message = process.argv.slice(2).join(" ");
+const { values, positionals } = parseArgs();
+const message = positionals.join(" ");
 if (!message) {
-	console.log("Usage: firefox-pick.js 'message'");
+	console.log("Usage: firefox-pick.js 'message' [--tab <id|index|url>] [--json]");
+	console.log("\nAsks the user to click element(s) in the page, including inside iframes and open");
+	console.log("shadow roots: click picks one, Cmd/Ctrl+click adds more, Enter finishes, ESC cancels.");
+	console.log("For each element, prints a selector verified to match only it (in its frame), an");
+	console.log("XPath, a role/text locator, its box, attributes and key computed styles. The selector");
+	console.log("and locator work as targets for firefox-click.js and the other element commands.");
 	console.log("\nExample:");
 	console.log('  firefox-pick.js "Click the close button"');
-	process.exit(1);
+	process.exit(2);
 }
 
-await withBrowser(async (browser) => {
-	const page = await activePage(browser);
-
-	// Inject pick() helper into current page
-	await page.evaluate(() => {
-		if (!window.pick) {
-			window.pick = async (message) => {
-				if (!message) {
-					throw new Error("pick() requires a message parameter");
-				}
-				return new Promise((resolve) => {
-					const selections = [];
-					const selectedElements = new Set();
-
-					const overlay = document.createElement("div");
-					overlay.style.cssText =
-						"position:fixed;top:0;left:0;width:100%;height:100%;z-index:2147483647;pointer-events:none";
-
-					const highlight = document.createElement("div");
-					highlight.style.cssText =
-						"position:absolute;border:2px solid #3b82f6;background:rgba(59,130,246,0.1);transition:all 0.1s";
-					overlay.appendChild(highlight);
-
-					const banner = document.createElement("div");
-					banner.style.cssText =
-						"position:fixed;bottom:20px;left:50%;transform:translateX(-50%);background:#1f2937;color:white;padding:12px 24px;border-radius:8px;font:14px sans-serif;box-shadow:0 4px 12px rgba(0,0,0,0.3);pointer-events:auto;z-index:2147483647";
-
-					const updateBanner = () => {
-						banner.textContent = `${message} (${selections.length} selected, Cmd/Ctrl+click to add, Enter to finish, ESC to cancel)`;
-					};
-					updateBanner();
-
-					document.body.append(banner, overlay);
-
-					const cleanup = () => {
-						document.removeEventListener("mousemove", onMove, true);
-						document.removeEventListener("click", onClick, true);
-						document.removeEventListener("keydown", onKey, true);
-						overlay.remove();
-						banner.remove();
-						selectedElements.forEach((el) => {
-							el.style.outline = "";
-						});
-					};
-
-					const onMove = (e) => {
-						const el = document.elementFromPoint(e.clientX, e.clientY);
-						if (!el || overlay.contains(el) || banner.contains(el)) return;
-						const r = el.getBoundingClientRect();
-						highlight.style.cssText = `position:absolute;border:2px solid #3b82f6;background:rgba(59,130,246,0.1);top:${r.top}px;left:${r.left}px;width:${r.width}px;height:${r.height}px`;
-					};
-
-					const buildElementInfo = (el) => {
-						const parents = [];
-						let current = el.parentElement;
-						while (current && current !== document.body) {
-							const parentInfo = current.tagName.toLowerCase();
-							const id = current.id ? `#${current.id}` : "";
-							const cls = typeof current.className === "string" && current.className
-								? `.${current.className.trim().split(/\s+/).join(".")}`
-								: "";
-							parents.push(parentInfo + id + cls);
-							current = current.parentElement;
-						}
-
-						return {
-							tag: el.tagName.toLowerCase(),
-							id: el.id || null,
-							class: (typeof el.className === "string" ? el.className : "") || null,
-							text: el.textContent?.trim().slice(0, 200) || null,
-							html: el.outerHTML.slice(0, 500),
-							parents: parents.join(" > "),
-						};
-					};
-
-					const onClick = (e) => {
-						if (banner.contains(e.target)) return;
-						e.preventDefault();
-						e.stopPropagation();
-						const el = document.elementFromPoint(e.clientX, e.clientY);
-						if (!el || overlay.contains(el) || banner.contains(el)) return;
-
-						if (e.metaKey || e.ctrlKey) {
-							if (!selectedElements.has(el)) {
-								selectedElements.add(el);
-								el.style.outline = "3px solid #10b981";
-								selections.push(buildElementInfo(el));
-								updateBanner();
-							}
-						} else {
-							cleanup();
-							const info = buildElementInfo(el);
-							resolve(selections.length > 0 ? selections : info);
-						}
-					};
+function formatPicked(info) {
+	const lines = [info.description];
+	lines.push(`  selector: ${info.selector}${info.nth !== undefined ? ` (not unique: use --nth ${info.nth})` : ""}`);
+	if (info.xpath) lines.push(`  xpath: ${info.xpath}`);
+	if (info.locator) lines.push(`  locator: ${targetArgs(info.locator)}`);
+	if (info.frame) lines.push(`  frame: ${info.frame.selector ?? "(unknown iframe)"} (${info.frame.url})`);
+	if (info.shadowRoot) lines.push("  in shadow root: yes");
+	lines.push(`  box: ${info.box.x},${info.box.y} ${info.box.width}x${info.box.height}`);
+	if (info.text) lines.push(`  text: ${info.text}`);
+	const attributes = Object.entries(info.attributes).map(([name, value]) => `${name}=${JSON.stringify(value)}`);
+	if (attributes.length) lines.push(`  attributes: ${attributes.join(" ")}`);
+	lines.push(`  styles: ${Object.entries(info.styles).map(([name, value]) => `${name}=${value}`).join(" ")}`);
+	return lines.join("\n");
+}
 
-					const onKey = (e) => {
-						if (e.key === "Escape") {
-							e.preventDefault();
-							cleanup();
-							resolve(null);
-						} else if (e.key === "Enter" && selections.length > 0) {
-							e.preventDefault();
-							cleanup();
-							resolve(selections);
-						}
-					};
+await withBrowser(async (browser) => {
+	const page = await activePage(browser, values.tab);
+	const result = await pickElements(page, message);
 
-					document.addEventListener("mousemove", onMove, true);
-					document.addEventListener("click", onClick, true);
-					document.addEventListener("keydown", onKey, true);
-				});
-			};
-		}
+	emit(result, () => {
+		if (result === null) console.log("(cancelled)");
+		else console.log([result].flat().map(formatPicked).join("\n\n"));
 	});
-
-	const result = await page.evaluate((msg) => window.pick(msg), message);
-
-	if (result === null) {
-		console.log("(cancelled)");
-	} else if (Array.isArray(result)) {
-		for (let i = 0; i < result.length; i++) {
-			if (i > 0) console.log("");
-			for (const [key, value] of Object.entries(result[i])) {
-				console.log(`${key}: ${value}`);
-			}
-		}
-	} else if (typeof result === "object" && result !== null) {
-		for (const [key, value] of Object.entries(result)) {
-			console.log(`${key}: ${value}`);
-		}
-	} else {
-		console.log(result);
-	}
 });
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+import { writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join, resolve } from "node:path";
+import { parseArgs } from "./lib/args.js";
+import { activePage, withBrowser } from "./lib/connect.js";
+import { emit, fail, info } from "./lib/output.js";
+import { STOP_KEY, startRecording } from "./lib/record.js";
+import { describeStep } from "./lib/run.js";
+
+const { values } = parseArgs({
+	help: { type: "boolean", short: "h" },
+	out: { type: "string" },
+	"keep-passwords": { type: "boolean" },
+	"max-time": { type: "string" },
+});
+
+if (values.help) {
+	console.log("Usage: firefox-record.js [--out <file>] [--keep-passwords] [--max-time <s>] [--tab <id|index|url>] [--json]");
+	console.log("\nRecords what the user does in the tab (navigation, clicks, typing, selects, uploads),");
+	console.log(`including inside iframes and shadow roots, until they press ${STOP_KEY} in the page, click the`);
+	console.log("banner, or Ctrl+C here. Writes the steps as a JSON script and prints its path.");
+	console.log("\nElements are identified by a unique selector or by role and name, with alternatives.");
+	console.log('Password values are replaced with variables such as "${password}".');
+	console.log("\nOptions:");
+	console.log("  --out <file>        Output file (default: a temp file)");
+	console.log("  --keep-passwords    Record password values as typed");
+	console.log("  --max-time <s>      Stop after <s> seconds (default 1800)");
+	console.log("\nExamples:");
+	console.log("  firefox-record.js");
+	console.log("  firefox-record.js --out signup-flow.json");
+	console.log("  firefox-run.js signup-flow.json --var password=...   # Replay it");
+	process.exit(0);
+}
+
+const maxTime = values["max-time"] !== undefined ? Number(values["max-time"]) : 1800;
+if (!(maxTime > 0)) fail(`Invalid --max-time "${values["max-time"]}"`, { code: "USAGE" });
+
+const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+const filepath = values.out ? resolve(values.out) : join(tmpdir(), `recording-${timestamp}.json`);
+
+await withBrowser(async (browser) => {
+	const page = await activePage(browser, values.tab);
+	const url = page.url();
+
+	info(`● Recording ${url}; press ${STOP_KEY} in the page (or Ctrl+C here) to stop`);
+	const recording = await startRecording(browser, page, {
+		redact: !values["keep-passwords"],
+		onStep: (step) => info(`  ${describeStep(step)}`),
+	});
+
+	const reason = await Promise.race([
+		recording.stopped,
+		new Promise((r) => process.once("SIGINT", () => r("interrupted"))),
+		new Promise((r) => setTimeout(() => r("max time"), maxTime * 1000).unref()),
+	]);
+	const { steps, variables } = await recording.stop();
+
+	const script = { version: 1, recorded: new Date().toISOString(), url, variables, steps };
+	writeFileSync(filepath, JSON.stringify(script, null, 2) + "\n");
+
+	const uploads = steps.filter((s) => s.action === "upload").length;
+	emit({ path: filepath, steps: steps.length, variables: Object.keys(variables), stopped: reason }, () => {
+		console.log(`✓ Recorded ${steps.length} steps (${reason}): ${filepath}`);
+		if (Object.keys(variables).length) console.log(`  Variables to pass when replaying: ${Object.keys(variables).map((v) => `--var ${v}=...`).join(" ")}`);
+		if (uploads) console.log("  Uploads list file names only; replace them with paths before replaying");
+	});
+});
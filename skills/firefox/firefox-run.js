@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { parseArgs } from "./lib/args.js";
+import { withBrowser, activePage } from "./lib/connect.js";
+import { captureConsole, formatEntry } from "./lib/console.js";
+import { emit, fail, info } from "./lib/output.js";
+import { ACTIONS, loadScenario, runScenario } from "./lib/run.js";
+
+const { values, positionals } = parseArgs({
+	help: { type: "boolean", short: "h" },
+	var: { type: "string", multiple: true },
+	timeout: { type: "string" },
+});
+
+if (values.help || !positionals[0]) {
+	console.log("Usage: firefox-run.js <scenario.json|yaml> [--var <name=value> ...] [--timeout <ms>] [--tab <id|index|url>] [--json]");
+	console.log("\nRuns a scenario's steps one after another in the tab over a single connection,");
+	console.log("stopping at the first failure. On failure, saves a screenshot and reports the");
+	console.log("console messages logged during the run. Recordings from firefox-record.js are scenarios.");
+	console.log(`\nActions: ${ACTIONS.join(", ")}`);
+	console.log("\nScenario (YAML; JSON with the same shape works too):");
+	console.log("  name: Sign in");
+	console.log("  variables: { email: me@example.com, password: null }");
+	console.log("  steps:");
+	console.log("    - navigate: https://app.example.com/login");
+	console.log('    - type: { target: "input[name=email]", text: "${email}" }');
+	console.log('    - type: { target: "input[name=password]", text: "${password}", enter: true }');
+	console.log("    - assert: { url: /dashboard, target: { role: heading, name: Welcome } }");
+	console.log("\nOptions:");
+	console.log("  --var <name=value>   Set a variable used as ${name} in steps (repeatable)");
+	console.log("  --timeout <ms>       Per-step timeout, unless a step sets its own (default 10000)");
+	console.log("\nExit codes: 5 if a step timed out, 6 if an assertion failed, 1 for other failures.");
+	console.log("\nExamples:");
+	console.log("  firefox-run.js login.yaml --var password=hunter2");
+	console.log("  firefox-run.js recording.json --timeout 20000 --json");
+	process.exit(values.help ? 0 : 2);
+}
+
+let scenario;
+try {
+	scenario = loadScenario(positionals[0]);
+} catch (e) {
+	fail(e.message, { code: "USAGE" });
+}
+
+const variables = {};
+for (const spec of values.var ?? []) {
+	const eq = spec.indexOf("=");
+	if (eq < 1) fail(`Invalid --var "${spec}" (expected name=value)`, { code: "USAGE" });
+	variables[spec.slice(0, eq)] = spec.slice(eq + 1);
+}
+
+const timeout = values.timeout !== undefined ? Number(values.timeout) : undefined;
+if (timeout !== undefined && !(timeout > 0)) fail(`Invalid --timeout "${values.timeout}"`, { code: "USAGE" });
+
+await withBrowser(async (browser) => {
+	const page = await activePage(browser, values.tab);
+	const capture = captureConsole(browser, page);
+
+	if (scenario.name) info(`▶ ${scenario.name}`);
+	const { passed, steps } = await runScenario(page, scenario, {
+		variables,
+		timeout,
+		onStep: (step) => {
+			info(`${step.status === "passed" ? "✓" : "✗"} ${step.index}. ${step.description} (${step.ms}ms)`);
+			if (step.error) info(`  ${step.error.message}`);
+		},
+	});
+	const entries = await capture.stop();
+
+	let failure;
+	if (!passed) {
+		const step = steps.find((s) => s.status === "failed");
+		const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+		const screenshot = join(tmpdir(), `run-failure-${timestamp}.png`);
+		const saved = await page
+			.screenshot({ path: screenshot })
+			.then(() => true)
+			.catch(() => false);
+		failure = {
+			step: step.index,
+			error: step.error,
+			url: page.url(),
+			screenshot: saved ? screenshot : null,
+			console: entries.slice(-20),
+		};
+	}
+
+	const result = { scenario: scenario.name ?? positionals[0], passed, steps, ...(failure ? { failure } : {}) };
+	if (passed) {
+		emit(result, `✓ Passed: ${steps.length} steps`);
+		return;
+	}
+
+	const { name, message } = failure.error;
+	const hints = [`URL: ${failure.url}`];
+	if (failure.screenshot) hints.push(`Screenshot: ${failure.screenshot}`);
+	if (failure.console.length) hints.push("Console:", ...failure.console.map((entry) => formatEntry(entry).replace(/^/gm, "  ")));
+	fail(`Failed at step ${failure.step} of ${steps.length}: ${message}`, {
+		code: name === "TimeoutError" ? "TIMEOUT" : name === "AssertionError" ? "MISMATCH" : "ERROR",
+		hints,
+		result,
+	});
+});
@@ -1,17 +1,91 @@
 #!/usr/bin/env node
 
 import { tmpdir } from "node:os";
-import { join } from "node:path";
+import { extname, join, resolve } from "node:path";
+import { parseArgs } from "./lib/args.js";
 import { withBrowser, activePage } from "./lib/connect.js";
+import { emit, fail } from "./lib/output.js";
+import { LOCATOR_OPTIONS, locatorUsage, targetFromArgs, locateOrExit } from "./lib/locate.js";
+import { capture } from "./lib/screenshot.js";
+import { WAIT_OPTIONS, WAIT_USAGE, waitFromArgs, waitForAll } from "./lib/wait.js";
+
+const { values, positionals } = parseArgs({
+	...LOCATOR_OPTIONS,
+	...WAIT_OPTIONS,
+	help: { type: "boolean", short: "h" },
+	"full-page": { type: "boolean" },
+	clip: { type: "string" },
+	out: { type: "string" },
+	format: { type: "string" },
+	quality: { type: "string" },
+	dpr: { type: "string" },
+	"hide-fixed": { type: "boolean" },
+});
+const wait = waitFromArgs(values);
+const { target, timeout } = targetFromArgs(values, positionals);
+
+if (values.help) {
+	console.log("Usage: firefox-screenshot.js [target] [options] [--tab <id|index|url>] [--json]");
+	console.log("\nCaptures the viewport (default), the full page, a region or an element.");
+	console.log("\nOptions:");
+	console.log("  --full-page          Capture the whole scrollable page");
+	console.log("  --clip <x,y,w,h>     Capture a region, in page coordinates");
+	console.log("  --out <path>         Output file (default: a temp file)");
+	console.log("  --format <fmt>       png (default), jpeg or webp; inferred from --out");
+	console.log("  --quality <0-100>    Quality for jpeg/webp");
+	console.log("  --dpr <ratio>        Device pixel ratio, e.g. 2 for retina-sized output");
+	console.log("  --hide-fixed         Hide fixed/sticky headers and cookie banners first");
+	console.log(locatorUsage().replace("Target (one of):", "Element to capture (optional):"));
+	console.log(WAIT_USAGE);
+	console.log("\nExamples:");
+	console.log("  firefox-screenshot.js --full-page --hide-fixed");
+	console.log("  firefox-screenshot.js 'main .pricing-table' --out pricing.png");
+	console.log("  firefox-screenshot.js --clip 0,0,800,600 --format jpeg --quality 80");
+	process.exit(0);
+}
+
+const format = values.format || { ".jpg": "jpeg", ".jpeg": "jpeg", ".webp": "webp" }[extname(values.out || "").toLowerCase()] || "png";
+if (!["png", "jpeg", "webp"].includes(format)) {
+	fail(`Unsupported format "${format}" (use png, jpeg or webp)`, { code: "USAGE" });
+}
+const quality = values.quality ? Number(values.quality) : undefined;
+if (quality !== undefined && format === "png") {
+	fail("--quality only applies to jpeg and webp", { code: "USAGE" });
+}
+
+let clip;
+if (values.clip) {
+	const [x, y, width, height] = values.clip.split(",").map(Number);
+	if ([x, y, width, height].some((n) => !Number.isFinite(n)) || width <= 0 || height <= 0) {
+		fail(`Invalid --clip "${values.clip}", expected x,y,width,height`, { code: "USAGE" });
+	}
+	clip = { x, y, width, height };
+}
+
+if ([values["full-page"], clip, target].filter(Boolean).length > 1) {
+	fail("--full-page, --clip and an element target cannot be combined", { code: "USAGE" });
+}
+
+const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+const ext = format === "jpeg" ? "jpg" : format;
+const filepath = values.out ? resolve(values.out) : join(tmpdir(), `screenshot-${timestamp}.${ext}`);
 
 await withBrowser(async (browser) => {
-	const page = await activePage(browser);
+	const page = await activePage(browser, values.tab);
+	await waitForAll(page, wait.conditions, { timeout: wait.timeout });
 
-	const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-	const filename = `screenshot-${timestamp}.png`;
-	const filepath = join(tmpdir(), filename);
+	const found = target ? await locateOrExit(page, target, { timeout }) : null;
 
-	await page.screenshot({ path: filepath });
+	await capture(page, {
+		element: found?.element,
+		path: filepath,
+		type: format,
+		quality,
+		fullPage: values["full-page"] || false,
+		clip,
+		dpr: values.dpr ? Number(values.dpr) : undefined,
+		hideFixed: values["hide-fixed"] || false,
+	});
 
-	console.log(filepath);
+	emit({ path: filepath, format, element: found?.description ?? null }, filepath);
 });
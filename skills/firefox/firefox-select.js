@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+import { parseArgs } from "./lib/args.js";
+import { withBrowser, activePage } from "./lib/connect.js";
+import { emit, fail } from "./lib/output.js";
+import { LOCATOR_OPTIONS, locatorUsage, targetFromArgs, locateOrExit } from "./lib/locate.js";
+
+const { values, positionals } = parseArgs(LOCATOR_OPTIONS);
+const { target, rest: wanted, timeout } = targetFromArgs(values, positionals);
+
+if (!target || !wanted.length) {
+	console.log("Usage: firefox-select.js <target> <option...> [--tab <id|index|url>]");
+	console.log(locatorUsage());
+	console.log("\nOptions are matched by value, then by label. Several options select");
+	console.log("all of them in a <select multiple>. Custom (ARIA) dropdowns are opened");
+	console.log("with a click and the option with a matching name is clicked.");
+	console.log("\nExamples:");
+	console.log("  firefox-select.js 'select#country' 'Japan'");
+	console.log("  firefox-select.js --role combobox --name Size M");
+	process.exit(2);
+}
+
+await withBrowser(async (browser) => {
+	const page = await activePage(browser, values.tab);
+	const { element, description } = await locateOrExit(page, target, { timeout });
+
+	const isNative = await element.evaluate((el) => el.localName === "select");
+
+	if (!isNative) {
+		// Custom dropdown: open it, then click the option like a user
+		await element.click();
+		const { element: option, description: optionDescription } = await locateOrExit(
+			page,
+			{ role: "option", name: wanted[0] },
+			{ timeout },
+		);
+		await option.click();
+		emit(
+			{ action: "select", element: description, selected: [optionDescription] },
+			`✓ Selected ${optionDescription} in ${description}`,
+		);
+		return;
+	}
+
+	let optionValues;
+	try {
+		optionValues = await element.evaluate((el, wanted) => {
+			const options = [...el.options];
+			const picks = wanted.map(
+				(w) =>
+					options.find((o) => o.value === w) ||
+					options.find((o) => o.label.trim() === w) ||
+					options.find((o) => o.label.toLowerCase().includes(w.toLowerCase())),
+			);
+			const missing = wanted.filter((_, i) => !picks[i]);
+			if (missing.length) {
+				throw new Error(
+					`No option matching ${missing.map((m) => `"${m}"`).join(", ")}. Options: ${options.map((o) => o.label.trim()).join(", ")}`,
+				);
+			}
+			return picks.map((o) => o.value);
+		}, wanted);
+	} catch (e) {
+		fail(e.message, { code: "NOT_FOUND" });
+	}
+
+	await element.focus();
+	const selected = await element.select(...optionValues);
+	emit(
+		{ action: "select", element: description, selected },
+		`✓ Selected ${selected.map((v) => `"${v}"`).join(", ")} in ${description}`,
+	);
+});
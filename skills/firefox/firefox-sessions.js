@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+import { parseArgs } from "./lib/args.js";
+import { stopBrowser } from "./lib/instance.js";
+import { emit, fail } from "./lib/output.js";
+import { DEFAULT_SESSION, deleteSession, getSession, isListening, listSessions, sessionName, setSession } from "./lib/session.js";
+
+const { values, positionals } = parseArgs({ help: { type: "boolean", short: "h" } });
+const [command = "list", name] = positionals;
+
+if (values.help || !["list", "stop", "delete"].includes(command) || (command !== "list" && !name)) {
+	console.log("Usage: firefox-sessions.js [command] [--json]");
+	console.log("\nNamed sessions each have their own cached profile and port, so several");
+	console.log("browsers can run at once. Create one with firefox-start.js --session <name>");
+	console.log("and pass --session <name> (or set FIREFOX_SESSION) to the other scripts.");
+	console.log("\nCommands:");
+	console.log("  list            Sessions with their port, profile and whether they're running (default)");
+	console.log("  stop <name>     Close the session's Firefox");
+	console.log("  delete <name>   Stop the session and delete its cached profile");
+	process.exit(values.help ? 0 : 2);
+}
+
+switch (command) {
+	case "list": {
+		const current = sessionName();
+		const sessions = [];
+		for (const session of listSessions()) {
+			sessions.push({ ...session, running: await isListening(session.port), current: session.name === current });
+		}
+		emit(sessions, () => {
+			for (const s of sessions) {
+				const profile = s.profile === undefined ? "-" : (s.profile ?? "fresh");
+				console.log(`${s.current ? "*" : " "} ${s.name.padEnd(12)} :${s.port}  ${s.running ? "running" : "stopped"}  profile: ${profile}  ${s.profileDir}`);
+			}
+		});
+		break;
+	}
+
+	case "stop":
+	case "delete": {
+		const session = getSession(name);
+		if (!session) fail(`No session "${name}"`, { code: "NOT_FOUND", hints: ["List sessions: firefox-sessions.js"] });
+		if (command === "delete" && name === DEFAULT_SESSION) fail("The default session can't be deleted", { code: "USAGE" });
+
+		setSession(name);
+		const { stopped, method } = await stopBrowser();
+		if (method && !stopped) fail(`Could not stop session "${name}"; its Firefox is still running`);
+		if (command === "stop") {
+			emit({ session: name, stopped }, stopped ? `✓ Stopped session "${name}"` : `Session "${name}" was not running`);
+			break;
+		}
+
+		deleteSession(name);
+		emit({ session: name, stopped, deleted: true }, `✓ Deleted session "${name}" and its profile`);
+		break;
+	}
+}
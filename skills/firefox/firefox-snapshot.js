@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+import { parseArgs } from "./lib/args.js";
+import { activePage, withBrowser } from "./lib/connect.js";
+import { emit, fail } from "./lib/output.js";
+import { formatNode, snapshotPage } from "./lib/snapshot.js";
+import { WAIT_OPTIONS, WAIT_USAGE, waitForAll, waitFromArgs } from "./lib/wait.js";
+
+const { values } = parseArgs({
+	...WAIT_OPTIONS,
+	help: { type: "boolean", short: "h" },
+	root: { type: "string" },
+	depth: { type: "string" },
+	limit: { type: "string" },
+	hidden: { type: "boolean" },
+});
+const wait = waitFromArgs(values);
+
+if (values.help) {
+	console.log("Usage: firefox-snapshot.js [options] [--tab <id|index|url>] [--json]");
+	console.log("\nPrints an outline of the page's landmarks, headings and interactive elements");
+	console.log("with their role, accessible name, state and value, including iframes and open");
+	console.log("shadow roots. Interactive elements get a ref like [e12] that firefox-click.js,");
+	console.log("firefox-type.js and the other element commands accept as their target.");
+	console.log("Refs stay valid until the next snapshot of the page.");
+	console.log("\nOptions:");
+	console.log("  --root <css>     Only outline this element's subtree");
+	console.log("  --depth <n>      Only show nodes nested at most <n> levels deep");
+	console.log("  --limit <n>      Show at most <n> nodes (default 300)");
+	console.log("  --hidden         Include hidden elements");
+	console.log(WAIT_USAGE);
+	console.log("\nExamples:");
+	console.log("  firefox-snapshot.js");
+	console.log("  firefox-snapshot.js --root 'form#checkout'");
+	console.log("  firefox-click.js e12");
+	console.log("  firefox-type.js e7 'me@example.com'");
+	process.exit(0);
+}
+
+const depth = values.depth !== undefined ? Number(values.depth) : Infinity;
+const limit = values.limit !== undefined ? Number(values.limit) : 300;
+if (!(Number.isInteger(depth) || depth === Infinity) || depth < 0) fail(`Invalid --depth "${values.depth}"`, { code: "USAGE" });
+if (!Number.isInteger(limit) || limit <= 0) fail(`Invalid --limit "${values.limit}"`, { code: "USAGE" });
+
+await withBrowser(async (browser) => {
+	const page = await activePage(browser, values.tab);
+	await waitForAll(page, wait.conditions, { timeout: wait.timeout });
+
+	let nodes;
+	try {
+		nodes = await snapshotPage(page, { root: values.root ?? null, includeHidden: values.hidden || false });
+	} catch (e) {
+		fail(e.message.replace(/^.*?(No element matches)/, "$1"), { code: /No element matches/.test(e.message) ? "NOT_FOUND" : "ERROR" });
+	}
+	const shown = nodes.filter((node) => node.depth <= depth);
+	const truncated = Math.max(0, shown.length - limit);
+	const result = { url: page.url(), title: await page.title(), nodes: shown.slice(0, limit), truncated };
+
+	emit(result, () => {
+		console.log(`${result.title || "(untitled)"} — ${result.url}`);
+		if (!result.nodes.length) console.log("(no landmarks, headings or interactive elements)");
+		for (const node of result.nodes) console.log(formatNode(node));
+		if (truncated) console.log(`… ${truncated} more nodes (raise --limit, lower --depth or narrow with --root)`);
+	});
+});
@@ -1,50 +1,130 @@
 #!/usr/bin/env node
 
-import { spawn } from "node:child_process";
+import { mkdirSync } from "node:fs";
 import { join } from "node:path";
+import { parseArgs } from "./lib/args.js";
 import { connect } from "./lib/connect.js";
-import { CACHE_DIR, findFirefox, findProfileByName, listProfileNames, syncProfile, disableSyncPrefs } from "./lib/firefox.js";
+import {
+	disableSyncPrefs,
+	findFirefox,
+	findProfileByName,
+	launchFirefox,
+	listProfileNames,
+	parsePrefs,
+	syncProfile,
+} from "./lib/firefox.js";
+import { cleanStaleInstance, profileLockPid, stopBrowser, writeInstance } from "./lib/instance.js";
+import { isAlive } from "./lib/process.js";
+import { emit, fail, info } from "./lib/output.js";
+import { DEFAULT_PORT, DEFAULT_SESSION, getSession, saveSession, sessionDir, sessionName } from "./lib/session.js";
 
-const PORT = process.env.FIREFOX_BIDI_PORT || 9222;
-const PROFILE_DST = join(CACHE_DIR, "profile");
+const { values } = parseArgs({
+	help: { type: "boolean", short: "h" },
+	"no-profile": { type: "boolean" },
+	profile: { type: "string" },
+	restart: { type: "boolean" },
+	headless: { type: "boolean" },
+	width: { type: "string" },
+	height: { type: "string" },
+	port: { type: "string" },
+	"firefox-bin": { type: "string" },
+	pref: { type: "string", multiple: true },
+});
 
-if (process.argv[2] === "--help" || process.argv[2] === "-h") {
-	console.log("Usage: firefox-start.js [--no-profile] [--profile <name>]");
-	console.log("\nStarts Firefox with WebDriver BiDi on port " + PORT);
+if (values.help) {
+	console.log("Usage: firefox-start.js [options] [--session <name>] [--json]");
+	console.log("\nStarts Firefox with WebDriver BiDi on port 9222 (or the session's own port).");
 	console.log("By default, copies your Firefox profile (cookies, logins).");
 	console.log("\nOptions:");
-	console.log("  --no-profile      Start with a fresh profile");
-	console.log("  --profile <name>  Start with a named Firefox profile (e.g. 'Work')");
+	console.log("  --no-profile           Start with a fresh profile");
+	console.log("  --profile <name>       Start with a named Firefox profile (e.g. 'Work')");
+	console.log("  --restart              Stop the running Firefox first (see firefox-stop.js)");
+	console.log("  --headless             Run without a window (for CI and machines without a display)");
+	console.log("  --width/--height <px>  Window size");
+	console.log("  --port <n>             BiDi port; 0 lets Firefox pick a free one");
+	console.log("  --firefox-bin <path>   Firefox binary (or command on PATH) to run instead of the detected one");
+	console.log("  --pref <name=value>    Set a Firefox pref for this run (repeatable)");
+	console.log("  --session <name>       Start a separate named session with its own profile copy and port;");
+	console.log("                         pass the same --session to the other scripts to use it");
+	console.log("\nExamples:");
+	console.log("  firefox-start.js --headless --width 1280 --height 800");
+	console.log("  firefox-start.js --headless --port 0 --no-profile");
+	console.log("  firefox-start.js --pref media.autoplay.default=0 --pref dom.webnotifications.enabled=false");
+	console.log("  firefox-start.js --session work --profile Work");
+	console.log("  firefox-start.js --session scratch --no-profile");
 	process.exit(0);
 }
 
-const skipProfile = process.argv[2] === "--no-profile";
-const profileIdx = process.argv.indexOf("--profile");
-const profileName = profileIdx !== -1 ? process.argv[profileIdx + 1] : null;
+const skipProfile = values["no-profile"] || false;
+const profileName = values.profile || null;
 
-if (profileIdx !== -1 && !profileName) {
-	console.error("✗ --profile requires a profile name");
-	process.exit(1);
+if (values.profile === "") {
+	fail("--profile requires a profile name", { code: "USAGE" });
 }
 
 if (skipProfile && profileName) {
-	console.error("✗ --no-profile and --profile cannot be used together");
-	process.exit(1);
+	fail("--no-profile and --profile cannot be used together", { code: "USAGE" });
+}
+
+const size = {};
+for (const key of ["width", "height"]) {
+	if (values[key] === undefined) continue;
+	size[key] = Number(values[key]);
+	if (!Number.isInteger(size[key]) || size[key] <= 0) fail(`Invalid --${key} "${values[key]}"`, { code: "USAGE" });
+}
+if (Boolean(size.width) !== Boolean(size.height)) {
+	fail("--width and --height must be used together", { code: "USAGE" });
+}
+
+const requestedPort = values.port === undefined ? null : Number(values.port);
+if (requestedPort !== null && !(Number.isInteger(requestedPort) && requestedPort >= 0 && requestedPort < 65536)) {
+	fail(`Invalid --port "${values.port}"`, { code: "USAGE" });
+}
+
+let prefs;
+try {
+	prefs = parsePrefs(values.pref);
+} catch (e) {
+	fail(e.message, { code: "USAGE" });
+}
+
+const session = getSession() ?? (await saveSession(sessionName()));
+// The default session goes back to 9222 unless --port says otherwise
+const PORT = requestedPort ?? (session.name === DEFAULT_SESSION ? DEFAULT_PORT : session.port);
+const PROFILE_DST = session.profileDir;
+const label = session.name === "default" ? "" : ` (session "${session.name}")`;
+
+if (values.restart) {
+	const { stopped, method } = await stopBrowser();
+	if (stopped) info(`Stopped the running Firefox${method === "close" ? "" : ` (${method})`}.`);
+}
+
+// Clean up after a crashed or hung instance, so it doesn't block the profile
+const stale = await cleanStaleInstance();
+if (stale) {
+	info(`Cleaned up a previous Firefox${stale.pid ? ` (pid ${stale.pid})` : ""}: ${stale.reason}.`);
 }
 
 // Check if already running
 try {
 	const browser = await connect();
 	await browser.disconnect();
-	console.log(`✓ Firefox already running on :${PORT}`);
+	emit({ port: session.port, started: false, session: session.name }, `✓ Firefox already running on :${session.port}${label}`);
 	process.exit(0);
 } catch {}
 
+// Don't sync over a profile another Firefox has open
+const lockPid = profileLockPid(PROFILE_DST);
+if (lockPid && isAlive(lockPid)) {
+	fail(`The profile is in use by another Firefox (pid ${lockPid}) that isn't serving BiDi on :${session.port}`, {
+		hints: ["Close it, or use another session: firefox-start.js --session <name>"],
+	});
+}
+
 // Find Firefox binary
-const firefoxBin = findFirefox();
+const firefoxBin = values["firefox-bin"] ?? findFirefox();
 if (!firefoxBin) {
-	console.error("✗ Could not find Firefox. Install it or set the path manually.");
-	process.exit(1);
+	fail("Could not find Firefox. Install it or pass --firefox-bin <path>.", { code: "NO_BROWSER" });
 }
 
 // Sync profile
@@ -55,42 +135,56 @@ if (!skipProfile) {
 		if (!result) {
 			const available = listProfileNames();
 			if (available.length > 0) {
-				console.error(`✗ Could not find Firefox profile named "${profileName}". Available profiles: ${available.join(", ")}`);
+				fail(`Could not find Firefox profile named "${profileName}". Available profiles: ${available.join(", ")}`, { code: "NOT_FOUND" });
 			} else {
-				console.error(`✗ Could not find Firefox profile named "${profileName}". No named profiles found (is Firefox Profiles enabled?)`);
+				fail(`Could not find Firefox profile named "${profileName}". No named profiles found (is Firefox Profiles enabled?)`, { code: "NOT_FOUND" });
 			}
-			process.exit(1);
 		}
 		if (result.warning) {
-			console.log(`⚠ ${result.warning}`);
+			info(`⚠ ${result.warning}`);
 		}
 		srcProfile = result.path;
-		console.log(`Using profile "${profileName}" (${srcProfile})`);
+		info(`Using profile "${profileName}" (${srcProfile})`);
 	}
 	const { synced } = syncProfile(PROFILE_DST, srcProfile);
 	if (synced) {
-		console.log("Profile synced.");
+		info("Profile synced.");
 	} else {
-		console.log("⚠ Could not find Firefox profile, starting fresh.");
+		info("⚠ Could not find Firefox profile, starting fresh.");
 	}
 }
 
+mkdirSync(PROFILE_DST, { recursive: true });
 disableSyncPrefs(PROFILE_DST);
 
 // Start Firefox
-spawn(
-	firefoxBin,
-	[
-		"--remote-debugging-port", String(PORT),
-		"--profile", PROFILE_DST,
-		"--no-remote",
-	],
-	{ detached: true, stdio: "ignore" },
-).unref();
-
-// Wait for Firefox to be ready
+let launched;
+try {
+	launched = await launchFirefox({
+		profileDir: PROFILE_DST,
+		firefoxBin,
+		port: PORT,
+		headless: values.headless || false,
+		...size,
+		prefs,
+		logFile: join(sessionDir(), "firefox.log"),
+		timeout: 30000,
+	});
+} catch (e) {
+	fail(`Could not start Firefox: ${e.message}`, { code: "NO_BROWSER", hints: [`Log: ${join(sessionDir(), "firefox.log")}`] });
+}
+launched.proc.unref();
+
+const { proc, port } = launched;
+const profile = skipProfile ? null : profileName || "default";
+const headless = values.headless || false;
+const started = new Date().toISOString();
+writeInstance({ pid: proc.pid, port, profileDir: PROFILE_DST, profile, firefoxBin: launched.firefoxBin, headless, ...size, started });
+await saveSession(session.name, { port, profile, lastStarted: started });
+
+// Make sure BiDi sessions can be created
 let connected = false;
-for (let i = 0; i < 30; i++) {
+for (let i = 0; i < 10; i++) {
 	try {
 		const browser = await connect();
 		await browser.disconnect();
@@ -102,8 +196,10 @@ for (let i = 0; i < 30; i++) {
 }
 
 if (!connected) {
-	console.error("✗ Failed to connect to Firefox");
-	process.exit(1);
+	fail(isAlive(proc.pid) ? "Failed to connect to Firefox" : "Firefox exited during startup", { code: "NO_BROWSER" });
 }
 
-console.log(`✓ Firefox started on :${PORT}${skipProfile ? " (fresh profile)" : " with your profile"}`);
+emit(
+	{ port, started: true, pid: proc.pid, headless, profile, session: session.name },
+	`✓ Firefox started on :${port}${skipProfile ? " (fresh profile)" : " with your profile"}${headless ? ", headless" : ""}${label}`,
+);
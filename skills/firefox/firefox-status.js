@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+import { parseArgs } from "./lib/args.js";
+import { connect, listTabs } from "./lib/connect.js";
+import { isOurFirefox, readInstance } from "./lib/instance.js";
+import { emit, fail } from "./lib/output.js";
+import { getSession, isListening, sessionFlag, sessionName } from "./lib/session.js";
+
+const { values } = parseArgs({ help: { type: "boolean", short: "h" } });
+
+if (values.help) {
+	console.log("Usage: firefox-status.js [--session <name>] [--json]");
+	console.log("\nShows whether the session's Firefox is running, with its version, PID,");
+	console.log("port, profile, uptime and tab count. Reports a crash if it exited on its own.");
+	process.exit(0);
+}
+
+const session = getSession();
+if (!session) {
+	fail(`No session "${sessionName()}"`, { code: "NOT_FOUND", hints: ["List sessions: firefox-sessions.js"] });
+}
+
+function formatUptime(s) {
+	const parts = [[Math.floor(s / 86400), "d"], [Math.floor(s / 3600) % 24, "h"], [Math.floor(s / 60) % 60, "m"], [s % 60, "s"]];
+	const shown = parts.filter(([n]) => n > 0).slice(0, 2);
+	return shown.length ? shown.map(([n, unit]) => `${n}${unit}`).join(" ") : "0s";
+}
+
+const state = readInstance();
+const alive = isOurFirefox(state);
+const status = {
+	session: session.name,
+	running: false,
+	crashed: Boolean(state) && !alive,
+	pid: state?.pid ?? null,
+	port: session.port,
+	profile: state ? state.profile : session.profile,
+	profileDir: session.profileDir,
+	headless: state?.headless ?? null,
+	started: state?.started ?? null,
+	uptime: null,
+	version: null,
+	tabs: null,
+};
+
+if (await isListening(session.port)) {
+	try {
+		const browser = await connect();
+		try {
+			status.version = await browser.version();
+			status.tabs = (await listTabs(browser)).length;
+			status.running = true;
+		} finally {
+			await browser.disconnect().catch(() => {});
+		}
+	} catch {}
+}
+if (status.running && alive) {
+	status.uptime = Math.round((Date.now() - Date.parse(state.started)) / 1000);
+} else if (status.running) {
+	// Started some other way, so there is no PID or start time to report
+	status.pid = null;
+	status.started = null;
+}
+
+emit(status, () => {
+	const label = session.name === "default" ? "" : ` (session "${session.name}")`;
+	if (!status.running) {
+		if (status.crashed) {
+			console.log(`✗ Firefox (pid ${status.pid}) exited unexpectedly${label}, started ${status.started}`);
+			console.log(`  firefox-start.js${sessionFlag()} cleans up and starts it again`);
+		} else if (alive) {
+			console.log(`✗ Firefox (pid ${status.pid}) is running but not answering on :${status.port}${label}`);
+			console.log(`  Restart it: firefox-start.js --restart${sessionFlag()}`);
+		} else {
+			console.log(`Firefox is not running${label}`);
+		}
+		return;
+	}
+	const profile = status.profile === undefined ? "unknown" : (status.profile ?? "fresh");
+	console.log(`✓ Firefox running on :${status.port}${label}`);
+	console.log(`  version:  ${status.version}`);
+	if (status.pid) console.log(`  pid:      ${status.pid}${status.headless ? " (headless)" : ""}`);
+	console.log(`  profile:  ${profile} (${status.profileDir})`);
+	if (status.uptime !== null) console.log(`  uptime:   ${formatUptime(status.uptime)} (since ${status.started})`);
+	console.log(`  tabs:     ${status.tabs}`);
+});
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+import { parseArgs } from "./lib/args.js";
+import { stopBrowser } from "./lib/instance.js";
+import { emit, fail } from "./lib/output.js";
+import { getSession, sessionName } from "./lib/session.js";
+
+const { values } = parseArgs({
+	help: { type: "boolean", short: "h" },
+	timeout: { type: "string" },
+});
+
+if (values.help) {
+	console.log("Usage: firefox-stop.js [--timeout <ms>] [--session <name>] [--json]");
+	console.log("\nCloses the Firefox started by firefox-start.js. Asks it to close first; if");
+	console.log("it is still running after the timeout (default 10000), kills its process group.");
+	process.exit(0);
+}
+
+const timeout = values.timeout ? Number(values.timeout) : 10000;
+if (!Number.isFinite(timeout) || timeout < 0) {
+	fail(`Invalid --timeout "${values.timeout}"`, { code: "USAGE" });
+}
+if (!getSession()) {
+	fail(`No session "${sessionName()}"`, { code: "NOT_FOUND", hints: ["List sessions: firefox-sessions.js"] });
+}
+
+const { stopped, pid, method } = await stopBrowser({ timeout });
+if (method && !stopped) {
+	fail(`Firefox${pid ? ` (pid ${pid})` : ""} is still running`, {
+		hints: pid ? [] : ["It wasn't started by firefox-start.js, so its PID is unknown; close it by hand"],
+	});
+}
+
+const how = method === "close" ? "" : ` (${method === "SIGKILL" ? "killed" : "terminated"}, it didn't close in time)`;
+emit(
+	{ stopped, pid, method, session: sessionName() },
+	stopped ? `✓ Stopped Firefox${pid ? ` (pid ${pid})` : ""}${how}` : "Firefox is not running",
+);
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { parseArgs } from "./lib/args.js";
+import { withBrowser, activePage } from "./lib/connect.js";
+import { emit, fail } from "./lib/output.js";
+import {
+	clearStorage,
+	dumpStore,
+	getItem,
+	listDatabases,
+	listStorage,
+	removeItem,
+	restoreStorage,
+	setItem,
+	snapshotStorage,
+} from "./lib/storage.js";
+
+const { values, positionals } = parseArgs({
+	help: { type: "boolean", short: "h" },
+	"session-storage": { type: "boolean" },
+	limit: { type: "string" },
+	offset: { type: "string" },
+	force: { type: "boolean" },
+	"no-reload": { type: "boolean" },
+});
+const [command = "list", ...args] = positionals;
+
+const ARITY = { list: 0, get: 1, set: 2, remove: 1, clear: 0, databases: 0, dump: 2, snapshot: 1, restore: 1 };
+
+if (values.help || !(command in ARITY) || args.length < ARITY[command]) {
+	console.log("Usage: firefox-storage.js [command] [options] [--tab <id|index|url>] [--json]");
+	console.log("\nInspects and edits the storage of the current tab's origin.");
+	console.log("\nWeb storage (localStorage, or sessionStorage with --session-storage):");
+	console.log("  list                     All entries (default)");
+	console.log("  get <key>                One value");
+	console.log("  set <key> <value>        Set a value");
+	console.log("  remove <key>             Remove an entry");
+	console.log("  clear                    Remove all entries");
+	console.log("\nIndexedDB:");
+	console.log("  databases                Databases, object stores, indexes and record counts");
+	console.log("  dump <db> <store>        Records of a store (--limit, default 20; --offset)");
+	console.log("\nSnapshots (localStorage, sessionStorage and IndexedDB):");
+	console.log("  snapshot <file>          Save the origin's storage to a JSON file");
+	console.log("  restore <file>           Replace the origin's storage from a snapshot, then reload");
+	console.log("    --no-reload            Don't reload the page afterwards");
+	console.log("    --force                Restore even if the tab is on a different origin");
+	console.log("\nExamples:");
+	console.log("  firefox-storage.js list --session-storage");
+	console.log("  firefox-storage.js set featureFlags '{\"newCheckout\":true}'");
+	console.log("  firefox-storage.js dump keyval-store keyval --limit 50");
+	console.log("  firefox-storage.js snapshot states/logged-in.json");
+	process.exit(values.help ? 0 : 2);
+}
+
+const area = { session: values["session-storage"] || false };
+const areaName = values["session-storage"] ? "sessionStorage" : "localStorage";
+
+const limit = values.limit !== undefined ? Number(values.limit) : 20;
+const offset = values.offset !== undefined ? Number(values.offset) : 0;
+if (!Number.isInteger(limit) || limit < 0) fail(`Invalid --limit "${values.limit}"`, { code: "USAGE" });
+if (!Number.isInteger(offset) || offset < 0) fail(`Invalid --offset "${values.offset}"`, { code: "USAGE" });
+
+function printEntries(entries) {
+	if (!entries.length) {
+		console.log(`(${areaName} is empty)`);
+		return;
+	}
+	for (const { key, value } of entries) console.log(`${key}: ${value}`);
+}
+
+function printDatabases(databases) {
+	if (!databases.length) {
+		console.log("(no IndexedDB databases)");
+		return;
+	}
+	for (const db of databases) {
+		console.log(`${db.name} (version ${db.version})`);
+		for (const store of db.stores) {
+			const key = store.keyPath !== null ? `keyPath ${JSON.stringify(store.keyPath)}` : "out-of-line keys";
+			console.log(`  ${store.name}: ${store.count} records, ${key}${store.autoIncrement ? ", autoIncrement" : ""}`);
+			for (const index of store.indexes) {
+				const flags = [index.unique && "unique", index.multiEntry && "multiEntry"].filter(Boolean).join(", ");
+				console.log(`    index ${index.name} on ${JSON.stringify(index.keyPath)}${flags ? ` (${flags})` : ""}`);
+			}
+		}
+	}
+}
+
+await withBrowser(async (browser) => {
+	const page = await activePage(browser, values.tab);
+	const origin = await page.evaluate(() => location.origin);
+	if (origin === "null") {
+		fail(`The current tab (${page.url()}) has no storage origin`, { hints: ["Navigate to a web page first"] });
+	}
+
+	switch (command) {
+		case "list": {
+			const entries = await listStorage(page, area);
+			emit(entries, () => printEntries(entries));
+			break;
+		}
+
+		case "get": {
+			const value = await getItem(page, args[0], area);
+			if (value === null) fail(`No ${areaName} entry "${args[0]}" on ${origin}`, { code: "NOT_FOUND" });
+			emit({ key: args[0], value }, value);
+			break;
+		}
+
+		case "set": {
+			await setItem(page, args[0], args[1], area);
+			emit({ key: args[0], value: args[1] }, `✓ Set ${areaName} "${args[0]}" on ${origin}`);
+			break;
+		}
+
+		case "remove": {
+			const removed = await removeItem(page, args[0], area);
+			if (!removed) fail(`No ${areaName} entry "${args[0]}" on ${origin}`, { code: "NOT_FOUND" });
+			emit({ key: args[0], removed }, `✓ Removed ${areaName} "${args[0]}"`);
+			break;
+		}
+
+		case "clear": {
+			const count = await clearStorage(page, area);
+			emit({ cleared: count }, `✓ Cleared ${count} ${areaName} entries on ${origin}`);
+			break;
+		}
+
+		case "databases": {
+			const databases = await listDatabases(page);
+			emit(databases, () => printDatabases(databases));
+			break;
+		}
+
+		case "dump": {
+			const result = await dumpStore(page, args[0], args[1], { limit, offset });
+			emit(result, () => {
+				for (const { key, value } of result.records) console.log(`${JSON.stringify(key)}: ${JSON.stringify(value)}`);
+				const shown = result.records.length;
+				console.log(`\n(${shown ? `${offset + 1}-${offset + shown}` : "none"} of ${result.total} records)`);
+			});
+			break;
+		}
+
+		case "snapshot": {
+			const path = resolve(args[0]);
+			const snapshot = await snapshotStorage(page);
+			mkdirSync(dirname(path), { recursive: true });
+			writeFileSync(path, JSON.stringify(snapshot, null, 2));
+			const records = snapshot.indexedDB.reduce((n, db) => n + db.stores.reduce((m, s) => m + s.records.length, 0), 0);
+			const summary = {
+				path,
+				origin,
+				localStorage: Object.keys(snapshot.localStorage).length,
+				sessionStorage: Object.keys(snapshot.sessionStorage).length,
+				databases: snapshot.indexedDB.length,
+				records,
+			};
+			emit(summary, () => {
+				console.log(`✓ Saved storage of ${origin} to ${path}`);
+				console.log(`  ${summary.localStorage} localStorage, ${summary.sessionStorage} sessionStorage entries`);
+				console.log(`  ${summary.databases} IndexedDB databases, ${records} records`);
+			});
+			break;
+		}
+
+		case "restore": {
+			let snapshot;
+			try {
+				snapshot = JSON.parse(readFileSync(resolve(args[0]), "utf8"));
+			} catch (e) {
+				fail(`Could not read snapshot ${args[0]}: ${e.message}`, { code: "USAGE" });
+			}
+			if (snapshot.origin !== origin && !values.force) {
+				fail(`Snapshot is for ${snapshot.origin} but the tab is on ${origin}`, {
+					code: "USAGE",
+					hints: [`Navigate first: firefox-nav.js ${snapshot.url ?? snapshot.origin}`, "Or pass --force"],
+				});
+			}
+			const restored = await restoreStorage(page, snapshot);
+			if (!values["no-reload"]) await page.reload({ waitUntil: "domcontentloaded" });
+			emit({ origin, ...restored, reloaded: !values["no-reload"] }, () => {
+				console.log(`✓ Restored storage of ${origin}${values["no-reload"] ? "" : " and reloaded"}`);
+				console.log(`  ${restored.localStorage} localStorage, ${restored.sessionStorage} sessionStorage entries`);
+				console.log(`  ${restored.databases} IndexedDB databases, ${restored.records} records`);
+			});
+			break;
+		}
+	}
+});
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+import { parseArgs } from "./lib/args.js";
+import { withBrowser, listTabs, findTab, defaultTab } from "./lib/connect.js";
+import { daemonRequest } from "./lib/daemon.js";
+import { emit, fail, info, setPage } from "./lib/output.js";
+
+const { positionals } = parseArgs();
+const [command = "list", target] = positionals;
+
+const usage = () => {
+	console.log("Usage: firefox-tabs.js [list | select <tab> | new [url] | close <tab>] [--json]");
+	console.log("\n<tab> is a context ID, an index from `list`, or a URL substring.");
+	console.log("\nExamples:");
+	console.log("  firefox-tabs.js                    # List tabs, * marks the active one");
+	console.log("  firefox-tabs.js select 2           # Bring tab 2 to the front (and, while firefox-daemon.js");
+	console.log("                                     # runs, keep acting on it without --tab)");
+	console.log("  firefox-tabs.js select github.com  # Select by URL substring");
+	console.log("  firefox-tabs.js new https://example.com");
+	console.log("  firefox-tabs.js close 2");
+	process.exit(2);
+};
+
+if (!["list", "select", "new", "close"].includes(command)) usage();
+if ((command === "select" || command === "close") && !target) usage();
+
+await withBrowser(async (browser) => {
+	if (command === "new") {
+		const page = await browser.newPage();
+		setPage(page);
+		if (target) await page.goto(target, { waitUntil: "domcontentloaded" });
+		const id = page.mainFrame().browsingContext.id;
+		emit({ id, url: page.url() }, `✓ Opened: ${id} ${page.url()}`);
+		return;
+	}
+
+	const tabs = await listTabs(browser);
+
+	if (command === "list") {
+		const active = tabs.length ? await defaultTab(tabs) : null;
+		const rows = [];
+		for (const tab of tabs) {
+			const title = await tab.page.title().catch(() => "");
+			rows.push({ index: tab.index, id: tab.id, title, url: tab.url, active: tab === active });
+		}
+		emit(rows, () => {
+			if (rows.length === 0) {
+				console.log("(no tabs)");
+				return;
+			}
+			for (const row of rows) {
+				console.log(`${row.active ? "*" : " "} [${row.index}] ${row.id}  ${row.title || "(untitled)"}`);
+				console.log(`      ${row.url}`);
+			}
+		});
+		return;
+	}
+
+	let tab;
+	try {
+		tab = findTab(tabs, target);
+	} catch (e) {
+		fail(e.message, { code: "NOT_FOUND" });
+	}
+	setPage(tab.page);
+
+	const result = { index: tab.index, id: tab.id, url: tab.url };
+	if (command === "select") {
+		await tab.page.bringToFront();
+		// The tab is in front either way; only later commands' default is lost
+		await daemonRequest("/tab", { method: "PUT", body: { id: tab.id } }).catch((e) => {
+			info(`⚠ Selection not kept for later commands: ${e.message}`);
+		});
+		emit(result, `✓ Selected: [${tab.index}] ${tab.id} ${tab.url}`);
+	} else {
+		await tab.page.close();
+		emit(result, `✓ Closed: [${tab.index}] ${tab.id} ${tab.url}`);
+	}
+});
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+import { parseArgs } from "./lib/args.js";
+import { withBrowser, activePage } from "./lib/connect.js";
+import { emit } from "./lib/output.js";
+import { LOCATOR_OPTIONS, locatorUsage, targetFromArgs, locateOrExit } from "./lib/locate.js";
+
+const { values, positionals } = parseArgs({
+	...LOCATOR_OPTIONS,
+	clear: { type: "boolean" },
+	enter: { type: "boolean" },
+	delay: { type: "string" },
+});
+const { target, rest, timeout } = targetFromArgs(values, positionals);
+const text = rest.join(" ");
+
+if (!target || (!text && !values.clear)) {
+	console.log("Usage: firefox-type.js <target> <text> [--clear] [--enter] [--delay <ms>] [--tab <id|index|url>]");
+	console.log(locatorUsage());
+	console.log("\nOptions:");
+	console.log("  --clear              Clear the current value first");
+	console.log("  --enter              Press Enter after typing");
+	console.log("  --delay <ms>         Delay between key presses");
+	console.log("\nExamples:");
+	console.log("  firefox-type.js e7 'me@example.com'   # Ref from firefox-snapshot.js");
+	console.log("  firefox-type.js 'input[name=q]' 'hello world' --enter");
+	console.log("  firefox-type.js --role textbox --name Email 'me@example.com' --clear");
+	process.exit(2);
+}
+
+await withBrowser(async (browser) => {
+	const page = await activePage(browser, values.tab);
+	const { element, description } = await locateOrExit(page, target, { timeout });
+
+	// Focus by clicking, as a user would
+	await element.click();
+
+	if (values.clear) {
+		await element.evaluate((el) => {
+			if (typeof el.select === "function") {
+				el.select();
+			} else {
+				const range = document.createRange();
+				range.selectNodeContents(el);
+				getSelection().removeAllRanges();
+				getSelection().addRange(range);
+			}
+		});
+		await page.keyboard.press("Backspace");
+	}
+
+	if (text) await element.type(text, { delay: Number(values.delay) || 0 });
+	if (values.enter) await page.keyboard.press("Enter");
+
+	const isPassword = await element.evaluate((el) => el.type === "password").catch(() => false);
+	const shown = isPassword ? "*".repeat(text.length) : text;
+	emit(
+		{ action: "type", element: description, text: shown, cleared: Boolean(values.clear), enter: Boolean(values.enter) },
+		`✓ ${text ? `Typed "${shown}" into` : "Cleared"} ${description}${values.enter ? " and pressed Enter" : ""}`,
+	);
+});
@@ -1,36 +1,117 @@
 #!/usr/bin/env node
 
+import { existsSync, statSync } from "node:fs";
+import { resolve } from "node:path";
+import { parseArgs } from "./lib/args.js";
 import { withBrowser, activePage } from "./lib/connect.js";
+import { inPage } from "./lib/dom.js";
+import { emit, fail } from "./lib/output.js";
+import { LOCATOR_OPTIONS, locatorUsage, targetFromArgs, locate } from "./lib/locate.js";
 
-const filePath = process.argv[2];
-if (!filePath) {
-  console.error("Usage: firefox-upload.js <file-path>");
-  process.exit(1);
+const { values, positionals } = parseArgs(LOCATOR_OPTIONS);
+const { target, rest, timeout } = targetFromArgs(values, positionals, {
+  fallback: { selector: "input[type=file]" },
+});
+
+if (!rest.length) {
+  console.log("Usage: firefox-upload.js <file...> [--ref|--selector|--text|--role <value>] [--tab <id|index|url>]");
+  console.log(locatorUsage({ positional: false }));
+  console.log("\nWithout a target, the first file input on the page is used. The target");
+  console.log("may be the file input itself (even if hidden) or a button/label that");
+  console.log("opens the file chooser.");
+  console.log("\nExamples:");
+  console.log("  firefox-upload.js ./report.pdf");
+  console.log("  firefox-upload.js a.png b.png --selector '#attachments'");
+  console.log("  firefox-upload.js ./avatar.jpg --text 'Upload Files'");
+  process.exit(2);
+}
+
+const files = rest.map((f) => resolve(f));
+const missing = files.filter((f) => !existsSync(f) || !statSync(f).isFile());
+if (missing.length) {
+  fail(`Not a file: ${missing.join(", ")}`, { code: "NOT_FOUND" });
+}
+
+// Describe every file input on the page (all frames, open shadow roots)
+async function listFileInputs(page) {
+  const inputs = [];
+  for (const frame of page.frames()) {
+    const found = await frame
+      .evaluate(
+        inPage(() =>
+          deepQuerySelectorAll("input[type=file]").map((el) => ({
+            description: describeElement(el),
+            name: el.name || null,
+            accept: el.accept || null,
+            multiple: el.multiple,
+            visible: isVisible(el),
+          })),
+        ),
+      )
+      .catch(() => []);
+    const where = frame === page.mainFrame() ? null : frame.url();
+    inputs.push(...found.map((input) => ({ ...input, frame: where })));
+  }
+  return inputs;
+}
+
+async function failWithInputs(page, message) {
+  const inputs = await listFileInputs(page);
+  const hints = inputs.length ? ["File inputs on the page:"] : ["No file inputs on the page."];
+  for (const input of inputs) {
+    const details = [
+      input.name && `name=${input.name}`,
+      input.accept && `accept=${input.accept}`,
+      input.multiple && "multiple",
+      !input.visible && "hidden",
+      input.frame && `in frame ${input.frame}`,
+    ].filter(Boolean);
+    hints.push(`- ${input.description}${details.length ? ` [${details.join(", ")}]` : ""}`);
+  }
+  fail(message, { code: "NOT_FOUND", hints });
 }
 
 await withBrowser(async (browser) => {
-  const page = await activePage(browser);
-
-  console.log("Setting up file chooser listener...");
-  const [fileChooser] = await Promise.all([
-    page.waitForFileChooser({ timeout: 10000 }),
-    page.evaluate(() => {
-      // Click the "Upload Files" link
-      var links = document.querySelectorAll("a, span, button, label");
-      for (var i = 0; i < links.length; i++) {
-        if (links[i].textContent.trim() === "Upload Files") {
-          links[i].click();
-          return "clicked Upload Files";
-        }
-      }
-      // Fallback: click the file input
-      var input = document.querySelector("input[type=file]");
-      if (input) input.click();
-      return "clicked file input";
-    }),
-  ]);
-
-  console.log("File chooser opened, accepting file:", filePath);
-  await fileChooser.accept([filePath]);
-  console.log("✓ File selected successfully");
+  const page = await activePage(browser, values.tab);
+
+  let found;
+  try {
+    // File inputs are often hidden behind a styled button, so don't require visibility
+    found = await locate(page, target, { timeout, actionable: false });
+  } catch (e) {
+    await failWithInputs(page, e.message);
+  }
+  const { element, description } = found;
+
+  const input = await element.evaluate((el) =>
+    el.localName === "input" && el.type === "file" ? { multiple: el.multiple } : null,
+  );
+
+  if (input) {
+    if (files.length > 1 && !input.multiple) {
+      await failWithInputs(page, `${description} accepts a single file, got ${files.length}`);
+    }
+    await element.uploadFile(...files);
+  } else {
+    let fileChooser;
+    try {
+      [fileChooser] = await Promise.all([
+        page.waitForFileChooser({ timeout: 5000 }),
+        element.click(),
+      ]);
+    } catch (e) {
+      if (e.name !== "TimeoutError") throw e;
+      await failWithInputs(page, `Clicking ${description} did not open a file chooser`);
+    }
+    if (files.length > 1 && !fileChooser.isMultiple()) {
+      await fileChooser.cancel();
+      await failWithInputs(page, `The file chooser accepts a single file, got ${files.length}`);
+    }
+    await fileChooser.accept(files);
+  }
+
+  emit({ element: description, files }, () => {
+    console.log(`✓ Uploaded ${files.length} file(s) via ${description}`);
+    for (const f of files) console.log(`  ${f}`);
+  });
 });
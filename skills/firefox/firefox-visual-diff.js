@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import pixelmatch from "pixelmatch";
+import { PNG } from "pngjs";
+import { parseArgs } from "./lib/args.js";
+import { withBrowser, activePage } from "./lib/connect.js";
+import { EXIT_CODES, emit, fail } from "./lib/output.js";
+import { LOCATOR_OPTIONS, locatorUsage, targetFromArgs, locateOrExit } from "./lib/locate.js";
+import { capture } from "./lib/screenshot.js";
+import { WAIT_OPTIONS, WAIT_USAGE, waitFromArgs, waitForAll } from "./lib/wait.js";
+
+const { values, positionals } = parseArgs({
+	...LOCATOR_OPTIONS,
+	...WAIT_OPTIONS,
+	"full-page": { type: "boolean" },
+	"hide-fixed": { type: "boolean" },
+	dpr: { type: "string" },
+	ignore: { type: "string", multiple: true },
+	threshold: { type: "string" },
+	"color-threshold": { type: "string" },
+	diff: { type: "string" },
+	update: { type: "boolean" },
+});
+const baselinePath = positionals[0] ? resolve(positionals[0]) : null;
+const { target, timeout } = targetFromArgs(values, []);
+const wait = waitFromArgs(values);
+
+if (!baselinePath) {
+	console.log("Usage: firefox-visual-diff.js <baseline.png> [options] [--tab <id|index|url>] [--json]");
+	console.log("\nCaptures the page (or an element) and compares it with a baseline PNG.");
+	console.log("A missing baseline is created from the current capture.");
+	console.log("\nOptions:");
+	console.log("  --update                 Replace the baseline with the current capture");
+	console.log("  --threshold <percent>    Allowed mismatch, in % of pixels (default 0)");
+	console.log("  --color-threshold <0-1>  Per-pixel color sensitivity, smaller is stricter (default 0.1)");
+	console.log("  --ignore <selector>      Mask matching elements in both images (repeatable)");
+	console.log("  --diff <path>            Diff image path (default: <baseline>.diff.png)");
+	console.log("  --full-page              Capture the whole scrollable page");
+	console.log("  --hide-fixed             Hide fixed/sticky headers and cookie banners first");
+	console.log("  --dpr <ratio>            Device pixel ratio");
+	console.log(locatorUsage({ positional: false }).replace("Target (one of):", "Element to capture (optional):"));
+	console.log(WAIT_USAGE);
+	console.log("\nExamples:");
+	console.log("  firefox-visual-diff.js baselines/home.png --full-page --ignore '.ad' --ignore 'time'");
+	console.log("  firefox-visual-diff.js baselines/header.png --selector 'header' --threshold 0.5");
+	console.log("  firefox-visual-diff.js baselines/home.png --full-page --update");
+	console.log(`\nExits with code ${EXIT_CODES.MISMATCH} when the mismatch is above the threshold.`);
+	process.exit(2);
+}
+
+// An empty value would count as 0
+const toNumber = (value) => (value.trim() === "" ? NaN : Number(value));
+const threshold = values.threshold !== undefined ? toNumber(values.threshold) : 0;
+if (!Number.isFinite(threshold) || threshold < 0) {
+	fail(`Invalid --threshold "${values.threshold}" (expected a percentage of 0 or more)`, { code: "USAGE" });
+}
+const colorThreshold = values["color-threshold"] !== undefined ? toNumber(values["color-threshold"]) : 0.1;
+if (!(colorThreshold >= 0 && colorThreshold <= 1)) {
+	fail(`Invalid --color-threshold "${values["color-threshold"]}" (expected a number from 0 to 1)`, { code: "USAGE" });
+}
+const diffPath = values.diff ? resolve(values.diff) : baselinePath.replace(/(\.png)?$/i, ".diff.png");
+const actualPath = baselinePath.replace(/(\.png)?$/i, ".actual.png");
+
+// Diff and actual images left by an earlier failing run
+function removeStale() {
+	rmSync(diffPath, { force: true });
+	rmSync(actualPath, { force: true });
+}
+
+// Copy `png` onto a transparent canvas of width x height
+function padTo(png, width, height) {
+	if (png.width === width && png.height === height) return png;
+	const out = new PNG({ width, height });
+	PNG.bitblt(png, out, 0, 0, png.width, png.height, 0, 0);
+	return out;
+}
+
+/**
+ * Bounding boxes of changed regions in a pixelmatch diff mask: mark
+ * CELL x CELL cells containing a changed pixel, merge touching cells, then
+ * shrink each group to its changed pixels.
+ */
+function changedBoxes(mask, width, height) {
+	const CELL = 8;
+	const cols = Math.ceil(width / CELL);
+	const rows = Math.ceil(height / CELL);
+	const cells = new Uint8Array(cols * rows);
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			if (mask[(y * width + x) * 4 + 3]) cells[((y / CELL) | 0) * cols + ((x / CELL) | 0)] = 1;
+		}
+	}
+
+	const boxes = [];
+	const seen = new Uint8Array(cols * rows);
+	for (let start = 0; start < cells.length; start++) {
+		if (!cells[start] || seen[start]) continue;
+		let minX = cols, minY = rows, maxX = 0, maxY = 0, count = 0;
+		const stack = [start];
+		seen[start] = 1;
+		while (stack.length) {
+			const i = stack.pop();
+			const cx = i % cols;
+			const cy = (i / cols) | 0;
+			minX = Math.min(minX, cx);
+			minY = Math.min(minY, cy);
+			maxX = Math.max(maxX, cx);
+			maxY = Math.max(maxY, cy);
+			count++;
+			for (let dy = -1; dy <= 1; dy++) {
+				for (let dx = -1; dx <= 1; dx++) {
+					const nx = cx + dx;
+					const ny = cy + dy;
+					if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+					const n = ny * cols + nx;
+					if (cells[n] && !seen[n]) {
+						seen[n] = 1;
+						stack.push(n);
+					}
+				}
+			}
+		}
+		// Shrink the cell-aligned box to the changed pixels inside it
+		let x0 = width, y0 = height, x1 = 0, y1 = 0;
+		for (let y = minY * CELL; y < Math.min(height, (maxY + 1) * CELL); y++) {
+			for (let x = minX * CELL; x < Math.min(width, (maxX + 1) * CELL); x++) {
+				if (!mask[(y * width + x) * 4 + 3]) continue;
+				x0 = Math.min(x0, x);
+				y0 = Math.min(y0, y);
+				x1 = Math.max(x1, x);
+				y1 = Math.max(y1, y);
+			}
+		}
+		boxes.push({ x: x0, y: y0, width: x1 - x0 + 1, height: y1 - y0 + 1, cells: count });
+	}
+	return boxes.sort((a, b) => b.cells - a.cells).map(({ cells, ...box }) => box);
+}
+
+await withBrowser(async (browser) => {
+	const page = await activePage(browser, values.tab);
+	await waitForAll(page, wait.conditions, { timeout: wait.timeout });
+
+	const found = target ? await locateOrExit(page, target, { timeout }) : null;
+	const data = await capture(page, {
+		element: found?.element,
+		fullPage: values["full-page"] || false,
+		dpr: values.dpr ? Number(values.dpr) : undefined,
+		hideFixed: values["hide-fixed"] || false,
+		mask: values.ignore || [],
+	});
+	const actualBuffer = Buffer.from(data);
+
+	if (values.update || !existsSync(baselinePath)) {
+		const created = !existsSync(baselinePath);
+		mkdirSync(dirname(baselinePath), { recursive: true });
+		writeFileSync(baselinePath, actualBuffer);
+		removeStale();
+		emit(
+			{ baseline: baselinePath, updated: !created, created, passed: true },
+			`✓ ${created ? "Created" : "Updated"} baseline: ${baselinePath}`,
+		);
+		return;
+	}
+
+	let baseline;
+	try {
+		baseline = PNG.sync.read(readFileSync(baselinePath));
+	} catch (e) {
+		fail(`Could not read baseline ${baselinePath}: ${e.message}`);
+	}
+	const actual = PNG.sync.read(actualBuffer);
+
+	const width = Math.max(baseline.width, actual.width);
+	const height = Math.max(baseline.height, actual.height);
+	const a = padTo(baseline, width, height).data;
+	const b = padTo(actual, width, height).data;
+
+	const diff = new PNG({ width, height });
+	const mismatched = pixelmatch(a, b, diff.data, width, height, { threshold: colorThreshold });
+	const mask = new Uint8Array(width * height * 4);
+	pixelmatch(a, b, mask, width, height, { threshold: colorThreshold, diffMask: true });
+
+	const percent = (mismatched / (width * height)) * 100;
+	const sizeChanged = baseline.width !== actual.width || baseline.height !== actual.height;
+	const passed = percent <= threshold && !sizeChanged;
+	const boxes = changedBoxes(mask, width, height);
+
+	// Images are kept only for a failing run
+	if (passed) {
+		removeStale();
+	} else {
+		writeFileSync(diffPath, PNG.sync.write(diff));
+		writeFileSync(actualPath, actualBuffer);
+	}
+
+	const result = {
+		passed,
+		mismatchedPixels: mismatched,
+		mismatchPercent: Number(percent.toFixed(4)),
+		threshold,
+		baseline: baselinePath,
+		actual: passed ? null : actualPath,
+		diff: passed ? null : diffPath,
+		size: { baseline: [baseline.width, baseline.height], actual: [actual.width, actual.height] },
+		boxes,
+	};
+
+	const summary = `${mismatched} pixels (${result.mismatchPercent}%) differ, threshold ${threshold}%`;
+	const details = [
+		...(sizeChanged ? [`size changed: ${baseline.width}x${baseline.height} → ${actual.width}x${actual.height}`] : []),
+		...(passed ? [] : [`diff:   ${diffPath}`, `actual: ${actualPath}`]),
+		...boxes.slice(0, 20).map((box) => `changed: x=${box.x} y=${box.y} w=${box.width} h=${box.height}`),
+		...(boxes.length > 20 ? [`… and ${boxes.length - 20} more regions`] : []),
+	];
+	if (!passed) fail(`Mismatch: ${summary}`, { code: "MISMATCH", hints: details, result });
+
+	emit(result, () => {
+		console.log(`✓ Match: ${summary}`);
+		for (const line of details) console.log(`  ${line}`);
+	});
+});
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+import { parseArgs } from "./lib/args.js";
+import { withBrowser, activePage } from "./lib/connect.js";
+import { emit, fail } from "./lib/output.js";
+import { milliseconds, waitForAll } from "./lib/wait.js";
+
+const { values } = parseArgs({
+	selector: { type: "string", multiple: true },
+	gone: { type: "string", multiple: true },
+	text: { type: "string", multiple: true },
+	url: { type: "string", multiple: true },
+	idle: { type: "string" },
+	js: { type: "string", multiple: true },
+	timeout: { type: "string" },
+});
+
+let idle, timeout;
+try {
+	idle = values.idle !== undefined ? milliseconds(values.idle, "--idle") : undefined;
+	timeout = values.timeout !== undefined ? milliseconds(values.timeout, "--timeout") : undefined;
+} catch (e) {
+	fail(e.message, { code: "USAGE" });
+}
+
+const conditions = [
+	...(values.url || []).map((value) => ({ kind: "url", value })),
+	...(values.selector || []).map((value) => ({ kind: "selector", value })),
+	...(values.gone || []).map((value) => ({ kind: "gone", value })),
+	...(values.text || []).map((value) => ({ kind: "text", value })),
+	...(values.js || []).map((value) => ({ kind: "js", value })),
+	...(idle ? [{ kind: "idle", value: idle }] : []),
+];
+
+if (!conditions.length) {
+	console.log("Usage: firefox-wait.js <condition...> [--timeout <ms>] [--tab <id|index|url>]");
+	console.log("\nWaits until every condition holds (checked in the order below).");
+	console.log("\nConditions:");
+	console.log("  --url <pattern>      URL contains <pattern>, or matches /regex/");
+	console.log("  --selector <css>     Element is visible");
+	console.log("  --gone <css>         No matching element is visible");
+	console.log("  --text <text>        Page text contains <text>");
+	console.log("  --js <expression>    JavaScript expression is truthy");
+	console.log("  --idle <ms>          No network requests for <ms>");
+	console.log("  --timeout <ms>       Total time to wait (default 30000)");
+	console.log("\nExamples:");
+	console.log("  firefox-wait.js --selector '#app .loaded'");
+	console.log("  firefox-wait.js --gone '.spinner' --idle 500");
+	console.log("  firefox-wait.js --url '/dashboard' --text 'Welcome back'");
+	console.log("  firefox-wait.js --js 'window.__APP_READY__ === true' --timeout 60000");
+	process.exit(2);
+}
+
+await withBrowser(async (browser) => {
+	const page = await activePage(browser, values.tab);
+
+	const waited = await waitForAll(page, conditions, { timeout });
+
+	emit(waited, () => {
+		for (const { condition, ms } of waited) console.log(`✓ ${condition} (${ms}ms)`);
+	});
+});
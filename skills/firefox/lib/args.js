@@ -0,0 +1,32 @@
+import { parseArgs as parseNodeArgs } from "node:util";
+import { fail, setJsonMode } from "./output.js";
+import { setSession } from "./session.js";
+
+/**
+ * Options accepted by every script, merged into each script's own options.
+ */
+const GLOBAL_OPTIONS = {
+	tab: { type: "string" },
+	json: { type: "boolean" },
+	session: { type: "string" },
+};
+
+/**
+ * Parse process.argv with node's util.parseArgs plus the global options.
+ * Exits with an error message on unknown or malformed options.
+ * Returns { values, positionals }.
+ */
+export function parseArgs(options = {}) {
+	try {
+		const parsed = parseNodeArgs({
+			options: { ...GLOBAL_OPTIONS, ...options },
+			allowPositionals: true,
+		});
+		setJsonMode(parsed.values.json);
+		if (parsed.values.session !== undefined) setSession(parsed.values.session);
+		return parsed;
+	} catch (e) {
+		setJsonMode(process.argv.includes("--json"));
+		fail(e.message, { code: "USAGE" });
+	}
+}
@@ -1,11 +1,31 @@
+import { existsSync, readdirSync } from "node:fs";
 import puppeteer from "puppeteer-core";
+import { daemonRequest, readDaemonState } from "./daemon.js";
+import { applyEmulation, loadEmulation, missingEmulation } from "./emulation.js";
+import { disableSyncPrefs, launchFirefox, syncProfile } from "./firefox.js";
+import { fail, info, setPage } from "./output.js";
+import { readRelayState } from "./relay.js";
+import { getSession, saveSession, sessionFlag, sessionName } from "./session.js";
 
-const PORT = process.env.FIREFOX_BIDI_PORT || 9222;
+/**
+ * BiDi port of the current session (see lib/session.js).
+ */
+export function sessionPort() {
+	const session = getSession();
+	if (!session) throw new Error(`No session "${sessionName()}"`);
+	return session.port;
+}
 
+/**
+ * Connect to the current session's Firefox, through the relay if a helper
+ * is running one (see lib/relay.js and lib/daemon.js), otherwise directly.
+ */
 export async function connect() {
+	const relay = readRelayState() ?? readDaemonState();
+	const port = relay?.port ?? sessionPort();
 	return Promise.race([
 		puppeteer.connect({
-			browserWSEndpoint: `ws://127.0.0.1:${PORT}/session`,
+			browserWSEndpoint: `ws://127.0.0.1:${port}/session`,
 			protocol: "webDriverBiDi",
 			defaultViewport: null,
 		}),
@@ -19,41 +39,183 @@ export async function connectOrExit() {
 	try {
 		return await connect();
 	} catch (e) {
-		console.error("✗ Could not connect to Firefox:", e.message);
-		console.error("  Run: firefox-start.js");
-		process.exit(1);
+		fail(`Could not connect to Firefox: ${e.message}`, {
+			code: "NO_BROWSER",
+			hints: [`Run: firefox-start.js${sessionFlag()}`],
+		});
+	}
+}
+
+/**
+ * Open a new tab in the session's Firefox or, if none is running, in a
+ * headless Firefox spawned on the session's cached profile (synced from
+ * the user's profile on first use). Returns { browser, page, close } where
+ * close() closes the tab and disconnects, or shuts the spawned Firefox down.
+ */
+export async function openPage() {
+	let browser;
+	try {
+		browser = await connect();
+	} catch {}
+
+	if (browser) {
+		const page = await browser.newPage();
+		setPage(page);
+		return {
+			browser,
+			page,
+			close: async () => {
+				await page.close().catch(() => {});
+				await browser.disconnect().catch(() => {});
+			},
+		};
+	}
+
+	const profileDir = (getSession() ?? (await saveSession(sessionName()))).profileDir;
+	if (!existsSync(profileDir) || readdirSync(profileDir).length === 0) {
+		syncProfile(profileDir);
+		disableSyncPrefs(profileDir);
+	}
+	let launched;
+	try {
+		launched = await launchFirefox({ profileDir, headless: true });
+	} catch (e) {
+		fail(e.message, { code: "NO_BROWSER" });
 	}
+	const { proc, wsUrl } = launched;
+	browser = await puppeteer.connect({
+		browserWSEndpoint: wsUrl + "/session",
+		protocol: "webDriverBiDi",
+		defaultViewport: null,
+	});
+	const page = (await browser.pages())[0] || (await browser.newPage());
+	setPage(page);
+	return {
+		browser,
+		page,
+		close: async () => {
+			await browser.close().catch(() => {});
+			try {
+				process.kill(-proc.pid, "SIGTERM");
+			} catch {}
+		},
+	};
 }
 
-export async function activePage(browser) {
+/**
+ * List top-level tabs (iframes excluded) in browsingContext.getTree order.
+ * Returns [{ index, id, url, page }] where id is the stable BiDi context ID.
+ */
+export async function listTabs(browser) {
 	const pages = await browser.pages();
-	if (!pages.length) {
-		console.error("✗ No active tab found");
-		process.exit(1);
+	const byId = new Map(pages.map((p) => [p.mainFrame().browsingContext.id, p]));
+
+	const tree = await browser.connection.send("browsingContext.getTree", { maxDepth: 0 });
+	return tree.result.contexts
+		.filter((c) => byId.has(c.context))
+		.map((c, index) => ({ index, id: c.context, url: c.url, page: byId.get(c.context) }));
+}
+
+/**
+ * Find the tab matching a --tab value: a context ID, an index from listTabs,
+ * or a URL substring. Returns the tab, or throws if none or several match.
+ */
+export function findTab(tabs, spec) {
+	const byId = tabs.find((t) => t.id === spec);
+	if (byId) return byId;
+
+	if (/^\d+$/.test(spec)) {
+		const byIndex = tabs[Number(spec)];
+		if (byIndex) return byIndex;
+		throw new Error(`No tab at index ${spec} (${tabs.length} open)`);
 	}
 
-	// Use BiDi getTree to find top-level browsing contexts (excludes iframes)
-	const tree = await browser.connection.send("browsingContext.getTree", {});
-	const topLevelIds = new Set(tree.result.contexts.map((c) => c.context));
+	const byUrl = tabs.filter((t) => t.url.includes(spec));
+	if (byUrl.length === 1) return byUrl[0];
+	if (byUrl.length > 1) {
+		throw new Error(`${byUrl.length} tabs match "${spec}": ${byUrl.map((t) => `[${t.index}] ${t.url}`).join(", ")}`);
+	}
+	throw new Error(`No tab matching "${spec}"`);
+}
 
-	const topLevelPages = pages.filter((p) =>
-		topLevelIds.has(p.mainFrame().browsingContext.id),
+/**
+ * Guess the tab the user is looking at: the last tab whose document is
+ * visible (background tabs report "hidden"), falling back to the last tab.
+ */
+export async function findActiveTab(tabs) {
+	const visible = await Promise.all(
+		tabs.map((t) =>
+			Promise.race([
+				t.page.evaluate(() => document.visibilityState === "visible"),
+				new Promise((r) => setTimeout(() => r(false), 1000)),
+			]).catch(() => false),
+		),
 	);
+	return tabs.findLast((_, i) => visible[i]) || tabs.at(-1);
+}
+
+/**
+ * The tab commands act on by default: the one selected with
+ * `firefox-tabs.js select` while the daemon runs (see lib/daemon.js), else
+ * the active tab.
+ */
+export async function defaultTab(tabs) {
+	// Only ask when a daemon is running, so plain commands make no request
+	const selected = readDaemonState() ? (await daemonRequest("/tab").catch(() => null))?.id : null;
+	return tabs.find((t) => t.id === selected) ?? findActiveTab(tabs);
+}
+
+/**
+ * Resolve the page to act on: the tab given by `tab` (see findTab) if set,
+ * otherwise the default tab (see defaultTab). Exits if nothing matches.
+ * Emulation saved for the tab (see lib/emulation.js) that is no longer in
+ * effect is applied again, with a warning for what can't be.
+ */
+export async function activePage(browser, tab = null) {
+	const tabs = await listTabs(browser);
+	if (!tabs.length) {
+		fail("No active tab found", { code: "NOT_FOUND" });
+	}
 
-	const page = topLevelPages.at(-1) || pages.at(-1);
-	if (!page) {
-		console.error("✗ No active tab found");
-		process.exit(1);
+	let page;
+	if (tab == null) {
+		page = (await defaultTab(tabs)).page;
+	} else {
+		try {
+			page = findTab(tabs, tab).page;
+		} catch (e) {
+			fail(e.message, { code: "NOT_FOUND" });
+		}
+	}
+	setPage(page);
+	const emulation = loadEmulation(page.mainFrame().browsingContext.id);
+	if (emulation) {
+		try {
+			const missing = await missingEmulation(page, emulation);
+			const { unsupported } = await applyEmulation(browser, page, missing);
+			for (const { feature, reason } of unsupported) info(`⚠ Saved ${feature} emulation not restored: ${reason}`);
+		} catch (e) {
+			info(`⚠ Saved emulation not restored: ${e.message}`);
+		}
 	}
 	return page;
 }
 
+/**
+ * Connect, run `fn(browser)` and disconnect. Errors thrown by `fn` are
+ * reported through fail() after disconnecting.
+ */
 export async function withBrowser(fn) {
-	let browser;
+	let browser, error;
 	try {
 		browser = await connectOrExit();
 		await fn(browser);
+	} catch (e) {
+		error = e;
 	} finally {
-		await browser?.disconnect();
+		await browser?.disconnect().catch(() => {});
+	}
+	if (error) {
+		fail(error.message, { code: error.name === "TimeoutError" ? "TIMEOUT" : "ERROR" });
 	}
 }
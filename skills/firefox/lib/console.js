@@ -0,0 +1,90 @@
+/**
+ * Console messages and uncaught errors, from BiDi log.entryAdded events.
+ * Firefox only reports entries logged while we're connected, so capture has
+ * to start before the action whose output we want.
+ */
+
+export const LEVELS = ["debug", "info", "warn", "error"];
+
+/**
+ * Parse a --level value: a comma-separated list of levels, or one level
+ * followed by "+" for that level and above (e.g. "warn+"). Returns the
+ * accepted levels, or null for all.
+ */
+export function parseLevels(spec) {
+	if (!spec) return null;
+	if (spec.endsWith("+")) {
+		const index = LEVELS.indexOf(spec.slice(0, -1));
+		if (index === -1) throw new Error(`Unknown level "${spec}" (use ${LEVELS.join(", ")})`);
+		return LEVELS.slice(index);
+	}
+	const levels = spec.split(",").map((l) => l.trim());
+	for (const level of levels) {
+		if (!LEVELS.includes(level)) throw new Error(`Unknown level "${level}" (use ${LEVELS.join(", ")})`);
+	}
+	return levels;
+}
+
+// Text of a BiDi RemoteValue argument, for entries without a text field
+function argText(arg) {
+	if ("value" in arg && (arg.value === null || typeof arg.value !== "object")) return String(arg.value);
+	return arg.type;
+}
+
+/**
+ * An entry from a raw log.entryAdded event: { level, type, text, source,
+ * stack, timestamp }.
+ */
+export function toEntry(raw) {
+	const frames = raw.stackTrace?.callFrames ?? [];
+	const top = frames[0];
+	return {
+		level: raw.level,
+		type: raw.type === "javascript" ? "exception" : (raw.method ?? raw.type),
+		text: raw.text ?? (raw.args ?? []).map(argText).join(" "),
+		source: top ? { url: top.url, line: top.lineNumber + 1, column: top.columnNumber + 1 } : null,
+		stack: raw.type === "javascript" ? frames.map((f) => `${f.functionName || "<anonymous>"} (${f.url}:${f.lineNumber + 1}:${f.columnNumber + 1})`) : undefined,
+		timestamp: raw.timestamp,
+	};
+}
+
+/**
+ * One-line text form: `[level] text  (url:line:col)`, with the stack of
+ * uncaught errors indented underneath.
+ */
+export function formatEntry(entry) {
+	const where = entry.source ? `  (${entry.source.url}:${entry.source.line}:${entry.source.column})` : "";
+	const label = entry.type === "exception" ? "uncaught" : entry.level;
+	const lines = [`[${label}] ${entry.text}${where}`];
+	for (const frame of entry.stack ?? []) lines.push(`    at ${frame}`);
+	return lines.join("\n");
+}
+
+/**
+ * Start collecting console entries from `page` and its iframes. `levels`
+ * filters by level; `onEntry` is called as each entry arrives. Returns
+ * { entries, stop }, where stop() waits briefly for in-flight events and
+ * detaches.
+ */
+export function captureConsole(browser, page, { levels = null, onEntry } = {}) {
+	const entries = [];
+	const listener = (raw) => {
+		const contexts = new Set(page.frames().map((f) => f.browsingContext.id));
+		if (!contexts.has(raw.source?.context)) return;
+		const entry = toEntry(raw);
+		if (levels && !levels.includes(entry.level)) return;
+		entries.push(entry);
+		onEntry?.(entry);
+	};
+	browser.connection.on("log.entryAdded", listener);
+
+	return {
+		entries,
+		async stop() {
+			// Log events can trail the command that caused them by a few ms
+			await new Promise((r) => setTimeout(r, 100));
+			browser.connection.off("log.entryAdded", listener);
+			return entries;
+		},
+	};
+}
@@ -0,0 +1,134 @@
+import { Readability } from "@mozilla/readability";
+import { JSDOM } from "jsdom";
+import TurndownService from "turndown";
+import { gfm } from "turndown-plugin-gfm";
+import { inPage } from "./dom.js";
+
+/**
+ * Readable content of a page: Readability picks the article (or an explicit
+ * selector does), converted to markdown, plain text or cleaned HTML.
+ */
+
+export const FORMATS = ["markdown", "text", "html"];
+
+export function htmlToMarkdown(html) {
+	const turndown = new TurndownService({ headingStyle: "atx", codeBlockStyle: "fenced" });
+	turndown.use(gfm);
+	turndown.addRule("removeEmptyLinks", {
+		filter: (node) => node.nodeName === "A" && !node.textContent?.trim(),
+		replacement: () => "",
+	});
+	return turndown
+		.turndown(html)
+		.replace(/\[\\?\[\s*\\?\]\]\([^)]*\)/g, "")
+		.replace(/ +/g, " ")
+		.replace(/\s+,/g, ",")
+		.replace(/\s+\./g, ".")
+		.replace(/\n{3,}/g, "\n\n")
+		.trim();
+}
+
+/**
+ * Plain text with paragraphs separated by blank lines, list items and table
+ * rows on their own lines and table cells separated by tabs.
+ */
+export function htmlToText(html) {
+	const { document } = new JSDOM(`<body>${html}</body>`).window;
+	const BLOCKS = /^(P|DIV|SECTION|ARTICLE|MAIN|ASIDE|HEADER|FOOTER|NAV|H[1-6]|UL|OL|DL|TABLE|FIGURE|BLOCKQUOTE|PRE|HR|FORM|FIELDSET)$/;
+	const LINES = /^(LI|TR|DT|DD|FIGCAPTION|CAPTION)$/;
+	let text = "";
+	const walk = (node, pre) => {
+		if (node.nodeType === 3) {
+			const data = pre ? node.data : node.data.replace(/\s+/g, " ");
+			text += !pre && /(^|\n)$/.test(text) ? data.trimStart() : data;
+			return;
+		}
+		if (node.nodeType !== 1 || ["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE"].includes(node.nodeName)) return;
+		if (node.nodeName === "BR") {
+			text += "\n";
+			return;
+		}
+		const block = BLOCKS.test(node.nodeName);
+		if (block) text += "\n\n";
+		else if (LINES.test(node.nodeName)) text += "\n";
+		if (node.nodeName === "LI") text += "- ";
+		if ((node.nodeName === "TD" || node.nodeName === "TH") && node.previousElementSibling) text += "\t";
+		if (node.nodeName === "IMG" && node.alt) text += node.alt;
+		for (const child of node.childNodes) walk(child, pre || node.nodeName === "PRE");
+		if (block) text += "\n\n";
+	};
+	walk(document.body, false);
+	return text
+		.split("\n")
+		.map((line) => line.trimEnd())
+		.join("\n")
+		.replace(/\n{3,}/g, "\n\n")
+		.trim();
+}
+
+// An error with its own exit code and hints (see fail())
+function problem(message, code, hints = []) {
+	return Object.assign(new Error(message), { code, hints });
+}
+
+/**
+ * Extract the page's readable content. Options: selector (take that
+ * element as it is instead of asking Readability), format (see FORMATS),
+ * hints (shown when nothing readable is found). Returns { url, title,
+ * byline, siteName, publishedTime, excerpt, lang, length, format, content };
+ * throws an error with `code` and `hints` if there is no such element or
+ * no content.
+ */
+export async function readContent(page, { selector = null, format = "markdown", hints = [] } = {}) {
+	const url = page.url();
+
+	let html;
+	let article = null;
+	if (selector) {
+		// The element as it is, minus scripts and styles; Readability would
+		// second-guess an explicit choice
+		const outerHTML = await page.evaluate(inPage((s) => deepQuerySelectorAll(s)[0]?.outerHTML ?? null), selector);
+		if (outerHTML === null) {
+			throw problem(`No element matches ${selector}`, "NOT_FOUND", ["Check the selector with firefox-snapshot.js or firefox-pick.js"]);
+		}
+		const doc = new JSDOM(outerHTML, { url }).window.document;
+		doc.querySelectorAll("script, style, noscript, template").forEach((el) => el.remove());
+		html = doc.body.innerHTML;
+	} else {
+		const outerHTML = await page.evaluate(() => document.documentElement.outerHTML);
+
+		// Extract with Readability
+		const doc = new JSDOM(outerHTML, { url });
+		article = new Readability(doc.window.document).parse();
+
+		if (article?.content) {
+			html = article.content;
+		} else {
+			const fallbackBody = new JSDOM(outerHTML, { url }).window.document;
+			fallbackBody
+				.querySelectorAll("script, style, noscript, nav, header, footer, aside")
+				.forEach((el) => el.remove());
+			const main =
+				fallbackBody.querySelector("main, article, [role='main'], .content, #content") ||
+				fallbackBody.body;
+			html = main?.innerHTML || "";
+			if (html.trim().length <= 100) {
+				throw problem(`Could not extract readable content from ${url}`, "ERROR", hints);
+			}
+		}
+	}
+
+	const content = format === "html" ? html.trim() : format === "text" ? htmlToText(html) : htmlToMarkdown(html);
+	return {
+		url,
+		title: article?.title || (await page.title()) || null,
+		byline: article?.byline || null,
+		siteName: article?.siteName || null,
+		publishedTime: article?.publishedTime || null,
+		excerpt: article?.excerpt || null,
+		lang: article?.lang || null,
+		length: article?.length ?? htmlToText(html).length,
+		format,
+		content,
+	};
+}
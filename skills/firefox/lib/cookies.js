@@ -0,0 +1,146 @@
+/**
+ * Cookies in the shape used by puppeteer and Playwright storage state:
+ *
+ *   { name, value, domain, path, expires, httpOnly, secure, sameSite }
+ *
+ * where expires is in seconds since the epoch (-1 for session cookies) and
+ * sameSite is "Strict", "Lax" or "None". Conversions to and from BiDi
+ * storage.* cookies and Netscape cookies.txt (as used by curl and wget).
+ */
+
+const SAME_SITE = { strict: "Strict", lax: "Lax", none: "None" };
+
+export function fromBidi(cookie) {
+	return {
+		name: cookie.name,
+		value: cookie.value?.type === "base64" ? Buffer.from(cookie.value.value, "base64").toString() : (cookie.value?.value ?? ""),
+		domain: cookie.domain,
+		path: cookie.path ?? "/",
+		expires: cookie.expiry ?? -1,
+		httpOnly: Boolean(cookie.httpOnly),
+		secure: Boolean(cookie.secure),
+		sameSite: SAME_SITE[cookie.sameSite] ?? "None",
+	};
+}
+
+export function toBidi(cookie) {
+	const sameSite = cookie.sameSite ? String(cookie.sameSite).toLowerCase() : undefined;
+	if (sameSite && !SAME_SITE[sameSite]) throw new Error(`Invalid sameSite "${cookie.sameSite}" (use Strict, Lax or None)`);
+	if (!cookie.name) throw new Error("Cookie without a name");
+	if (!cookie.domain) throw new Error(`Cookie "${cookie.name}" has no domain`);
+	return {
+		name: cookie.name,
+		value: { type: "string", value: String(cookie.value ?? "") },
+		domain: cookie.domain,
+		path: cookie.path || "/",
+		httpOnly: Boolean(cookie.httpOnly),
+		secure: Boolean(cookie.secure),
+		...(sameSite ? { sameSite } : {}),
+		...(cookie.expires !== undefined && cookie.expires >= 0 ? { expiry: Math.round(cookie.expires) } : {}),
+	};
+}
+
+/**
+ * Whether a cookie for `cookieDomain` applies to `host`: the same host, or a
+ * subdomain of a domain cookie's domain.
+ */
+export function domainMatches(cookieDomain, host) {
+	const domain = cookieDomain.replace(/^\./, "").toLowerCase();
+	host = host.toLowerCase();
+	return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Whether a cookie would be sent with a request to `url`.
+ */
+export function cookieMatchesUrl(cookie, url) {
+	let parsed;
+	try {
+		parsed = new URL(url);
+	} catch {
+		return false;
+	}
+	if (!domainMatches(cookie.domain, parsed.hostname)) return false;
+	if (cookie.secure && parsed.protocol !== "https:" && parsed.hostname !== "localhost") return false;
+	const path = cookie.path || "/";
+	return parsed.pathname === path || parsed.pathname.startsWith(path.endsWith("/") ? path : `${path}/`);
+}
+
+/**
+ * Netscape cookies.txt. HttpOnly cookies get the #HttpOnly_ prefix curl uses.
+ */
+export function toNetscape(cookies) {
+	const lines = ["# Netscape HTTP Cookie File", "# Exported by firefox-cookies.js", ""];
+	for (const c of cookies) {
+		lines.push(
+			[
+				`${c.httpOnly ? "#HttpOnly_" : ""}${c.domain}`,
+				c.domain.startsWith(".") ? "TRUE" : "FALSE",
+				c.path,
+				c.secure ? "TRUE" : "FALSE",
+				c.expires > 0 ? Math.round(c.expires) : 0,
+				c.name,
+				c.value,
+			].join("\t"),
+		);
+	}
+	return `${lines.join("\n")}\n`;
+}
+
+function parseNetscape(text) {
+	const cookies = [];
+	for (const [i, raw] of text.split(/\r?\n/).entries()) {
+		let line = raw;
+		let httpOnly = false;
+		if (line.startsWith("#HttpOnly_")) {
+			httpOnly = true;
+			line = line.slice("#HttpOnly_".length);
+		} else if (!line.trim() || line.startsWith("#")) {
+			continue;
+		}
+		const fields = line.split("\t");
+		if (fields.length < 7) throw new Error(`cookies.txt line ${i + 1}: expected 7 tab-separated fields`);
+		const [domain, , path, secure, expires, name, ...value] = fields;
+		cookies.push({
+			name,
+			value: value.join("\t"),
+			domain,
+			path,
+			expires: Number(expires) > 0 ? Number(expires) : -1,
+			httpOnly,
+			secure: secure.toUpperCase() === "TRUE",
+		});
+	}
+	return cookies;
+}
+
+/**
+ * Parse an exported cookie file: a JSON array of cookies, a storage state
+ * object ({ cookies: [...] }), or Netscape cookies.txt.
+ */
+export function parseCookieFile(text) {
+	const trimmed = text.trim();
+	if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+		const data = JSON.parse(trimmed);
+		const cookies = Array.isArray(data) ? data : data.cookies;
+		if (!Array.isArray(cookies)) throw new Error('Expected a JSON array of cookies or { "cookies": [...] }');
+		return cookies;
+	}
+	return parseNetscape(text);
+}
+
+/**
+ * Parse an expiry given as seconds since the epoch, an ISO date, or a
+ * duration from now like "30m", "12h" or "7d". Returns epoch seconds.
+ */
+export function parseExpires(spec) {
+	const duration = spec.match(/^(\d+)([smhd])$/);
+	if (duration) {
+		const unit = { s: 1, m: 60, h: 3600, d: 86400 }[duration[2]];
+		return Math.round(Date.now() / 1000) + Number(duration[1]) * unit;
+	}
+	if (/^\d+$/.test(spec)) return Number(spec);
+	const date = Date.parse(spec);
+	if (Number.isNaN(date)) throw new Error(`Invalid expiry "${spec}" (use epoch seconds, an ISO date or e.g. 7d)`);
+	return Math.round(date / 1000);
+}
@@ -0,0 +1,374 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { join, resolve } from "node:path";
+import { stringify as stringifyYaml } from "yaml";
+import { readContent } from "./content.js";
+import { extractFromPage } from "./extract.js";
+import { urlMatches, waitForAll } from "./wait.js";
+
+/**
+ * Batch extraction for firefox-content.js: load a list of URLs, or crawl
+ * from seed URLs by following links, in several tabs of one browser. Each
+ * page's content is saved to its own file in an output directory, listed in
+ * index.md. index.json holds the crawl's state (options, pages done, queue),
+ * saved after every page, so an interrupted crawl continues with --resume.
+ */
+
+export const CRAWL_OPTIONS = {
+	urls: { type: "string" },
+	crawl: { type: "boolean" },
+	out: { type: "string" },
+	depth: { type: "string" },
+	scope: { type: "string" },
+	include: { type: "string", multiple: true },
+	exclude: { type: "string", multiple: true },
+	sitemap: { type: "boolean" },
+	concurrency: { type: "string" },
+	"max-pages": { type: "string" },
+	resume: { type: "boolean" },
+};
+
+export const CRAWL_USAGE = `
+Several pages (files in --out, listed in index.md):
+  --urls <file>          Extract the URLs in <file>, one per line (# for comments)
+  --crawl                Follow links from the given URLs
+  --out <dir>            Output directory (required)
+  --depth <n>            Links to follow away from a start URL (default 2)
+  --scope <scope>        Links to follow: prefix (default, under a start URL's directory),
+                         origin (same origin as a start URL), or a URL prefix
+  --include <pattern>    Only follow links containing <pattern>, or matching /regex/ (repeatable)
+  --exclude <pattern>    Don't follow links containing <pattern>, or matching /regex/ (repeatable)
+  --sitemap              Also start from the URLs in each start origin's /sitemap.xml
+  --concurrency <n>      Tabs loading pages at once (default 4)
+  --max-pages <n>        Stop after <n> pages (default 200)
+  --resume               Continue the crawl saved in --out (its options are reused,
+                         except --max-pages and --concurrency)`;
+
+const STATE_FILE = "index.json";
+const INDEX_FILE = "index.md";
+const EXTENSIONS = { markdown: "md", text: "txt", html: "html" };
+
+// Links to files rather than pages
+const SKIP_EXTENSIONS = /\.(pdf|zip|gz|tgz|tar|rar|7z|dmg|exe|msi|deb|rpm|apk|iso|jpe?g|png|gif|webp|svg|ico|bmp|mp[34]|webm|ogg|wav|mov|avi|woff2?|ttf|otf|css|js|json|xml|txt|csv|xlsx?|docx?|pptx?)$/i;
+
+/**
+ * `url` without its fragment, or null if it isn't an http(s) URL.
+ */
+export function normalizeUrl(url, base) {
+	let parsed;
+	try {
+		parsed = new URL(url, base);
+	} catch {
+		return null;
+	}
+	if (parsed.protocol !== "http:" && parsed.protocol !== "https:") return null;
+	parsed.hash = "";
+	return parsed.href;
+}
+
+function integer(value, name, fallback, min = 1) {
+	if (value === undefined) return fallback;
+	const n = Number(value);
+	if (!Number.isInteger(n) || n < min) throw new Error(`Invalid ${name} "${value}"`);
+	return n;
+}
+
+// URL prefixes that links must start with to be followed
+function scopePrefixes(scope, seeds) {
+	if (scope === "origin") return [...new Set(seeds.map((url) => `${new URL(url).origin}/`))];
+	if (scope === "prefix") return [...new Set(seeds.map((url) => new URL("./", url).href))];
+	const prefix = normalizeUrl(scope);
+	if (!prefix) throw new Error(`Invalid --scope "${scope}" (use prefix, origin or a URL)`);
+	return [prefix];
+}
+
+/**
+ * Crawl options from parsed CRAWL_OPTIONS and the URL arguments, or null if
+ * neither --urls nor --crawl was given. Throws on invalid values.
+ */
+export function crawlFromArgs(values, positionals) {
+	if (!values.urls && !values.crawl && !values.resume) return null;
+	if (!values.out) throw new Error("--out <dir> is required with --urls, --crawl and --resume");
+	const out = resolve(values.out);
+	const concurrency = integer(values.concurrency, "--concurrency", 4);
+	if (values.resume) return { out, concurrency, resume: true, maxPages: integer(values["max-pages"], "--max-pages", undefined) };
+
+	const seeds = [...positionals];
+	if (values.urls) {
+		let lines;
+		try {
+			lines = readFileSync(values.urls, "utf8").split("\n");
+		} catch (e) {
+			throw new Error(`Could not read ${values.urls}: ${e.message}`);
+		}
+		seeds.push(...lines.map((line) => line.trim()).filter((line) => line && !line.startsWith("#")));
+	}
+	for (const url of seeds) {
+		if (!normalizeUrl(url)) throw new Error(`Invalid URL "${url}"`);
+	}
+	if (!seeds.length) throw new Error(values.urls ? `No URLs in ${values.urls}` : "--crawl needs a URL to start from");
+
+	const normalized = [...new Set(seeds.map((url) => normalizeUrl(url)))];
+	return {
+		out,
+		concurrency,
+		resume: false,
+		seeds: normalized,
+		crawl: Boolean(values.crawl),
+		depth: values.crawl ? integer(values.depth, "--depth", 2, 0) : 0,
+		scope: scopePrefixes(values.scope ?? "prefix", normalized),
+		include: values.include ?? [],
+		exclude: values.exclude ?? [],
+		sitemap: Boolean(values.sitemap),
+		maxPages: integer(values["max-pages"], "--max-pages", 200),
+		hosts: new Set(normalized.map((url) => new URL(url).host)).size,
+	};
+}
+
+function wanted(url, { include, exclude }) {
+	if (include.length && !include.some((pattern) => urlMatches(url, pattern))) return false;
+	return !exclude.some((pattern) => urlMatches(url, pattern));
+}
+
+// Follow links only within scope, to pages rather than files
+function followable(url, options) {
+	return options.scope.some((prefix) => url.startsWith(prefix)) && !SKIP_EXTENSIONS.test(new URL(url).pathname) && wanted(url, options);
+}
+
+/**
+ * Page URLs listed in a sitemap, following sitemap indexes (at most
+ * `limit` URLs). Missing or invalid sitemaps give [].
+ */
+export async function readSitemap(url, limit = 10000) {
+	const urls = [];
+	const pending = [url];
+	const visited = new Set();
+	while (pending.length && urls.length < limit && visited.size < 50) {
+		const next = pending.shift();
+		if (visited.has(next)) continue;
+		visited.add(next);
+		let xml;
+		try {
+			const response = await fetch(next, { signal: AbortSignal.timeout(15000) });
+			if (!response.ok) continue;
+			xml = await response.text();
+		} catch {
+			continue;
+		}
+		const locs = [...xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/g)].map((m) =>
+			m[1].replace(/&amp;/g, "&").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'"),
+		);
+		if (/<sitemapindex[\s>]/.test(xml)) pending.push(...locs.filter((loc) => !loc.endsWith(".gz")));
+		else urls.push(...locs);
+	}
+	return urls.slice(0, limit);
+}
+
+/**
+ * A file name for the page at `url` that isn't in `taken`, e.g.
+ * "docs-getting-started.md" (prefixed with the host when `withHost`).
+ */
+export function fileNameFor(url, { taken, extension, withHost }) {
+	const { host, pathname, search } = new URL(url);
+	let path = pathname;
+	try {
+		path = decodeURIComponent(pathname);
+	} catch {}
+	path = path
+		.replace(/\.(html?|php|aspx?)$/i, "")
+		.replace(/\/+$/, "");
+	let base = `${withHost ? host : ""}${path}${search ? `-${search.slice(1)}` : ""}`
+		.replace(/[^\p{L}\p{N}._-]+/gu, "-")
+		.replace(/^[-.]+|-+$/g, "")
+		.slice(0, 120);
+	if (!base) base = "home";
+	if (base === "index") base = "index-page";
+	let name = `${base}.${extension}`;
+	for (let i = 2; taken.has(name); i++) name = `${base}-${i}.${extension}`;
+	taken.add(name);
+	return name;
+}
+
+/**
+ * A new crawl's state, with the start URLs (and sitemap URLs) queued.
+ * `format` and `selector` are how pages are extracted (see readContent).
+ */
+export async function createCrawlState(options, { format, selector = null, onInfo } = {}) {
+	const queue = options.seeds.map((url) => ({ url, depth: 0 }));
+	if (options.sitemap) {
+		const seen = new Set(options.seeds);
+		for (const origin of new Set(options.seeds.map((url) => new URL(url).origin))) {
+			const urls = await readSitemap(`${origin}/sitemap.xml`, options.maxPages * 10);
+			let added = 0;
+			for (const url of urls.map((u) => normalizeUrl(u)).filter(Boolean)) {
+				if (seen.has(url) || !followable(url, options)) continue;
+				seen.add(url);
+				queue.push({ url, depth: 0 });
+				added++;
+			}
+			onInfo?.(`${origin}/sitemap.xml: ${urls.length ? `${added} of ${urls.length} URLs in scope` : "none found"}`);
+		}
+	}
+
+	const { out, concurrency, resume, ...saved } = options;
+	return {
+		version: 1,
+		started: new Date().toISOString(),
+		updated: null,
+		options: { ...saved, format, selector },
+		pages: [],
+		queue,
+	};
+}
+
+/**
+ * The state saved in `dir`. Pages that failed are queued again; `maxPages`
+ * raises (or lowers) the saved limit.
+ */
+export function loadCrawlState(dir, { maxPages } = {}) {
+	const path = join(dir, STATE_FILE);
+	if (!existsSync(path)) throw new Error(`No crawl to resume in ${dir} (${STATE_FILE} not found)`);
+	let state;
+	try {
+		state = JSON.parse(readFileSync(path, "utf8"));
+	} catch (e) {
+		throw new Error(`Could not read ${path}: ${e.message}`);
+	}
+	if (state.version !== 1 || !Array.isArray(state.pages) || !Array.isArray(state.queue)) throw new Error(`${path} is not a crawl state`);
+	const failed = state.pages.filter((p) => p.status === "failed");
+	state.pages = state.pages.filter((p) => p.status !== "failed");
+	state.queue = [...failed.map(({ url, depth }) => ({ url, depth })), ...state.queue];
+	if (maxPages) state.options.maxPages = maxPages;
+	return state;
+}
+
+function writeAtomic(path, data) {
+	writeFileSync(`${path}.tmp`, data);
+	renameSync(`${path}.tmp`, path);
+}
+
+function writeIndex(dir, state) {
+	const done = state.pages.filter((p) => p.status === "saved");
+	const failed = state.pages.filter((p) => p.status === "failed");
+	const lines = [`# ${state.options.seeds.length === 1 ? state.options.seeds[0] : `${state.options.seeds.length} start URLs`}`, ""];
+	for (const page of done) lines.push(`- [${(page.title || page.file).replace(/[[\]]/g, "\\$&")}](${encodeURI(page.file)}) — ${page.finalUrl ?? page.url}`);
+	if (failed.length) {
+		lines.push("", "## Failed", "");
+		for (const page of failed) lines.push(`- ${page.url} — ${page.error}`);
+	}
+	if (state.queue.length) lines.push("", `${state.queue.length} URLs not crawled yet; continue with --resume.`);
+	writeAtomic(join(dir, INDEX_FILE), lines.join("\n") + "\n");
+}
+
+// The page's content as saved: markdown gets its title and URL as front matter
+function pageFile(content, format) {
+	if (format !== "markdown") return content.content + "\n";
+	const meta = { title: content.title, url: content.url, byline: content.byline, published: content.publishedTime };
+	const front = stringifyYaml(Object.fromEntries(Object.entries(meta).filter(([, v]) => v)));
+	return `---\n${front}---\n\n${content.content}\n`;
+}
+
+/**
+ * Load the pages queued in `state` using `pages` (one tab each, at once),
+ * saving each page's content in `dir`, until the queue is empty, max pages
+ * are done or `signal` aborts. `wait` is waitFromArgs() output: without
+ * conditions, pages get up to 15s to go network idle. Calls onPage(entry)
+ * for each page, where entry is { url, finalUrl?, depth, status ("saved",
+ * "failed", "duplicate", "skipped"), file?, title?, error?, duplicateOf? }.
+ * Returns the final state.
+ */
+export async function runCrawl(pages, state, dir, { wait = { conditions: [] }, signal, onPage } = {}) {
+	mkdirSync(dir, { recursive: true });
+	const { options } = state;
+	const extension = EXTENSIONS[options.format] ?? "md";
+	const taken = new Set([INDEX_FILE, STATE_FILE, ...state.pages.map((p) => p.file).filter(Boolean)]);
+
+	// URLs queued or loaded, before and after redirects
+	const seen = new Set([...state.pages.flatMap((p) => [p.url, p.finalUrl]), ...state.queue.map((q) => q.url)].filter(Boolean));
+	// Pages loaded or loading, by final URL
+	const claimed = new Map(state.pages.filter((p) => p.status === "saved").map((p) => [p.finalUrl ?? p.url, p.url]));
+	const inFlight = new Map();
+	const loaded = () => state.pages.filter((p) => p.status === "saved").length;
+
+	const save = () => {
+		state.updated = new Date().toISOString();
+		// Pages being loaded go back in the queue if the crawl dies now
+		const snapshot = { ...state, queue: [...inFlight.values(), ...state.queue] };
+		writeAtomic(join(dir, STATE_FILE), JSON.stringify(snapshot, null, 2) + "\n");
+	};
+
+	const enqueue = (url, depth) => {
+		const normalized = normalizeUrl(url);
+		if (!normalized || seen.has(normalized) || !followable(normalized, options)) return;
+		seen.add(normalized);
+		state.queue.push({ url: normalized, depth });
+	};
+
+	const visit = async (page, { url, depth }) => {
+		const entry = { url, depth };
+		try {
+			const response = await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30000 });
+			if (response && !response.ok() && response.status() !== 304) throw new Error(`HTTP ${response.status()}`);
+			const type = response?.headers()["content-type"] ?? "";
+			if (type && !/html|xml/i.test(type)) {
+				return Object.assign(entry, { status: "skipped", error: `Not a page (${type.split(";")[0]})` });
+			}
+			if (wait.conditions.length) {
+				await waitForAll(page, wait.conditions, { timeout: wait.timeout });
+			} else {
+				await waitForAll(page, [{ kind: "idle", value: 500 }], { timeout: 15000 }).catch(() => {});
+			}
+
+			// Redirected to a page we already have (or are loading)
+			const finalUrl = normalizeUrl(page.url()) ?? url;
+			if (finalUrl !== url) {
+				entry.finalUrl = finalUrl;
+				seen.add(finalUrl);
+				if (claimed.has(finalUrl)) return Object.assign(entry, { status: "duplicate", duplicateOf: claimed.get(finalUrl) });
+			}
+			claimed.set(finalUrl, url);
+
+			if (options.crawl && depth < options.depth) {
+				const { links } = await extractFromPage(page, ["links"]);
+				for (const link of links) enqueue(link.url, depth + 1);
+			}
+
+			const content = await readContent(page, { selector: options.selector, format: options.format });
+			const file = fileNameFor(finalUrl, { taken, extension, withHost: options.hosts > 1 });
+			writeFileSync(join(dir, file), pageFile(content, options.format));
+			return Object.assign(entry, { status: "saved", file, title: content.title, length: content.length });
+		} catch (e) {
+			if (claimed.get(entry.finalUrl ?? url) === url) claimed.delete(entry.finalUrl ?? url);
+			return Object.assign(entry, { status: "failed", error: e.message });
+		}
+	};
+
+	const worker = async (page) => {
+		while (!signal?.aborted) {
+			if (loaded() + inFlight.size >= options.maxPages) return;
+			const item = state.queue.shift();
+			if (!item) {
+				// Pages still loading may queue more links
+				if (!inFlight.size) return;
+				await new Promise((r) => setTimeout(r, 100));
+				continue;
+			}
+			if (claimed.has(item.url)) {
+				// Another page redirected here meanwhile
+				state.pages.push({ ...item, status: "duplicate", duplicateOf: claimed.get(item.url) });
+				continue;
+			}
+			inFlight.set(page, item);
+			const entry = await visit(page, item);
+			inFlight.delete(page);
+			state.pages.push(entry);
+			save();
+			onPage?.(entry);
+		}
+	};
+
+	save();
+	await Promise.all(pages.map(worker));
+	save();
+	writeIndex(dir, state);
+	return state;
+}
@@ -0,0 +1,153 @@
+import { toEntry } from "./console.js";
+import { trackRequests } from "./network.js";
+import { readRelayState, startRelay } from "./relay.js";
+
+/**
+ * The connection daemon (firefox-daemon.js): a background helper that holds
+ * the session's BiDi connection and serves it as a relay, so scripts skip
+ * the session handshake (connect() routes through it automatically). It
+ * also keeps what a one-shot script can't: console entries and requests
+ * seen in every tab since it started, and the tab picked with
+ * `firefox-tabs.js select`. Both are served as JSON over HTTP on the relay's
+ * port:
+ *
+ *   GET /status                       { pid, started, clients, tabs, selectedTab, console, network }
+ *   GET /console?tab=<id>&since=<ms>  Entries (see lib/console.js), oldest first
+ *   GET /network?tab=<id>&since=<ms>  Finished requests (see lib/network.js), oldest first
+ *   GET /tab, PUT /tab { id }         The selected tab's context ID (or null)
+ *
+ * Items carry the `tab` they came from; at most BUFFER_SIZE of each are kept.
+ */
+
+const DAEMON = "daemon";
+const BUFFER_SIZE = 1000;
+
+/**
+ * The running daemon's state ({ pid, port, started }), or null.
+ */
+export function readDaemonState() {
+	return readRelayState(DAEMON);
+}
+
+/**
+ * Call the daemon's HTTP API. Resolves to the JSON response, or null if no
+ * daemon is running.
+ */
+export async function daemonRequest(path, { method = "GET", body } = {}) {
+	const state = readDaemonState();
+	if (!state) return null;
+	const response = await fetch(`http://127.0.0.1:${state.port}${path}`, {
+		method,
+		headers: body ? { "content-type": "application/json" } : {},
+		body: body ? JSON.stringify(body) : undefined,
+		signal: AbortSignal.timeout(2000),
+	});
+	const data = await response.json().catch(() => null);
+	if (!response.ok) throw new Error(`Daemon: ${data?.error ?? `HTTP ${response.status}`}`);
+	return data;
+}
+
+// Keep the newest BUFFER_SIZE items
+function push(buffer, item) {
+	buffer.push(item);
+	if (buffer.length > BUFFER_SIZE) buffer.splice(0, buffer.length - BUFFER_SIZE);
+}
+
+function readBody(req) {
+	return new Promise((resolve, reject) => {
+		let data = "";
+		req.on("data", (chunk) => (data += chunk));
+		req.on("end", () => {
+			try {
+				resolve(data ? JSON.parse(data) : {});
+			} catch (e) {
+				reject(e);
+			}
+		});
+		req.on("error", reject);
+	});
+}
+
+/**
+ * Start the daemon on `upstream` (Firefox's BiDi session URL). Returns the
+ * relay (see startRelay) plus { started }.
+ */
+export async function startDaemon({ upstream }) {
+	const started = new Date().toISOString();
+	const consoleEntries = [];
+	const requests = [];
+	let selectedTab = null;
+
+	// Top-level tab of every browsing context, so iframe events count for their tab
+	const parents = new Map();
+	const tabOf = (context) => {
+		while (parents.get(context)) context = parents.get(context);
+		return context;
+	};
+
+	const json = (res, status, data) => res.writeHead(status, { "content-type": "application/json" }).end(JSON.stringify(data));
+	const select = (items, url) => {
+		const tab = url.searchParams.get("tab");
+		const since = Number(url.searchParams.get("since") ?? 0);
+		return items.filter((item) => (!tab || item.tab === tab) && (item.timestamp ?? item.started) > since);
+	};
+
+	const onRequest = async (req, res) => {
+		// Only local tools: web pages send an Origin, and DNS rebinding a foreign Host
+		const host = req.headers.host ?? "";
+		if (req.headers.origin || !/^(127\.0\.0\.1|localhost)(:\d+)?$/.test(host)) return json(res, 403, { error: "Forbidden" });
+
+		const url = new URL(req.url, `http://${host}`);
+		try {
+			if (req.method === "GET" && url.pathname === "/status") {
+				return json(res, 200, {
+					pid: process.pid,
+					started,
+					clients: relay.clients,
+					tabs: [...parents.entries()].filter(([, parent]) => !parent).length,
+					selectedTab,
+					console: consoleEntries.length,
+					network: requests.length,
+				});
+			}
+			if (req.method === "GET" && url.pathname === "/console") return json(res, 200, select(consoleEntries, url));
+			if (req.method === "GET" && url.pathname === "/network") return json(res, 200, select(requests, url));
+			if (url.pathname === "/tab") {
+				if (req.method === "PUT") {
+					const { id = null } = await readBody(req);
+					if (id !== null && parents.get(id) !== null) return json(res, 404, { error: `No tab ${id}` });
+					selectedTab = id;
+				}
+				return json(res, 200, { id: selectedTab });
+			}
+			json(res, 404, { error: `No ${req.method} ${url.pathname}` });
+		} catch (e) {
+			json(res, 400, { error: e.message });
+		}
+	};
+
+	const relay = await startRelay({ upstream, events: ["log", "network", "browsingContext"], onRequest });
+	const { connection } = relay;
+
+	const { result } = await connection.send("browsingContext.getTree", {});
+	const walk = (context, parent) => {
+		parents.set(context.context, parent);
+		for (const child of context.children ?? []) walk(child, context.context);
+	};
+	for (const context of result.contexts) walk(context, null);
+	connection.on("browsingContext.contextCreated", (params) => parents.set(params.context, params.parent ?? null));
+	connection.on("browsingContext.contextDestroyed", (params) => {
+		// Keep buffered events: what a closed tab logged can still be asked for
+		parents.delete(params.context);
+		if (params.context === selectedTab) selectedTab = null;
+	});
+
+	connection.on("log.entryAdded", (raw) => {
+		if (raw.source?.context) push(consoleEntries, { tab: tabOf(raw.source.context), ...toEntry(raw) });
+	});
+	trackRequests(connection, {
+		onRecord: (record) => push(requests, { tab: tabOf(record.context), ...record }),
+	});
+
+	return Object.assign(relay, { started });
+}
@@ -0,0 +1,354 @@
+/**
+ * In-page helpers shared by the element commands.
+ *
+ * Functions passed to page.evaluate() are serialized on their own, so any
+ * helper they call is lost. inPage() wraps a function so that its serialized
+ * source declares every helper below first, which lets page code share them.
+ * Helpers must be plain `function` declarations that only use each other.
+ */
+
+const HELPERS = [];
+
+/**
+ * Wrap `fn` for page.evaluate() / handle.evaluate() with all in-page helpers
+ * in scope, or the given `helpers` instead. Arguments (including element
+ * handles) pass through unchanged.
+ */
+export function inPage(fn, helpers = HELPERS) {
+	const source = `(...args) => {
+${helpers.map((h) => h.toString()).join("\n")}
+return (${fn.toString()})(...args);
+}`;
+	const wrapper = () => {};
+	wrapper.toString = () => source;
+	return wrapper;
+}
+
+function normalizeText(s) {
+	return (s || "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * All elements under `root`, descending into open shadow roots.
+ */
+function deepElements(root = document) {
+	const out = [];
+	const walk = (r) => {
+		for (const el of r.querySelectorAll("*")) {
+			out.push(el);
+			if (el.shadowRoot) walk(el.shadowRoot);
+		}
+	};
+	walk(root);
+	return out;
+}
+
+/**
+ * querySelectorAll across the document and all open shadow roots.
+ */
+function deepQuerySelectorAll(selector, root = document) {
+	const out = [...root.querySelectorAll(selector)];
+	for (const el of deepElements(root)) {
+		if (el.shadowRoot) out.push(...el.shadowRoot.querySelectorAll(selector));
+	}
+	return out;
+}
+
+function isVisible(el) {
+	const rect = el.getBoundingClientRect();
+	if (rect.width === 0 || rect.height === 0) return false;
+	const style = getComputedStyle(el);
+	return style.visibility !== "hidden" && style.display !== "none";
+}
+
+function isEnabled(el) {
+	if (el.closest("[aria-disabled='true']")) return false;
+	return !(el.disabled || el.closest("fieldset[disabled]"));
+}
+
+/**
+ * ARIA role of an element: the explicit role attribute, else a common subset
+ * of the implicit HTML roles.
+ */
+function roleOf(el) {
+	const explicit = el.getAttribute("role");
+	if (explicit) return explicit.trim().split(/\s+/)[0];
+
+	const tag = el.localName;
+	if (/^h[1-6]$/.test(tag)) return "heading";
+	if (tag === "input") {
+		const type = (el.getAttribute("type") || "text").toLowerCase();
+		if (["button", "submit", "reset", "image"].includes(type)) return "button";
+		if (type === "hidden") return null;
+		const roles = {
+			checkbox: "checkbox",
+			radio: "radio",
+			range: "slider",
+			number: "spinbutton",
+			search: "searchbox",
+			file: "button",
+		};
+		return roles[type] || (el.hasAttribute("list") ? "combobox" : "textbox");
+	}
+	if (tag === "a" || tag === "area") return el.hasAttribute("href") ? "link" : null;
+	if (tag === "select") return el.multiple || el.size > 1 ? "listbox" : "combobox";
+	if (tag === "img") return el.getAttribute("alt") === "" ? "presentation" : "img";
+	if (tag === "section") return el.hasAttribute("aria-label") || el.hasAttribute("aria-labelledby") ? "region" : null;
+	if (tag === "header" || tag === "footer") {
+		if (el.parentElement?.closest("article, aside, main, nav, section")) return null;
+		return tag === "header" ? "banner" : "contentinfo";
+	}
+	const roles = {
+		article: "article",
+		aside: "complementary",
+		button: "button",
+		details: "group",
+		dialog: "dialog",
+		fieldset: "group",
+		form: "form",
+		hr: "separator",
+		li: "listitem",
+		main: "main",
+		nav: "navigation",
+		ol: "list",
+		option: "option",
+		progress: "progressbar",
+		search: "search",
+		summary: "button",
+		table: "table",
+		td: "cell",
+		textarea: "textbox",
+		th: "columnheader",
+		tr: "row",
+		ul: "list",
+	};
+	return roles[tag] || null;
+}
+
+/**
+ * Accessible name of an element, following the common steps of the
+ * accname algorithm (labelledby, aria-label, labels, alt, content, title).
+ */
+function nameOf(el) {
+	const labelledBy = el.getAttribute("aria-labelledby");
+	if (labelledBy) {
+		const root = el.getRootNode();
+		const text = labelledBy
+			.split(/\s+/)
+			.map((id) => root.getElementById?.(id)?.textContent || "")
+			.join(" ");
+		if (normalizeText(text)) return normalizeText(text);
+	}
+
+	const ariaLabel = normalizeText(el.getAttribute("aria-label"));
+	if (ariaLabel) return ariaLabel;
+
+	if (el.labels?.length) {
+		const text = normalizeText([...el.labels].map((l) => l.textContent).join(" "));
+		if (text) return text;
+	}
+
+	const tag = el.localName;
+	const type = (el.getAttribute("type") || "").toLowerCase();
+	if (tag === "img" || (tag === "input" && type === "image")) {
+		const alt = normalizeText(el.getAttribute("alt"));
+		if (alt) return alt;
+	}
+	if (tag === "input" && ["button", "submit", "reset"].includes(type)) {
+		return normalizeText(el.value) || { submit: "Submit", reset: "Reset" }[type] || "";
+	}
+
+	const fromContent = ["button", "cell", "checkbox", "columnheader", "heading", "link", "menuitem", "option", "radio", "row", "switch", "tab", "treeitem"];
+	if (fromContent.includes(roleOf(el)) || tag === "label" || tag === "legend") {
+		const text = normalizeText(el.innerText ?? el.textContent);
+		if (text) return text;
+	}
+
+	return normalizeText(el.getAttribute("title")) || normalizeText(el.getAttribute("placeholder"));
+}
+
+/**
+ * Elements matching a target: { ref } (from firefox-snapshot.js), { selector }
+ * (CSS), { text } (visible text, deepest element wins), and/or { role, name }.
+ * `exact` requires full-string text/name matches instead of case-insensitive
+ * substrings.
+ */
+function matchTarget(target) {
+	const matches = (value, query) => {
+		if (target.exact) return value === query;
+		return value.toLowerCase().includes(query.toLowerCase());
+	};
+
+	if (target.ref) return deepQuerySelectorAll(`[data-firefox-ref="${CSS.escape(target.ref)}"]`);
+
+	let candidates = target.selector ? deepQuerySelectorAll(target.selector) : deepElements();
+
+	if (target.text != null) {
+		const textOf = (el) =>
+			normalizeText(el.localName === "input" ? el.value || el.getAttribute("aria-label") : el.innerText ?? el.textContent);
+		candidates = candidates.filter(
+			(el) => matches(textOf(el), target.text) && ![...el.children].some((c) => matches(textOf(c), target.text)),
+		);
+	}
+	if (target.role) candidates = candidates.filter((el) => roleOf(el) === target.role);
+	if (target.name != null) candidates = candidates.filter((el) => matches(nameOf(el), target.name));
+
+	return candidates;
+}
+
+/**
+ * The `nth` element matching `target`, only counting visible and enabled
+ * elements when `actionable` is set. Returns null if there is none yet.
+ */
+function findTarget(target, actionable) {
+	let found = matchTarget(target);
+	if (actionable) found = found.filter((el) => isVisible(el) && isEnabled(el));
+	return found[target.nth || 0] || null;
+}
+
+/**
+ * Counts used to explain why findTarget() came up empty.
+ */
+function countTarget(target) {
+	const found = matchTarget(target);
+	return {
+		matched: found.length,
+		visible: found.filter(isVisible).length,
+		enabled: found.filter((el) => isVisible(el) && isEnabled(el)).length,
+	};
+}
+
+/**
+ * Short human-readable description: role "name" (tag#id.class).
+ */
+function describeElement(el) {
+	const id = el.id ? `#${el.id}` : "";
+	const cls = typeof el.className === "string" && el.className.trim()
+		? `.${el.className.trim().split(/\s+/).slice(0, 3).join(".")}`
+		: "";
+	const role = roleOf(el);
+	const name = nameOf(el).slice(0, 80);
+	return `${role || el.localName}${name ? ` "${name}"` : ""} (${el.localName}${id}${cls})`;
+}
+
+/**
+ * A CSS selector that deepQuerySelectorAll() (and so the element commands)
+ * resolves to `el` alone. Prefers ids, test ids, names and labels, then
+ * classes, then a `>` path up the ancestors with :nth-of-type where needed.
+ * Generated-looking ids and classes (CSS-in-JS hashes, Tailwind variants)
+ * are skipped. Inside a shadow root the path stops at the root, so it may
+ * still match elsewhere; callers check.
+ */
+function uniqueSelector(el) {
+	const unique = (selector) => {
+		try {
+			const found = deepQuerySelectorAll(selector);
+			return found.length === 1 && found[0] === el;
+		} catch {
+			return false;
+		}
+	};
+	const generated = (s) => /\d{3,}|^(css|sc|jsx|emotion|svelte)-|^[:_-]|[:[\]/!@.]/.test(s) || /\d.*[A-Z]|[A-Z].*\d/.test(s);
+
+	const candidates = (e) => {
+		const tag = CSS.escape(e.localName);
+		const out = [];
+		if (e.id && !generated(e.id)) out.push(`#${CSS.escape(e.id)}`);
+		for (const attr of ["data-testid", "data-test-id", "data-test", "data-cy", "data-qa"]) {
+			const value = e.getAttribute(attr);
+			if (value) out.push(`[${attr}="${CSS.escape(value)}"]`);
+		}
+		for (const attr of ["name", "aria-label", "placeholder", "title", "alt", "for", "href"]) {
+			const value = e.getAttribute(attr);
+			if (value && value.length <= 80 && !/^javascript:/i.test(value)) out.push(`${tag}[${attr}="${CSS.escape(value)}"]`);
+		}
+		const classes = [...e.classList].filter((c) => !generated(c)).slice(0, 5);
+		for (const c of classes) out.push(`${tag}.${CSS.escape(c)}`);
+		for (let i = 0; i < classes.length; i++) {
+			for (let j = i + 1; j < classes.length; j++) out.push(`${tag}.${CSS.escape(classes[i])}.${CSS.escape(classes[j])}`);
+		}
+		out.push(tag);
+		return out;
+	};
+
+	const own = candidates(el).find(unique);
+	if (own) return own;
+
+	// Walk up, distinguishing each step from its siblings, until it's unique
+	let selector = "";
+	for (let current = el; current; current = current.parentElement) {
+		const siblings = [...current.parentNode.children];
+		let part = candidates(current).find((c) => siblings.filter((s) => s.matches(c)).length === 1);
+		if (!part) {
+			const sameTag = siblings.filter((s) => s.localName === current.localName);
+			part = `${CSS.escape(current.localName)}:nth-of-type(${sameTag.indexOf(current) + 1})`;
+		}
+		selector = selector ? `${part} > ${selector}` : part;
+		if (unique(selector)) return selector;
+	}
+	return selector;
+}
+
+/**
+ * An XPath for `el`: from the nearest ancestor with a unique id, else from
+ * the root. Null inside shadow roots, which XPath can't reach.
+ */
+function xPathOf(el) {
+	if (el.getRootNode() !== document) return null;
+	const parts = [];
+	for (let current = el; current; current = current.parentElement) {
+		const id = current.id;
+		if (id && !id.includes('"') && document.querySelectorAll(`#${CSS.escape(id)}`).length === 1) {
+			return [`//*[@id="${id}"]`, ...parts].join("/");
+		}
+		const html = current.namespaceURI === "http://www.w3.org/1999/xhtml";
+		const name = html ? current.localName : `*[local-name()="${current.localName}"]`;
+		const same = [...(current.parentElement?.children ?? [])].filter((s) => s.localName === current.localName);
+		parts.unshift(same.length > 1 ? `${name}[${same.indexOf(current) + 1}]` : name);
+	}
+	return `/${parts.join("/")}`;
+}
+
+/**
+ * A target for matchTarget() based on what the user sees: role and
+ * accessible name, else visible text. Adds `nth` (counted like findTarget
+ * does) when other elements match too. Null if neither finds `el`.
+ */
+function locatorFor(el) {
+	const targets = [];
+	const role = roleOf(el);
+	const name = nameOf(el);
+	if (role && name) targets.push({ role, name, exact: true });
+	const text = normalizeText(el.innerText ?? el.textContent);
+	// A select's or textarea's text is its options or value, not a label
+	if (text && text.length <= 80 && !["select", "textarea"].includes(el.localName)) targets.push({ text, exact: true });
+
+	let fallback = null;
+	for (const target of targets) {
+		const found = matchTarget(target);
+		if (found.length === 1 && found[0] === el) return target;
+		const actionable = found.filter((e) => isVisible(e) && isEnabled(e));
+		const index = (actionable.includes(el) ? actionable : found).indexOf(el);
+		if (index >= 0 && !fallback) fallback = { ...target, nth: index };
+	}
+	return fallback;
+}
+
+HELPERS.push(
+	normalizeText,
+	deepElements,
+	deepQuerySelectorAll,
+	isVisible,
+	isEnabled,
+	roleOf,
+	nameOf,
+	matchTarget,
+	findTarget,
+	countTarget,
+	describeElement,
+	uniqueSelector,
+	xPathOf,
+	locatorFor,
+);
+
+export { findTarget, countTarget, describeElement, uniqueSelector };
@@ -0,0 +1,327 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { sessionDir } from "./session.js";
+
+/**
+ * Device and environment emulation for a tab over WebDriver BiDi: viewport
+ * and DPR (browsingContext.setViewport), user agent, touch, locale,
+ * timezone and geolocation (emulation.*). Overrides may not outlive the
+ * BiDi session that set them, and every script has its own session, so
+ * the emulation of each tab is saved in sessionDir()/emulation.json and
+ * applied again by activePage().
+ *
+ * Firefox has no BiDi command for prefers-color-scheme or reduced motion;
+ * those are reported as unsupported, with the pref to start Firefox with.
+ */
+
+const ANDROID_UA = "Mozilla/5.0 (Android 14; Mobile; rv:128.0) Gecko/128.0 Firefox/128.0";
+const IPHONE_UA =
+	"Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) FxiOS/128.0 Mobile/15E148 Safari/605.1.15";
+const IPAD_UA =
+	"Mozilla/5.0 (iPad; CPU OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) FxiOS/128.0 Mobile/15E148 Safari/605.1.15";
+
+export const DEVICES = {
+	"iphone-15": { viewport: { width: 393, height: 852 }, dpr: 3, userAgent: IPHONE_UA, touch: true },
+	"iphone-se": { viewport: { width: 375, height: 667 }, dpr: 2, userAgent: IPHONE_UA, touch: true },
+	"pixel-7": { viewport: { width: 412, height: 915 }, dpr: 2.625, userAgent: ANDROID_UA, touch: true },
+	ipad: { viewport: { width: 820, height: 1180 }, dpr: 2, userAgent: IPAD_UA, touch: true },
+	laptop: { viewport: { width: 1366, height: 768 }, dpr: 1 },
+	"desktop-hd": { viewport: { width: 1920, height: 1080 }, dpr: 1 },
+};
+
+export const EMULATE_OPTIONS = {
+	device: { type: "string" },
+	viewport: { type: "string" },
+	dpr: { type: "string" },
+	"user-agent": { type: "string" },
+	locale: { type: "string" },
+	timezone: { type: "string" },
+	geolocation: { type: "string" },
+	"color-scheme": { type: "string" },
+	"reduced-motion": { type: "boolean" },
+};
+
+export const EMULATE_USAGE = `
+Emulation (kept for the tab until changed with firefox-emulate.js):
+  --device <name>          Preset: ${Object.keys(DEVICES).join(", ")}
+  --viewport <WxH>         Viewport size in CSS pixels, e.g. 390x844
+  --dpr <ratio>            Device pixel ratio
+  --user-agent <string>    User agent
+  --locale <tag>           navigator.language, Intl and Accept-Language, e.g. de-DE
+  --timezone <id>          IANA timezone, e.g. America/New_York
+  --geolocation <lat,lon>  Position for navigator.geolocation (optional ,accuracy)
+  --color-scheme <scheme>  light or dark (needs a Firefox pref, see firefox-emulate.js)
+  --reduced-motion         prefers-reduced-motion: reduce (needs a Firefox pref)`;
+
+/**
+ * Emulation settings from parsed EMULATE_OPTIONS, or null if none were
+ * given. A --device preset fills in what the other options don't set.
+ * Throws on invalid values.
+ */
+export function emulationFromArgs(values) {
+	const config = {};
+	if (values.device !== undefined) {
+		const device = DEVICES[values.device];
+		if (!device) throw new Error(`Unknown device "${values.device}" (use ${Object.keys(DEVICES).join(", ")})`);
+		Object.assign(config, device, { device: values.device });
+	}
+	if (values.viewport !== undefined) {
+		const m = values.viewport.match(/^(\d+)x(\d+)$/);
+		if (!m || Number(m[1]) === 0 || Number(m[2]) === 0) {
+			throw new Error(`Invalid --viewport "${values.viewport}", expected WIDTHxHEIGHT`);
+		}
+		config.viewport = { width: Number(m[1]), height: Number(m[2]) };
+	}
+	if (values.dpr !== undefined) {
+		config.dpr = Number(values.dpr);
+		if (!(config.dpr > 0)) throw new Error(`Invalid --dpr "${values.dpr}"`);
+	}
+	if (values["user-agent"] !== undefined) config.userAgent = values["user-agent"];
+	if (values.locale !== undefined) {
+		try {
+			config.locale = Intl.getCanonicalLocales(values.locale)[0];
+		} catch {
+			throw new Error(`Invalid --locale "${values.locale}", expected a language tag like en-US`);
+		}
+	}
+	if (values.timezone !== undefined) {
+		try {
+			new Intl.DateTimeFormat("en", { timeZone: values.timezone });
+		} catch {
+			throw new Error(`Unknown --timezone "${values.timezone}", expected an IANA name like Europe/Berlin`);
+		}
+		config.timezone = values.timezone;
+	}
+	if (values.geolocation !== undefined) {
+		const [latitude, longitude, accuracy = 10] = values.geolocation.split(",").map(Number);
+		if (!(Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 && accuracy >= 0)) {
+			throw new Error(`Invalid --geolocation "${values.geolocation}", expected lat,lon[,accuracy]`);
+		}
+		config.geolocation = { latitude, longitude, accuracy };
+	}
+	if (values["color-scheme"] !== undefined) {
+		if (!["light", "dark"].includes(values["color-scheme"])) {
+			throw new Error(`Invalid --color-scheme "${values["color-scheme"]}" (use light or dark)`);
+		}
+		config.colorScheme = values["color-scheme"];
+	}
+	if (values["reduced-motion"]) config.reducedMotion = true;
+	return Object.keys(config).length ? config : null;
+}
+
+function acceptLanguage(locale) {
+	const language = locale.split("-")[0];
+	return language === locale ? locale : `${locale},${language};q=0.9`;
+}
+
+/**
+ * Features, each with the config keys it covers and how to set (or, with
+ * config values undefined, clear) it for a context. A feature with `extra`
+ * only complements another one covering the same keys.
+ */
+const FEATURES = [
+	{
+		name: "viewport",
+		keys: ["viewport", "dpr"],
+		apply: (send, context, c) =>
+			send("browsingContext.setViewport", { context, viewport: c.viewport ?? null, devicePixelRatio: c.dpr ?? null }),
+	},
+	{
+		name: "user agent",
+		keys: ["userAgent"],
+		apply: (send, context, c) => send("emulation.setUserAgentOverride", { userAgent: c.userAgent ?? null, contexts: [context] }),
+	},
+	{
+		name: "touch",
+		keys: ["touch"],
+		apply: (send, context, c) => send("emulation.setTouchOverride", { maxTouchPoints: c.touch ? 5 : null, contexts: [context] }),
+	},
+	{
+		name: "locale",
+		keys: ["locale"],
+		apply: (send, context, c) => send("emulation.setLocaleOverride", { locale: c.locale ?? null, contexts: [context] }),
+	},
+	{
+		name: "Accept-Language",
+		keys: ["locale"],
+		extra: true,
+		apply: (send, context, c) =>
+			send("network.setExtraHeaders", {
+				headers: c.locale ? [{ name: "Accept-Language", value: { type: "string", value: acceptLanguage(c.locale) } }] : [],
+				contexts: [context],
+			}),
+	},
+	{
+		name: "timezone",
+		keys: ["timezone"],
+		apply: (send, context, c) => send("emulation.setTimezoneOverride", { timezone: c.timezone ?? null, contexts: [context] }),
+	},
+	{
+		name: "geolocation",
+		keys: ["geolocation"],
+		apply: async (send, context, c, origin) => {
+			await send("emulation.setGeolocationOverride", { coordinates: c.geolocation ?? null, contexts: [context] });
+			if (c.geolocation && /^https?:/.test(origin ?? "")) {
+				await send("permissions.setPermission", { descriptor: { name: "geolocation" }, state: "granted", origin }).catch(() => {});
+			}
+		},
+	},
+	{
+		name: "color scheme",
+		keys: ["colorScheme"],
+		unsupported: (c) =>
+			`start Firefox with --pref layout.css.prefers-color-scheme.content-override=${c.colorScheme === "dark" ? 0 : 1}`,
+	},
+	{
+		name: "reduced motion",
+		keys: ["reducedMotion"],
+		unsupported: () => "start Firefox with --pref ui.prefersReducedMotion=1",
+	},
+];
+
+/**
+ * Apply `config` to the page's tab, clearing what `previous` set that
+ * `config` no longer does. Returns { applied, unsupported } where
+ * unsupported is [{ feature, reason, keys }] for what Firefox couldn't do,
+ * keys being the config keys that had no effect.
+ */
+export async function applyEmulation(browser, page, config, previous = {}) {
+	const context = page.mainFrame().browsingContext.id;
+	const send = (method, params) => browser.connection.send(method, params);
+	let origin = null;
+	try {
+		origin = new URL(page.url()).origin;
+	} catch {}
+	const applied = [];
+	const unsupported = [];
+
+	for (const feature of FEATURES) {
+		const set = feature.keys.some((k) => config[k] !== undefined);
+		if (!set && !feature.keys.some((k) => previous[k] !== undefined)) continue;
+		if (feature.unsupported) {
+			if (set) {
+				const reason = `Firefox can't emulate this over BiDi; ${feature.unsupported(config)}`;
+				unsupported.push({ feature: feature.name, reason, keys: feature.keys });
+			}
+			continue;
+		}
+		try {
+			await feature.apply(send, context, config, origin);
+			if (set) applied.push(feature.name);
+		} catch (e) {
+			if (set) {
+				const reason = `Firefox rejected it (${e.message}); a newer Firefox may support it`;
+				unsupported.push({ feature: feature.name, reason, keys: feature.extra ? [] : feature.keys });
+			}
+		}
+	}
+	return { applied, unsupported };
+}
+
+/**
+ * What the page currently sees, to check the emulation took effect.
+ */
+export function readEffective(page) {
+	return page.evaluate(() => ({
+		viewport: `${innerWidth}x${innerHeight}`,
+		dpr: devicePixelRatio,
+		userAgent: navigator.userAgent,
+		language: navigator.language,
+		timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+		colorScheme: matchMedia("(prefers-color-scheme: dark)").matches ? "dark" : "light",
+		reducedMotion: matchMedia("(prefers-reduced-motion: reduce)").matches,
+		maxTouchPoints: navigator.maxTouchPoints,
+	}));
+}
+
+// Whether the page already sees each config value (see readEffective)
+const ACTIVE = {
+	viewport: (e, v) => e.viewport === `${v.width}x${v.height}`,
+	dpr: (e, v) => e.dpr === v,
+	userAgent: (e, v) => e.userAgent === v,
+	touch: (e, v) => (e.maxTouchPoints > 0) === Boolean(v),
+	locale: (e, v) => e.language === v,
+	timezone: (e, v) => e.timezone === v,
+};
+
+/**
+ * The part of `config` the page doesn't already see, so emulation still in
+ * place on a tab isn't sent again. Values that can't be read back from the
+ * page (geolocation) are always included.
+ */
+export async function missingEmulation(page, config) {
+	const effective = await readEffective(page).catch(() => null);
+	if (!effective) return config;
+	return Object.fromEntries(Object.entries(config).filter(([key, value]) => !ACTIVE[key]?.(effective, value)));
+}
+
+// --- Saved emulation, per tab (context ID) ---
+
+const statePath = () => join(sessionDir(), "emulation.json");
+
+function readState() {
+	if (!existsSync(statePath())) return {};
+	try {
+		return JSON.parse(readFileSync(statePath(), "utf8"));
+	} catch {
+		return {};
+	}
+}
+
+export function loadEmulation(context) {
+	return readState()[context] ?? null;
+}
+
+/**
+ * Save a tab's emulation (null removes it). `openContexts` drops entries of
+ * tabs that have since been closed.
+ */
+export function saveEmulation(context, config, openContexts = null) {
+	const state = readState();
+	for (const id of Object.keys(state)) {
+		if (openContexts && !openContexts.includes(id)) delete state[id];
+	}
+	if (config) state[context] = config;
+	else delete state[context];
+	mkdirSync(sessionDir(), { recursive: true });
+	writeFileSync(statePath(), JSON.stringify(state, null, 2));
+}
+
+// Keys a device preset sets; a new --device replaces all of them
+const DEVICE_KEYS = ["device", "viewport", "dpr", "userAgent", "touch"];
+
+/**
+ * Add `config` to the tab's saved emulation (or replace it, with reset),
+ * apply the result and save what took effect. Returns { emulation,
+ * applied, unsupported } with unsupported as [{ feature, reason }].
+ */
+export async function emulateTab(browser, page, config, { reset = false, openContexts = null } = {}) {
+	const id = page.mainFrame().browsingContext.id;
+	const saved = loadEmulation(id) ?? {};
+	const next = reset ? {} : { ...saved };
+	if (config?.device) for (const key of DEVICE_KEYS) delete next[key];
+	Object.assign(next, config);
+
+	const { applied, unsupported } = await applyEmulation(browser, page, next, saved);
+	for (const { keys } of unsupported) for (const key of keys) delete next[key];
+	const emulation = Object.keys(next).length ? next : null;
+	saveEmulation(id, emulation, openContexts);
+	return { emulation, applied, unsupported: unsupported.map(({ feature, reason }) => ({ feature, reason })) };
+}
+
+/**
+ * Describe a config for humans, e.g. "iphone-15: 393x852 @3x, locale de-DE".
+ */
+export function describeEmulation(config) {
+	const parts = [];
+	const size = config.viewport ? `${config.viewport.width}x${config.viewport.height}` : "";
+	if (size || config.dpr) parts.push([size, config.dpr && `@${config.dpr}x`].filter(Boolean).join(" "));
+	if (config.touch) parts.push("touch");
+	if (config.userAgent && !config.device) parts.push(`UA "${config.userAgent}"`);
+	if (config.locale) parts.push(`locale ${config.locale}`);
+	if (config.timezone) parts.push(`timezone ${config.timezone}`);
+	if (config.geolocation) parts.push(`at ${config.geolocation.latitude},${config.geolocation.longitude}`);
+	if (config.colorScheme) parts.push(`${config.colorScheme} scheme`);
+	if (config.reducedMotion) parts.push("reduced motion");
+	return `${config.device ? `${config.device}: ` : ""}${parts.join(", ")}`;
+}
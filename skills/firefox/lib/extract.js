@@ -0,0 +1,241 @@
+import { inPage } from "./dom.js";
+
+/**
+ * Structured extraction from the page: tables, links, forms and metadata.
+ * Shared by firefox-extract.js (active tab) and firefox-content.js.
+ */
+
+export const EXTRACT_OPTIONS = {
+	tables: { type: "boolean" },
+	links: { type: "boolean" },
+	forms: { type: "boolean" },
+	meta: { type: "boolean" },
+};
+
+export const EXTRACT_MODES = Object.keys(EXTRACT_OPTIONS);
+
+export const EXTRACT_USAGE = `
+Structured data:
+  --tables   Every <table> as headers and rows (CSV in text output)
+  --links    Links with their text and absolute URL
+  --forms    Forms with their fields: type, name, label, value, required
+  --meta     Title, lang, canonical, description, OpenGraph, Twitter, JSON-LD`;
+
+/**
+ * The modes selected in parsed EXTRACT_OPTIONS.
+ */
+export function extractModes(values) {
+	return EXTRACT_MODES.filter((mode) => values[mode]);
+}
+
+// --- In-page extractors ---
+
+/**
+ * Tables as { index, caption, headers, rows }, with colspan/rowspan cells
+ * repeated into every column and row they cover. headers is the first row
+ * when it is made of <th> cells (or the <thead>), else null.
+ */
+function extractTables() {
+	return deepQuerySelectorAll("table").map((table, index) => {
+		const grid = [];
+		const rowEls = [...table.rows];
+		rowEls.forEach((row, r) => {
+			grid[r] ??= [];
+			let c = 0;
+			for (const cell of row.cells) {
+				while (grid[r][c] !== undefined) c++;
+				const text = normalizeText(cell.innerText ?? cell.textContent);
+				for (let dr = 0; dr < Math.max(1, cell.rowSpan); dr++) {
+					if (r + dr >= rowEls.length) break;
+					grid[r + dr] ??= [];
+					for (let dc = 0; dc < Math.max(1, cell.colSpan); dc++) grid[r + dr][c + dc] = text;
+				}
+				c += Math.max(1, cell.colSpan);
+			}
+		});
+		const width = Math.max(0, ...grid.map((row) => row.length));
+		const rows = grid.map((row) => Array.from({ length: width }, (_, i) => row[i] ?? ""));
+
+		const first = rowEls[0];
+		const headerRow = first && (first.parentElement?.localName === "thead" || [...first.cells].every((cell) => cell.localName === "th"));
+		return {
+			index,
+			caption: normalizeText(table.caption?.textContent) || null,
+			headers: headerRow ? rows[0] : null,
+			rows: headerRow ? rows.slice(1) : rows,
+		};
+	});
+}
+
+/**
+ * Links as { text, url, rel }, with absolute URLs; javascript: links and
+ * exact duplicates are left out.
+ */
+function extractLinks() {
+	const seen = new Set();
+	const links = [];
+	for (const a of deepQuerySelectorAll("a[href], area[href]")) {
+		if (/^javascript:/i.test(a.href)) continue;
+		// Image links are named by their image's alt text
+		const text = nameOf(a) || normalizeText(a.textContent) || normalizeText(a.querySelector("img[alt]")?.alt ?? a.getAttribute("alt") ?? a.title);
+		const key = `${a.href}\n${text}`;
+		if (seen.has(key)) continue;
+		seen.add(key);
+		links.push({ text, url: a.href, rel: a.getAttribute("rel") || null });
+	}
+	return links;
+}
+
+/**
+ * Forms as { name, action, method, fields }, plus a form with name null for
+ * fields outside any <form>. Password values are masked.
+ */
+function extractForms() {
+	const describeField = (el) => {
+		const tag = el.localName;
+		const type = tag === "input" ? (el.getAttribute("type") || "text").toLowerCase() : tag;
+		const field = {
+			type,
+			name: el.name || null,
+			id: el.id || null,
+			label: nameOf(el) || null,
+			value: type === "password" && el.value ? "••••" : el.value,
+			required: el.required,
+		};
+		if (["checkbox", "radio"].includes(type)) field.checked = el.checked;
+		if (tag === "select") {
+			field.multiple = el.multiple;
+			field.options = [...el.options].map((o) => ({ value: o.value, label: normalizeText(o.textContent), selected: o.selected }));
+		}
+		if (el.disabled) field.disabled = true;
+		if (el.placeholder) field.placeholder = el.placeholder;
+		return field;
+	};
+	const FIELDS = "input, select, textarea, button[name]";
+
+	const forms = deepQuerySelectorAll("form").map((form) => ({
+		name: form.getAttribute("name") || form.id || nameOf(form) || null,
+		action: form.action || location.href,
+		method: (form.getAttribute("method") || "get").toLowerCase(),
+		fields: [...form.elements].filter((el) => el.matches(FIELDS)).map(describeField),
+	}));
+	const loose = deepQuerySelectorAll(FIELDS).filter((el) => !el.form);
+	if (loose.length) forms.push({ name: null, action: null, method: null, fields: loose.map(describeField) });
+	return forms;
+}
+
+/**
+ * Page metadata: title, lang, canonical, description, OpenGraph and
+ * Twitter card properties, JSON-LD blocks, alternate languages and feeds.
+ */
+function extractMeta() {
+	const content = (selector) => document.querySelector(selector)?.getAttribute("content") || null;
+	const props = (prefix) => {
+		const out = {};
+		for (const el of document.querySelectorAll(`meta[property^="${prefix}:"], meta[name^="${prefix}:"]`)) {
+			const key = (el.getAttribute("property") || el.getAttribute("name")).slice(prefix.length + 1);
+			out[key] = el.getAttribute("content");
+		}
+		return out;
+	};
+	const jsonLd = [];
+	for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+		try {
+			jsonLd.push(JSON.parse(script.textContent));
+		} catch {
+			jsonLd.push({ error: "Invalid JSON", source: script.textContent.trim().slice(0, 200) });
+		}
+	}
+	const links = (selector) => [...document.querySelectorAll(selector)].map((l) => ({
+		href: l.href,
+		hreflang: l.hreflang || undefined,
+		type: l.type || undefined,
+		title: l.title || undefined,
+	}));
+	return {
+		title: document.title,
+		lang: document.documentElement.lang || null,
+		canonical: document.querySelector('link[rel="canonical"]')?.href || null,
+		description: content('meta[name="description"]'),
+		robots: content('meta[name="robots"]'),
+		openGraph: props("og"),
+		twitter: props("twitter"),
+		jsonLd,
+		alternates: links('link[rel="alternate"][hreflang]'),
+		feeds: links('link[rel="alternate"][type="application/rss+xml"], link[rel="alternate"][type="application/atom+xml"]'),
+	};
+}
+
+const EXTRACTORS = { tables: extractTables, links: extractLinks, forms: extractForms, meta: extractMeta };
+
+/**
+ * Run the given modes (see EXTRACT_MODES) on the page's main frame.
+ * Returns { [mode]: data }.
+ */
+export async function extractFromPage(page, modes) {
+	const result = {};
+	for (const mode of modes) result[mode] = await page.evaluate(inPage(EXTRACTORS[mode]));
+	return result;
+}
+
+// --- Text output ---
+
+function csvCell(value) {
+	return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+export function tableToCsv(table) {
+	const rows = table.headers ? [table.headers, ...table.rows] : table.rows;
+	return rows.map((row) => row.map(csvCell).join(",")).join("\n");
+}
+
+function formatField(field) {
+	const parts = [field.type];
+	if (field.name) parts.push(`name=${field.name}`);
+	if (field.label) parts.push(JSON.stringify(field.label));
+	if (field.options) {
+		const selected = field.options.filter((o) => o.selected).map((o) => o.label);
+		parts.push(`value=${JSON.stringify(selected.join(", "))}`, `(${field.options.length} options)`);
+	} else if (field.value !== "" && field.value != null) {
+		parts.push(`value=${JSON.stringify(field.value)}`);
+	}
+	if (field.checked) parts.push("checked");
+	if (field.required) parts.push("required");
+	if (field.disabled) parts.push("disabled");
+	return parts.join(" ");
+}
+
+/**
+ * Print extracted data for humans. Each mode gets a heading when there are
+ * several, or when `headings` is set.
+ */
+export function printExtracted(result, { headings = Object.keys(result).length > 1 } = {}) {
+	for (const mode of Object.keys(result)) {
+		const data = result[mode];
+		if (headings) console.log(`\n## ${mode[0].toUpperCase()}${mode.slice(1)}\n`);
+
+		if (mode === "tables") {
+			if (!data.length) console.log("(no tables)");
+			for (const table of data) {
+				console.log(`# Table ${table.index + 1}${table.caption ? `: ${table.caption}` : ""} (${table.rows.length} ${table.rows.length === 1 ? "row" : "rows"})`);
+				console.log(tableToCsv(table));
+				console.log("");
+			}
+		} else if (mode === "links") {
+			if (!data.length) console.log("(no links)");
+			for (const link of data) console.log(`${link.text || "(no text)"} — ${link.url}`);
+		} else if (mode === "forms") {
+			if (!data.length) console.log("(no forms)");
+			for (const form of data) {
+				console.log(form.name === null && form.action === null ? "Fields outside forms:" : `Form ${form.name ?? "(unnamed)"}: ${form.method.toUpperCase()} ${form.action}`);
+				for (const field of form.fields) console.log(`  ${formatField(field)}`);
+			}
+		} else if (mode === "meta") {
+			for (const [key, value] of Object.entries(data)) {
+				const empty = value === null || (typeof value === "object" && !Object.keys(value).length);
+				if (empty) continue;
+				console.log(`${key}: ${typeof value === "string" ? value : JSON.stringify(value, null, 2)}`);
+			}
+		}
+	}
+}
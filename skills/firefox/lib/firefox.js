@@ -1,6 +1,7 @@
-import { execSync } from "node:child_process";
-import { existsSync, readFileSync, readdirSync } from "node:fs";
-import { join } from "node:path";
+import { execSync, spawn } from "node:child_process";
+import { closeSync, existsSync, openSync, readFileSync, readdirSync, writeFileSync } from "node:fs";
+import { delimiter, join } from "node:path";
+import { createInterface } from "node:readline";
 import Database from "better-sqlite3";
 
 export const CACHE_DIR = join(process.env.HOME, ".cache", "firefox-skill");
@@ -216,3 +217,154 @@ user_pref("toolkit.telemetry.enabled", false);
 		}
 	} catch {}
 }
+
+// Marks the block of prefs written by setExtraPrefs in user.js
+const EXTRA_PREFS_BEGIN = "// firefox-skill extra prefs: begin";
+const EXTRA_PREFS_END = "// firefox-skill extra prefs: end";
+
+/**
+ * Parse "name=value" pref specs into { name: value }. Values are parsed as
+ * JSON when possible (true, 42, "text"), otherwise kept as strings.
+ */
+export function parsePrefs(specs = []) {
+	const prefs = {};
+	for (const spec of specs) {
+		const eq = spec.indexOf("=");
+		if (eq < 1) throw new Error(`Invalid pref "${spec}" (expected name=value)`);
+		const raw = spec.slice(eq + 1);
+		let value;
+		try {
+			value = JSON.parse(raw);
+		} catch {
+			value = raw;
+		}
+		if (!["boolean", "number", "string"].includes(typeof value)) value = raw;
+		prefs[spec.slice(0, eq)] = value;
+	}
+	return prefs;
+}
+
+/**
+ * Replace the extra prefs in a profile's user.js with `prefs`, so prefs
+ * from an earlier launch don't stick around.
+ */
+export function setExtraPrefs(profileDir, prefs = {}) {
+	const userJs = join(profileDir, "user.js");
+	const existing = existsSync(userJs) ? readFileSync(userJs, "utf-8") : "";
+	const begin = existing.indexOf(EXTRA_PREFS_BEGIN);
+	const end = existing.indexOf(EXTRA_PREFS_END);
+	let rest = existing;
+	if (begin !== -1 && end > begin) {
+		rest = existing.slice(0, begin) + existing.slice(end + EXTRA_PREFS_END.length + 1);
+	}
+	const lines = Object.entries(prefs).map(([name, value]) => `user_pref(${JSON.stringify(name)}, ${JSON.stringify(value)});`);
+	const block = lines.length ? `${EXTRA_PREFS_BEGIN}\n${lines.join("\n")}\n${EXTRA_PREFS_END}\n` : "";
+	writeFileSync(userJs, rest + block);
+}
+
+/**
+ * Full path of `bin`, looked up on PATH when it is a bare command name such
+ * as "firefox-nightly". Null if it doesn't exist.
+ */
+function resolveBinary(bin) {
+	if (/[\\/]/.test(bin)) return existsSync(bin) ? bin : null;
+	const extensions = process.platform === "win32" ? ["", ...(process.env.PATHEXT ?? ".EXE").split(";")] : [""];
+	for (const dir of (process.env.PATH ?? "").split(delimiter)) {
+		for (const ext of extensions) {
+			const path = join(dir, bin + ext);
+			if (dir && existsSync(path)) return path;
+		}
+	}
+	return null;
+}
+
+/**
+ * Launch Firefox with WebDriver BiDi enabled and wait until it listens.
+ *
+ * Options: profileDir (required), firefoxBin (a path or a command on PATH;
+ * found with findFirefox() if unset), port (0 lets Firefox pick a free one), headless, width, height,
+ * prefs ({ name: value }, see setExtraPrefs), logFile and timeout (ms).
+ *
+ * Firefox prints its endpoint as "WebDriver BiDi listening on ws://...".
+ * Without logFile its output is piped and read from directly, which suits
+ * a browser that exits with the caller. With logFile it goes to that file
+ * instead, so a browser left running doesn't depend on the caller's pipes.
+ *
+ * The process is detached, so it leads its own process group. Returns
+ * { proc, wsUrl, port, firefoxBin }; throws if Firefox can't be found,
+ * exits or doesn't report an endpoint in time (the process is killed).
+ */
+export async function launchFirefox({
+	profileDir,
+	firefoxBin = findFirefox(),
+	port = 0,
+	headless = false,
+	width,
+	height,
+	prefs = {},
+	logFile = null,
+	timeout = 15000,
+}) {
+	if (!firefoxBin) throw new Error("Could not find Firefox. Install it or pass --firefox-bin <path>.");
+	const resolved = resolveBinary(firefoxBin);
+	if (!resolved) throw new Error(`Firefox binary not found: ${firefoxBin}`);
+	firefoxBin = resolved;
+
+	setExtraPrefs(profileDir, prefs);
+
+	const args = ["--remote-debugging-port", String(port), "--profile", profileDir, "--no-remote"];
+	if (headless) args.push("--headless");
+	if (width && height) {
+		// Headless windows are sized with --window-size; --width/--height only apply to real windows
+		args.push(...(headless ? [`--window-size=${width},${height}`] : ["--width", String(width), "--height", String(height)]));
+	}
+
+	const log = logFile ? openSync(logFile, "w") : null;
+	const proc = spawn(firefoxBin, args, {
+		detached: true,
+		stdio: log === null ? ["ignore", "pipe", "pipe"] : ["ignore", log, log],
+	});
+	if (log !== null) closeSync(log);
+
+	let poll = null;
+	try {
+		const wsUrl = await new Promise((resolve, reject) => {
+			const regex = /WebDriver BiDi listening on (ws:\/\/\S+)/;
+			const timer = setTimeout(() => reject(new Error("Timed out waiting for Firefox BiDi endpoint")), timeout);
+			const found = (url) => {
+				clearTimeout(timer);
+				resolve(url);
+			};
+
+			if (logFile) {
+				poll = setInterval(() => {
+					const m = readFileSync(logFile, "utf-8").match(regex);
+					if (m) found(m[1]);
+				}, 100);
+			} else {
+				const onLine = (line) => {
+					const m = line.match(regex);
+					if (m) found(m[1]);
+				};
+				createInterface(proc.stdout).on("line", onLine);
+				createInterface(proc.stderr).on("line", onLine);
+			}
+			proc.on("error", (e) => {
+				clearTimeout(timer);
+				reject(e);
+			});
+			proc.on("exit", (code) => {
+				clearTimeout(timer);
+				reject(new Error(`Firefox exited with code ${code}`));
+			});
+		});
+		return { proc, wsUrl, port: Number(new URL(wsUrl).port), firefoxBin };
+	} catch (e) {
+		try {
+			process.kill(-proc.pid, "SIGKILL");
+		} catch {}
+		throw e;
+	} finally {
+		clearInterval(poll);
+	}
+}
@@ -0,0 +1,166 @@
+import { existsSync, mkdirSync, readFileSync, readlinkSync, rmSync, writeFileSync } from "node:fs";
+import { basename, join } from "node:path";
+import { connect } from "./connect.js";
+import { commandLine, isAlive } from "./process.js";
+import { getSession, isListening, sessionDir } from "./session.js";
+
+/**
+ * The Firefox started by firefox-start.js for the current session. Its
+ * state ({ pid, port, profileDir, profile, firefoxBin, headless, started })
+ * is kept in sessionDir()/browser.json so later scripts can stop it, report
+ * on it, or clean up after it crashed.
+ */
+
+const statePath = () => join(sessionDir(), "browser.json");
+
+// Files Firefox creates in a profile while it runs; a crash leaves them behind
+const LOCK_FILES = ["lock", ".parentlock", "parent.lock"];
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * The recorded instance state, or null if none was written.
+ */
+export function readInstance() {
+	if (!existsSync(statePath())) return null;
+	try {
+		return JSON.parse(readFileSync(statePath(), "utf8"));
+	} catch {
+		return null;
+	}
+}
+
+export function writeInstance(state) {
+	mkdirSync(sessionDir(), { recursive: true });
+	writeFileSync(statePath(), JSON.stringify(state, null, 2));
+}
+
+export function removeInstance() {
+	rmSync(statePath(), { force: true });
+}
+
+/**
+ * PID of the Firefox holding a profile's lock, from the `lock` symlink
+ * ("<ip>:+<pid>") Firefox creates on Linux. Null if there is none or it
+ * can't be read (macOS and Windows use plain lock files).
+ */
+export function profileLockPid(profileDir) {
+	try {
+		const match = readlinkSync(join(profileDir, "lock")).match(/\+(\d+)$/);
+		return match ? Number(match[1]) : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Whether the recorded instance's PID is still the Firefox we started. PIDs
+ * are reused after a crash or reboot, so before signalling it, check that
+ * the profile lock points at it, or that its command line (Linux) is a
+ * Firefox binary with our --profile.
+ */
+export function isOurFirefox(state) {
+	if (!state?.pid || !isAlive(state.pid)) return false;
+	if (profileLockPid(state.profileDir) === state.pid) return true;
+	const args = commandLine(state.pid);
+	if (!args) return false;
+	const profile = args.indexOf("--profile");
+	const binary = args[0] === state.firefoxBin || /firefox/i.test(basename(args[0]));
+	return binary && profile !== -1 && args[profile + 1] === state.profileDir;
+}
+
+export function clearProfileLock(profileDir) {
+	for (const file of LOCK_FILES) rmSync(join(profileDir, file), { force: true });
+}
+
+// Signal the whole process group (Firefox is started detached, as its
+// leader, so this reaches its content processes too)
+function killGroup(pid, signal) {
+	try {
+		process.kill(-pid, signal);
+	} catch {
+		try {
+			process.kill(pid, signal);
+		} catch {}
+	}
+}
+
+async function waitFor(check, timeout) {
+	for (const end = Date.now() + timeout; Date.now() < end; ) {
+		if (await check()) return true;
+		await sleep(250);
+	}
+	return check();
+}
+
+/**
+ * Detect a dead or hung instance of the current session and clean up after
+ * it: a recorded PID that is gone (or now another process), or alive but no
+ * longer serving BiDi, and a profile lock left by a Firefox that no longer
+ * runs. Returns a description of what was cleaned up, or null if there was
+ * nothing to do.
+ */
+export async function cleanStaleInstance() {
+	const session = getSession();
+	const state = readInstance();
+	const listening = await isListening(session.port);
+	let cleaned = null;
+
+	if (state && !isAlive(state.pid)) {
+		cleaned = { pid: state.pid, reason: "exited" };
+	} else if (state && !isOurFirefox(state)) {
+		// Only forget it: the PID belongs to some other process now
+		cleaned = { pid: state.pid, reason: "exited (PID reused)" };
+	} else if (state && !listening) {
+		killGroup(state.pid, "SIGKILL");
+		await waitFor(() => !isAlive(state.pid), 3000);
+		cleaned = { pid: state.pid, reason: "not responding" };
+	}
+	if (cleaned) removeInstance();
+
+	const lockPid = profileLockPid(session.profileDir);
+	const lockHeld = lockPid && isAlive(lockPid) && lockPid !== state?.pid;
+	if (!listening && !lockHeld && (cleaned || lockPid)) {
+		clearProfileLock(session.profileDir);
+		cleaned ??= { pid: lockPid, reason: "stale profile lock" };
+	}
+	return cleaned;
+}
+
+/**
+ * Stop the current session's Firefox: ask it to close over BiDi, then
+ * SIGTERM and finally SIGKILL its process group if it is still running
+ * after `timeout` ms. Returns { stopped, pid, method } where method is
+ * "close", "SIGTERM" or "SIGKILL".
+ */
+export async function stopBrowser({ timeout = 10000 } = {}) {
+	const session = getSession();
+	const state = readInstance();
+	// Signals only go to a PID that is still our Firefox
+	const pid = isOurFirefox(state) ? state.pid : null;
+	const gone = () => (pid ? !isAlive(pid) : isListening(session.port).then((l) => !l));
+
+	if (!pid && !(await isListening(session.port))) {
+		removeInstance();
+		return { stopped: false, pid: null, method: null };
+	}
+
+	let method = "close";
+	try {
+		const browser = await connect();
+		await Promise.race([browser.close(), sleep(timeout)]);
+	} catch {}
+
+	if (!(await waitFor(gone, timeout)) && pid) {
+		method = "SIGTERM";
+		killGroup(pid, "SIGTERM");
+		if (!(await waitFor(gone, 5000))) {
+			method = "SIGKILL";
+			killGroup(pid, "SIGKILL");
+			await waitFor(gone, 2000);
+		}
+	}
+	if (method !== "close") clearProfileLock(session.profileDir);
+	removeInstance();
+	return { stopped: await gone(), pid, method };
+}
@@ -0,0 +1,197 @@
+import { readFileSync } from "node:fs";
+import { STATUS_CODES } from "node:http";
+import { dirname, extname, resolve } from "node:path";
+import { urlMatches } from "./wait.js";
+
+/**
+ * Request interception rules, applied with BiDi network.addIntercept.
+ * A rules file is a JSON array of rules, or { "rules": [...] }:
+ *
+ *   { "url": "doubleclick.net", "block": true }
+ *   { "url": "/api/user", "method": "GET", "respond": { "status": 200, "json": { "name": "Test" } } }
+ *   { "url": "/api/", "respond": { "status": 503, "body": "down", "headers": { "Retry-After": "5" } } }
+ *   { "url": "/logo.png", "respond": { "file": "fixtures/logo.png" } }
+ *   { "url": "/api/", "headers": { "set": { "Authorization": "Bearer x" }, "remove": ["Cookie"] } }
+ *   { "url": "/slow/", "delay": 2000 }
+ *
+ * url is a substring or /regex/flags ("*" matches everything) and method is
+ * optional. A rule has at most one of block, respond or headers; delay can be
+ * combined with any of them and is applied first. The first matching rule
+ * wins; unmatched requests continue untouched. Relative respond.file paths
+ * are resolved against the rules file.
+ */
+
+const MIME_TYPES = {
+	".json": "application/json",
+	".html": "text/html",
+	".htm": "text/html",
+	".js": "text/javascript",
+	".mjs": "text/javascript",
+	".css": "text/css",
+	".txt": "text/plain",
+	".xml": "application/xml",
+	".svg": "image/svg+xml",
+	".png": "image/png",
+	".jpg": "image/jpeg",
+	".jpeg": "image/jpeg",
+	".gif": "image/gif",
+	".webp": "image/webp",
+	".woff2": "font/woff2",
+};
+
+// Resolve respond.json/body/file into { status, headers, body: Buffer }
+function normalizeResponse(respond, baseDir) {
+	const headers = { ...respond.headers };
+	const hasType = Object.keys(headers).some((name) => name.toLowerCase() === "content-type");
+	let body;
+	let type;
+	if (respond.file !== undefined) {
+		const path = resolve(baseDir, respond.file);
+		body = readFileSync(path);
+		type = MIME_TYPES[extname(path).toLowerCase()] ?? "application/octet-stream";
+	} else if (respond.json !== undefined) {
+		body = Buffer.from(JSON.stringify(respond.json));
+		type = "application/json";
+	} else {
+		body = Buffer.from(respond.body ?? "");
+		type = "text/plain; charset=utf-8";
+	}
+	if (!hasType) headers["Content-Type"] = type;
+	return { status: respond.status ?? 200, headers, body };
+}
+
+/**
+ * Read and validate a rules file. Throws an Error naming the offending rule.
+ */
+export function loadRules(path) {
+	path = resolve(path);
+	let data;
+	try {
+		data = JSON.parse(readFileSync(path, "utf8"));
+	} catch (e) {
+		throw new Error(`Could not read rules from ${path}: ${e.message}`);
+	}
+	const rules = Array.isArray(data) ? data : data?.rules;
+	if (!Array.isArray(rules)) throw new Error(`${path}: expected an array of rules or { "rules": [...] }`);
+
+	return rules.map((rule, i) => {
+		const where = `${path}: rule ${i + 1}`;
+		if (typeof rule?.url !== "string" || !rule.url) throw new Error(`${where}: "url" is required`);
+		const actions = ["block", "respond", "headers"].filter((key) => rule[key] !== undefined);
+		if (actions.length > 1) throw new Error(`${where}: use only one of block, respond or headers`);
+		if (!actions.length && rule.delay === undefined) throw new Error(`${where}: needs block, respond, headers or delay`);
+		if (rule.delay !== undefined && !(Number(rule.delay) >= 0)) throw new Error(`${where}: "delay" must be a number of ms`);
+		try {
+			return {
+				url: rule.url,
+				method: rule.method?.toUpperCase(),
+				action: actions[0] ?? "delay",
+				delay: rule.delay !== undefined ? Number(rule.delay) : 0,
+				response: rule.respond ? normalizeResponse(rule.respond, dirname(path)) : null,
+				headers: rule.headers ? { set: rule.headers.set ?? {}, remove: (rule.headers.remove ?? []).map((h) => h.toLowerCase()) } : null,
+			};
+		} catch (e) {
+			throw new Error(`${where}: ${e.message}`);
+		}
+	});
+}
+
+/**
+ * Short description of a rule, e.g. "block doubleclick.net".
+ */
+export function describeRule(rule) {
+	const delay = rule.delay && rule.action !== "delay" ? ` after ${rule.delay}ms` : "";
+	const what = {
+		block: "block",
+		respond: `respond ${rule.response?.status}`,
+		headers: "rewrite headers of",
+		delay: `delay ${rule.delay}ms`,
+	}[rule.action];
+	return `${what}${rule.method ? ` ${rule.method}` : ""} ${rule.url}${delay}`;
+}
+
+function ruleMatches(rule, request) {
+	if (rule.method && rule.method !== request.method) return false;
+	return rule.url === "*" || urlMatches(request.url, rule.url);
+}
+
+const bidiHeaders = (headers) => Object.entries(headers).map(([name, value]) => ({ name, value: { type: "string", value: String(value) } }));
+
+async function applyRule(connection, rule, request) {
+	if (rule.delay) await new Promise((r) => setTimeout(r, rule.delay));
+	const id = request.request;
+	switch (rule.action) {
+		case "block":
+			return connection.send("network.failRequest", { request: id });
+		case "respond": {
+			const { status, headers, body } = rule.response;
+			return connection.send("network.provideResponse", {
+				request: id,
+				statusCode: status,
+				reasonPhrase: STATUS_CODES[status] ?? "",
+				headers: bidiHeaders(headers),
+				body: { type: "base64", value: body.toString("base64") },
+			});
+		}
+		case "headers": {
+			const set = Object.keys(rule.headers.set).map((name) => name.toLowerCase());
+			const kept = request.headers.filter(({ name }) => {
+				const lower = name.toLowerCase();
+				return !rule.headers.remove.includes(lower) && !set.includes(lower);
+			});
+			return connection.send("network.continueRequest", { request: id, headers: [...kept, ...bidiHeaders(rule.headers.set)] });
+		}
+		default:
+			return connection.send("network.continueRequest", { request: id });
+	}
+}
+
+/**
+ * Register an intercept on a BiDi `connection` (puppeteer's
+ * browser.connection, or anything with the same send/on shape) and apply
+ * `rules` to every request, in `contexts` if given. `onMatch(rule, request)`
+ * is called for each matched request. Requests no rule matches are left to
+ * any other intercept that blocked them, and continued otherwise.
+ * Returns { counts, setRules, remove }, where counts[i] is the number of
+ * requests rule i matched.
+ */
+export async function installIntercepts(connection, rules, { contexts, onMatch } = {}) {
+	const { result } = await connection.send("network.addIntercept", {
+		phases: ["beforeRequestSent"],
+		...(contexts ? { contexts } : {}),
+	});
+	const intercept = result.intercept;
+	let current = rules;
+	let counts = rules.map(() => 0);
+
+	const listener = (params) => {
+		if (!params.isBlocked || !params.intercepts?.includes(intercept)) return;
+		const index = current.findIndex((rule) => ruleMatches(rule, params.request));
+		if (index === -1) {
+			// Behind a relay, intercepts only lists this client's own (see lib/relay.js)
+			if ((params.totalIntercepts ?? params.intercepts.length) > 1) return;
+			connection.send("network.continueRequest", { request: params.request.request }).catch(() => {});
+			return;
+		}
+		const rule = current[index];
+		counts[index]++;
+		onMatch?.(rule, params.request);
+		// The request may be gone (tab closed, navigated away) by the time we answer
+		applyRule(connection, rule, params.request).catch(() => {});
+	};
+	connection.on("network.beforeRequestSent", listener);
+
+	return {
+		get counts() {
+			return counts;
+		},
+		setRules(rules) {
+			current = rules;
+			counts = rules.map(() => 0);
+		},
+		async remove() {
+			connection.off("network.beforeRequestSent", listener);
+			await connection.send("network.removeIntercept", { intercept }).catch(() => {});
+		},
+	};
+}
@@ -0,0 +1,163 @@
+import { inPage, findTarget, countTarget, describeElement } from "./dom.js";
+import { fail } from "./output.js";
+import { milliseconds } from "./wait.js";
+
+/**
+ * Options shared by the commands that act on an element.
+ */
+export const LOCATOR_OPTIONS = {
+	ref: { type: "string" },
+	selector: { type: "string" },
+	text: { type: "string" },
+	role: { type: "string" },
+	name: { type: "string" },
+	nth: { type: "string" },
+	exact: { type: "boolean" },
+	timeout: { type: "string" },
+};
+
+/**
+ * Usage text for LOCATOR_OPTIONS. Pass positional: false for commands whose
+ * positionals are not a selector.
+ */
+export function locatorUsage({ positional = true } = {}) {
+	return [
+		"",
+		"Target (one of):",
+		positional && "  <selector>           CSS selector, e.g. from firefox-pick.js, or a ref",
+		"  --ref <ref>          Element ref from firefox-snapshot.js, e.g. e12",
+		`  --selector <css>     ${positional ? "Same, as an option" : "CSS selector, e.g. from firefox-pick.js"}`,
+		"  --text <text>        Element whose visible text contains <text>",
+		"  --role <role>        ARIA role (button, link, textbox, ...), with optional --name",
+		"  --name <name>        Accessible name (label, aria-label, alt, text)",
+		"",
+		"  --nth <n>            Use the nth match (0-based, default 0)",
+		"  --exact              Match text/name exactly instead of as a substring",
+		"  --timeout <ms>       How long to wait for the element (default 10000)",
+	]
+		.filter((line) => line !== false)
+		.join("\n");
+}
+
+// Refs from firefox-snapshot.js; never a valid tag name, so never a selector
+const REF = /^e\d+$/;
+
+/**
+ * Build a target from parsed LOCATOR_OPTIONS. When no target option is given,
+ * `fallback` is used if set, else the first positional is taken as a ref
+ * (e12) or a CSS selector. Returns { target, rest, timeout } where rest are
+ * the remaining positionals; target is null if nothing was given. Exits
+ * with a usage error on an invalid --nth or --timeout.
+ */
+export function targetFromArgs(values, positionals, { fallback } = {}) {
+	if (values.nth !== undefined && !/^\d+$/.test(values.nth)) {
+		fail(`Invalid --nth "${values.nth}" (expected a non-negative integer)`, { code: "USAGE" });
+	}
+	let timeout;
+	try {
+		timeout = values.timeout !== undefined ? milliseconds(values.timeout, "--timeout") : undefined;
+	} catch (e) {
+		fail(e.message, { code: "USAGE" });
+	}
+
+	const rest = [...positionals];
+	const target = {
+		ref: values.ref,
+		selector: values.selector,
+		text: values.text,
+		role: values.role,
+		name: values.name,
+		exact: values.exact || false,
+		nth: values.nth ? Number(values.nth) : 0,
+	};
+	if (!target.ref && !target.selector && target.text == null && !target.role && target.name == null) {
+		if (fallback) Object.assign(target, fallback);
+		else if (rest.length && REF.test(rest[0])) target.ref = rest.shift();
+		else if (rest.length) target.selector = rest.shift();
+		else return { target: null, rest };
+	}
+	return { target, rest, timeout };
+}
+
+/**
+ * A target as options for the element commands, quoted for the shell, e.g.
+ * `--role button --name 'Sign in' --exact`.
+ */
+export function targetArgs(target) {
+	const quote = (s) => (/^[\w./#:=-]+$/.test(s) ? s : `'${s.replace(/'/g, "'\\''")}'`);
+	const args = [];
+	if (target.ref) args.push("--ref", target.ref);
+	if (target.selector) args.push("--selector", quote(target.selector));
+	if (target.text != null) args.push("--text", quote(target.text));
+	if (target.role) args.push("--role", target.role);
+	if (target.name != null) args.push("--name", quote(target.name));
+	if (target.exact) args.push("--exact");
+	if (target.nth) args.push("--nth", String(target.nth));
+	return args.join(" ");
+}
+
+export function describeTarget(target) {
+	const parts = [];
+	if (target.ref) parts.push(`ref ${target.ref}`);
+	if (target.selector) parts.push(`selector "${target.selector}"`);
+	if (target.text != null) parts.push(`text "${target.text}"`);
+	if (target.role) parts.push(`role ${target.role}`);
+	if (target.name != null) parts.push(`name "${target.name}"`);
+	if (target.nth) parts.push(`#${target.nth}`);
+	return parts.join(", ");
+}
+
+/**
+ * Wait until an element matching `target` exists in any frame of the page
+ * and, unless `actionable` is false, is visible and enabled.
+ * Returns { element, frame, description }; throws with match counts on timeout.
+ */
+export async function locate(page, target, { timeout = 10000, actionable = true } = {}) {
+	// NaN would never pass the deadline
+	if (!(timeout >= 0)) throw new Error(`Invalid timeout "${timeout}"`);
+	const find = inPage(findTarget);
+	const deadline = Date.now() + timeout;
+
+	for (;;) {
+		for (const frame of page.frames()) {
+			const handle = await frame.evaluateHandle(find, target, actionable).catch((e) => {
+				// A bad selector will never match; anything else (e.g. a frame
+				// navigating away) is retried.
+				if (/SyntaxError|not a valid selector/i.test(e.message)) throw e;
+				return null;
+			});
+			const element = handle?.asElement();
+			if (element) {
+				const description = await element.evaluate(inPage(describeElement));
+				return { element, frame, description };
+			}
+			await handle?.dispose().catch(() => {});
+		}
+		if (Date.now() > deadline) break;
+		await new Promise((r) => setTimeout(r, 100));
+	}
+
+	const counts = { matched: 0, visible: 0, enabled: 0 };
+	for (const frame of page.frames()) {
+		const c = await frame.evaluate(inPage(countTarget), target).catch(() => null);
+		if (!c) continue;
+		counts.matched += c.matched;
+		counts.visible += c.visible;
+		counts.enabled += c.enabled;
+	}
+	const state = actionable
+		? `${counts.matched} matched, ${counts.visible} visible, ${counts.enabled} visible and enabled`
+		: `${counts.matched} matched`;
+	const stale = target.ref && counts.matched === 0 ? "; refs are replaced by each snapshot, run firefox-snapshot.js again" : "";
+	const error = new Error(`Timed out after ${timeout}ms waiting for ${describeTarget(target)} (${state})${stale}`);
+	error.name = "TimeoutError";
+	throw error;
+}
+
+export async function locateOrExit(page, target, options) {
+	try {
+		return await locate(page, target, options);
+	} catch (e) {
+		fail(e.message, { code: e.name === "TimeoutError" ? "TIMEOUT" : "ERROR" });
+	}
+}
@@ -0,0 +1,278 @@
+import { urlMatches } from "./wait.js";
+
+/**
+ * Requests and responses from BiDi network.* events. Like console capture,
+ * only traffic seen while connected is recorded, so start recording before
+ * the navigation or action of interest.
+ */
+
+// BiDi headers are [{ name, value: { type, value } }]
+function headerList(headers = []) {
+	return headers.map(({ name, value }) => ({ name, value: value?.type === "base64" ? Buffer.from(value.value, "base64").toString() : (value?.value ?? "") }));
+}
+
+function headerValue(headers, name) {
+	return headerList(headers).find((h) => h.name.toLowerCase() === name)?.value ?? "";
+}
+
+/**
+ * Resource type of a record: document, stylesheet, script, image, font,
+ * media, fetch, xhr, websocket or other. Uses the request's destination and
+ * initiator when Firefox reports them, else the response MIME type.
+ */
+export function resourceType({ request, response }) {
+	const destination = request.destination;
+	const byDestination = {
+		document: "document",
+		iframe: "document",
+		frame: "document",
+		style: "stylesheet",
+		script: "script",
+		worker: "script",
+		image: "image",
+		font: "font",
+		audio: "media",
+		video: "media",
+		track: "media",
+	};
+	if (byDestination[destination]) return byDestination[destination];
+	if (request.initiatorType === "xmlhttprequest") return "xhr";
+	if (request.initiatorType === "fetch" || request.initiatorType === "beacon") return "fetch";
+	if (/^wss?:/.test(request.url)) return "websocket";
+
+	const mime = response?.mimeType ?? headerValue(response?.headers, "content-type");
+	if (/html/.test(mime)) return "document";
+	if (/css/.test(mime)) return "stylesheet";
+	if (/javascript|ecmascript/.test(mime)) return "script";
+	if (/^image\//.test(mime)) return "image";
+	if (/font/.test(mime)) return "font";
+	if (/^(audio|video)\//.test(mime)) return "media";
+	if (/json|xml|text\/plain/.test(mime)) return "fetch";
+	return "other";
+}
+
+/**
+ * Start recording network traffic on a BiDi `connection` for the browsing
+ * contexts `accept(context)` allows. `onRecord` is called as each request
+ * finishes or fails. Returns { records, stop }, where each record is
+ * { request, response, error, context, started, ended } holding the raw
+ * BiDi request and response data.
+ */
+export function trackRequests(connection, { accept = () => true, onRecord } = {}) {
+	const records = [];
+	const byId = new Map();
+	const key = (params) => `${params.request.request}:${params.redirectCount}`;
+
+	const onRequest = (params) => {
+		if (!accept(params.context)) return;
+		const record = {
+			request: params.request,
+			response: null,
+			error: null,
+			context: params.context,
+			started: params.timestamp,
+			ended: null,
+		};
+		byId.set(key(params), record);
+		records.push(record);
+	};
+	const finish = (params, fields) => {
+		const id = key(params);
+		const record = byId.get(id);
+		if (!record || record.ended) return;
+		byId.delete(id);
+		Object.assign(record, fields, { request: params.request, ended: params.timestamp });
+		onRecord?.(record);
+	};
+	const onResponse = (params) => finish(params, { response: params.response });
+	const onError = (params) => finish(params, { error: params.errorText });
+
+	connection.on("network.beforeRequestSent", onRequest);
+	connection.on("network.responseCompleted", onResponse);
+	connection.on("network.fetchError", onError);
+
+	return {
+		records,
+		async stop() {
+			// Completion events can trail the page's load by a few ms
+			await new Promise((r) => setTimeout(r, 100));
+			connection.off("network.beforeRequestSent", onRequest);
+			connection.off("network.responseCompleted", onResponse);
+			connection.off("network.fetchError", onError);
+			return records;
+		},
+	};
+}
+
+/**
+ * Start recording the network traffic of `page` and its iframes (see
+ * trackRequests).
+ */
+export function recordNetwork(browser, page, { onRecord } = {}) {
+	return trackRequests(browser.connection, {
+		accept: (context) => page.frames().some((f) => f.browsingContext.id === context),
+		onRecord,
+	});
+}
+
+/**
+ * Flat summary of a record: { url, method, status, type, mimeType, size,
+ * time, fromCache, error }. status is null for failed or pending requests.
+ */
+export function summarize(record) {
+	const { request, response, error } = record;
+	return {
+		url: request.url,
+		method: request.method,
+		status: response?.status ?? null,
+		type: resourceType(record),
+		mimeType: response?.mimeType ?? null,
+		size: response ? (response.bodySize ?? response.content?.size ?? null) : null,
+		time: record.ended ? Math.round(record.ended - record.started) : null,
+		fromCache: response?.fromCache ?? false,
+		error: error ?? (record.ended ? null : "pending"),
+	};
+}
+
+/**
+ * Parse a --status value: comma-separated codes ("404"), classes ("4xx"),
+ * ranges ("400-499") or "failed". Returns a predicate on a summary's status.
+ */
+export function parseStatusFilter(spec) {
+	const tests = spec.split(",").map((part) => {
+		part = part.trim().toLowerCase();
+		if (part === "failed") return (status) => status === null;
+		let m = part.match(/^([1-5])xx$/);
+		if (m) return (status) => status !== null && Math.floor(status / 100) === Number(m[1]);
+		m = part.match(/^(\d{3})-(\d{3})$/);
+		if (m) return (status) => status !== null && status >= Number(m[1]) && status <= Number(m[2]);
+		if (/^\d{3}$/.test(part)) return (status) => status === Number(part);
+		throw new Error(`Invalid status "${part}" (use e.g. 404, 4xx, 400-499 or failed)`);
+	});
+	return (status) => tests.some((test) => test(status));
+}
+
+/**
+ * Build a predicate over summaries from filter options: url (substring or
+ * /regex/), method, status and type (comma-separated lists).
+ */
+export function networkFilter({ url, method, status, type } = {}) {
+	const list = (s) => s.split(",").map((v) => v.trim().toLowerCase());
+	const methods = method ? list(method) : null;
+	const types = type ? list(type) : null;
+	const statusOk = status ? parseStatusFilter(status) : null;
+	return (summary) =>
+		(!url || urlMatches(summary.url, url)) &&
+		(!methods || methods.includes(summary.method.toLowerCase())) &&
+		(!types || types.includes(summary.type)) &&
+		(!statusOk || statusOk(summary.status));
+}
+
+function formatBytes(n) {
+	if (n === null || n === undefined) return "-";
+	if (n < 1024) return `${n} B`;
+	if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} kB`;
+	return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Text table of summaries, one request per line, plus a totals line.
+ */
+export function formatTable(summaries) {
+	const rows = summaries.map((s) => [
+		s.status === null ? (s.error === "pending" ? "…" : "ERR") : String(s.status),
+		s.method,
+		s.type,
+		s.fromCache ? "cache" : formatBytes(s.size),
+		s.time === null ? "-" : `${s.time}ms`,
+		s.error && s.error !== "pending" ? `${s.url}  (${s.error})` : s.url,
+	]);
+	const header = ["STATUS", "METHOD", "TYPE", "SIZE", "TIME", "URL"];
+	const widths = header.slice(0, -1).map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+	const line = (cells) => cells.map((c, i) => (i < widths.length ? c.padEnd(widths[i]) : c)).join("  ");
+
+	const failed = summaries.filter((s) => s.status === null || s.status >= 400).length;
+	const bytes = summaries.reduce((sum, s) => sum + (s.fromCache ? 0 : (s.size ?? 0)), 0);
+	return [
+		line(header),
+		...rows.map(line),
+		"",
+		`${summaries.length} requests, ${formatBytes(bytes)} transferred, ${failed} failed or 4xx/5xx`,
+	].join("\n");
+}
+
+// HAR timings from BiDi FetchTimingInfo, in ms; -1 where not available
+function harTimings(timings, total) {
+	const span = (start, end) => (timings?.[start] > 0 && timings?.[end] >= timings[start] ? timings[end] - timings[start] : -1);
+	const dns = span("dnsStart", "dnsEnd");
+	const connect = span("connectStart", "connectEnd");
+	const ssl = span("tlsStart", "connectEnd");
+	const wait = span("requestStart", "responseStart");
+	const receive = span("responseStart", "responseEnd");
+	if (wait < 0 || receive < 0) return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: total, receive: 0 };
+	const blocked = Math.max(0, total - [dns, connect, wait, receive].filter((t) => t > 0).reduce((a, b) => a + b, 0));
+	return { blocked, dns, connect, ssl, send: 0, wait, receive };
+}
+
+function harCookies(cookies = []) {
+	return cookies.map((c) => ({
+		name: c.name,
+		value: c.value?.value ?? "",
+		...(c.path ? { path: c.path } : {}),
+		...(c.domain ? { domain: c.domain } : {}),
+		...(c.httpOnly !== undefined ? { httpOnly: c.httpOnly } : {}),
+		...(c.secure !== undefined ? { secure: c.secure } : {}),
+	}));
+}
+
+/**
+ * HAR 1.2 log for `records`, as one page titled `title`.
+ */
+export function toHar(records, { title = "", startedDateTime } = {}) {
+	const started = startedDateTime ?? new Date(records[0]?.started ?? Date.now()).toISOString();
+	return {
+		log: {
+			version: "1.2",
+			creator: { name: "firefox-skill", version: "1.0.0" },
+			browser: { name: "Firefox", version: "" },
+			pages: [{ startedDateTime: started, id: "page_1", title, pageTimings: { onContentLoad: -1, onLoad: -1 } }],
+			entries: records.map((record) => {
+				const { request, response, error } = record;
+				const time = record.ended ? record.ended - record.started : 0;
+				const url = new URL(request.url);
+				return {
+					pageref: "page_1",
+					startedDateTime: new Date(record.started).toISOString(),
+					time,
+					request: {
+						method: request.method,
+						url: request.url,
+						httpVersion: response?.protocol?.toUpperCase() || "HTTP/1.1",
+						cookies: harCookies(request.cookies),
+						headers: headerList(request.headers),
+						queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+						headersSize: request.headersSize ?? -1,
+						bodySize: request.bodySize ?? -1,
+					},
+					response: {
+						status: response?.status ?? 0,
+						statusText: response?.statusText ?? "",
+						httpVersion: response?.protocol?.toUpperCase() || "HTTP/1.1",
+						cookies: [],
+						headers: headerList(response?.headers),
+						content: {
+							size: response?.content?.size ?? response?.bodySize ?? 0,
+							mimeType: response?.mimeType ?? "",
+						},
+						redirectURL: headerValue(response?.headers, "location"),
+						headersSize: response?.headersSize ?? -1,
+						bodySize: response?.bodySize ?? -1,
+						...(error ? { _error: error } : {}),
+					},
+					cache: {},
+					timings: harTimings(request.timings, time),
+				};
+			}),
+		},
+	};
+}
@@ -0,0 +1,103 @@
+/**
+ * Shared output for all scripts. In text mode results are printed for
+ * humans; with --json every script prints a single envelope:
+ *
+ *   { ok, result, error, tab, url }
+ *
+ * where error is { code, message, hints? } or null, and tab/url describe
+ * the page the command acted on. Failures exit with EXIT_CODES[code].
+ */
+
+export const EXIT_CODES = {
+	ERROR: 1,
+	USAGE: 2,
+	NO_BROWSER: 3,
+	NOT_FOUND: 4,
+	TIMEOUT: 5,
+	MISMATCH: 6,
+};
+
+let jsonMode = false;
+let currentPage = null;
+
+export function setJsonMode(enabled) {
+	jsonMode = Boolean(enabled);
+}
+
+export function isJsonMode() {
+	return jsonMode;
+}
+
+/**
+ * Record the page the command acts on, for the envelope's tab and url.
+ */
+export function setPage(page) {
+	currentPage = page;
+}
+
+function pageInfo() {
+	if (!currentPage) return { tab: null, url: null };
+	let tab = null;
+	try {
+		tab = currentPage.mainFrame().browsingContext.id;
+	} catch {}
+	return { tab, url: currentPage.url() || null };
+}
+
+/**
+ * Format any value as `key: value` text. Arrays print one item per line, or
+ * one block per object separated by blank lines; nested values print as JSON.
+ */
+export function formatText(value) {
+	const scalar = (v) => (v !== null && typeof v === "object" ? JSON.stringify(v) : String(v));
+	const block = (obj) =>
+		Object.entries(obj)
+			.map(([key, v]) => `${key}: ${scalar(v)}`)
+			.join("\n");
+
+	if (Array.isArray(value)) {
+		const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+		return value.map((v) => (isObject(v) ? block(v) : scalar(v))).join(value.some(isObject) ? "\n\n" : "\n");
+	}
+	if (value !== null && typeof value === "object") return block(value);
+	return String(value);
+}
+
+/**
+ * Print a successful result. `text` is a string, a function printing the
+ * human-readable form, or omitted to use formatText(result).
+ */
+export function emit(result, text) {
+	if (jsonMode) {
+		console.log(JSON.stringify({ ok: true, result: result ?? null, error: null, ...pageInfo() }, null, 2));
+	} else if (typeof text === "function") {
+		text(result);
+	} else {
+		console.log(text ?? formatText(result));
+	}
+}
+
+/**
+ * Progress and warning lines. Kept off stdout in JSON mode so the envelope
+ * is the only thing there.
+ */
+export function info(...args) {
+	if (jsonMode) console.error(...args);
+	else console.log(...args);
+}
+
+/**
+ * Report an error and exit. `code` is a key of EXIT_CODES; `hints` are extra
+ * lines printed under the message; `result` is what the command found
+ * anyway (a failed check's report), included in the JSON envelope.
+ */
+export function fail(message, { code = "ERROR", hints = [], result = null } = {}) {
+	if (jsonMode) {
+		const error = { code, message, ...(hints.length ? { hints } : {}) };
+		console.log(JSON.stringify({ ok: false, result, error, ...pageInfo() }, null, 2));
+	} else {
+		console.error(`✗ ${message}`);
+		for (const hint of hints) console.error(`  ${hint}`);
+	}
+	process.exit(EXIT_CODES[code] ?? EXIT_CODES.ERROR);
+}
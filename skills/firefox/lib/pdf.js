@@ -0,0 +1,87 @@
+/**
+ * PDF export with WebDriver BiDi browsingContext.print. BiDi measures
+ * pages and margins in centimeters; the parsers here accept cm, mm and in.
+ */
+
+// Paper sizes in cm (width x height, portrait)
+export const PAPER_SIZES = {
+	letter: { width: 21.59, height: 27.94 },
+	legal: { width: 21.59, height: 35.56 },
+	tabloid: { width: 27.94, height: 43.18 },
+	a3: { width: 29.7, height: 42 },
+	a4: { width: 21, height: 29.7 },
+	a5: { width: 14.8, height: 21 },
+};
+
+const UNITS = { cm: 1, mm: 0.1, in: 2.54 };
+
+/**
+ * Parse a length like "1.5cm", "10mm" or "0.5in" into cm; bare numbers
+ * use `unit`. Returns NaN if it isn't one.
+ */
+export function parseLength(value, unit = "cm") {
+	const m = String(value).trim().match(/^(\d+(?:\.\d+)?|\.\d+)\s*(cm|mm|in)?$/);
+	return m ? Math.round(Number(m[1]) * UNITS[m[2] ?? unit] * 1e4) / 1e4 : NaN;
+}
+
+/**
+ * A paper size name (see PAPER_SIZES) or "WxH" with an optional unit, e.g.
+ * "8.5x11in" or "210x297mm", into { width, height } in cm.
+ */
+export function parsePageSize(spec) {
+	const named = PAPER_SIZES[spec.toLowerCase()];
+	if (named) return { ...named };
+	const m = spec.match(/^([\d.]+)x([\d.]+)\s*(cm|mm|in)?$/);
+	const size = m && { width: parseLength(m[1], m[3]), height: parseLength(m[2], m[3]) };
+	if (!size || !(size.width > 0 && size.height > 0)) {
+		throw new Error(`Invalid page size "${spec}" (use ${Object.keys(PAPER_SIZES).join(", ")} or WxH[cm|mm|in])`);
+	}
+	return size;
+}
+
+/**
+ * One margin for all sides, or "top,right,bottom,left" as in CSS, into
+ * { top, right, bottom, left } in cm.
+ */
+export function parseMargin(spec) {
+	const parts = spec.split(",").map((v) => parseLength(v));
+	if (![1, 4].includes(parts.length) || parts.some((n) => Number.isNaN(n))) {
+		throw new Error(`Invalid margin "${spec}" (use one length, or top,right,bottom,left, e.g. 1cm or 10mm,5mm,10mm,5mm)`);
+	}
+	const [top, right = top, bottom = top, left = top] = parts;
+	return { top, right, bottom, left };
+}
+
+/**
+ * "1-3,5" into BiDi pageRanges (["1-3", 5]).
+ */
+export function parsePageRanges(spec) {
+	return spec.split(",").map((part) => {
+		const range = part.trim();
+		const m = range.match(/^(\d+)(?:-(\d+))?$/);
+		if (!m || Number(m[1]) < 1 || (m[2] && Number(m[2]) < Number(m[1]))) {
+			throw new Error(`Invalid page range "${range}" in "${spec}" (use e.g. 1-3,5)`);
+		}
+		return m[2] ? range : Number(m[1]);
+	});
+}
+
+/**
+ * Print the page to PDF. Options: page ({ width, height } in cm), landscape,
+ * margin ({ top, right, bottom, left } in cm), scale (0.1-2), background,
+ * pageRanges. Returns the PDF as a Buffer.
+ */
+export async function printToPdf(browser, page, { page: size, landscape = false, margin, scale, background = false, pageRanges } = {}) {
+	const params = {
+		context: page.mainFrame().browsingContext.id,
+		background,
+		orientation: landscape ? "landscape" : "portrait",
+		shrinkToFit: true,
+	};
+	if (size) params.page = size;
+	if (margin) params.margin = margin;
+	if (scale !== undefined) params.scale = scale;
+	if (pageRanges) params.pageRanges = pageRanges;
+	const { result } = await browser.connection.send("browsingContext.print", params);
+	return Buffer.from(result.data, "base64");
+}
@@ -0,0 +1,232 @@
+import { inPage, uniqueSelector } from "./dom.js";
+
+/**
+ * Let the user pick elements with the mouse. A picker runs in every frame
+ * of the page, since a page can't see mouse events inside its iframes; the
+ * top frame shows the banner and counts selections from all of them.
+ * Elements in open shadow roots are picked through the event's composed
+ * path.
+ */
+
+const STYLES = ["display", "position", "visibility", "opacity", "zIndex", "color", "backgroundColor", "fontFamily", "fontSize", "fontWeight", "cursor"];
+
+/**
+ * In-page: start picking in this document. The outcome of the gesture that
+ * ends picking here is window.__firefoxPick.done, resolving to
+ * { action: "pick", info } (plain click), { action: "finish" } (Enter) or
+ * { action: "cancel" } (Escape); stop() removes the picker and returns the
+ * elements Cmd/Ctrl+clicked in this document.
+ */
+function startPicker({ message, top, styles }) {
+	window.__firefoxPick?.stop();
+
+	const selections = [];
+	const selected = new Set();
+	const counts = new Map();
+	let finish;
+	const done = new Promise((resolve) => (finish = resolve));
+
+	const overlay = document.createElement("div");
+	overlay.style.cssText = "position:fixed;top:0;left:0;width:100%;height:100%;z-index:2147483647;pointer-events:none";
+	const highlight = document.createElement("div");
+	overlay.appendChild(highlight);
+	const banner = top ? document.createElement("div") : null;
+	if (banner) {
+		banner.style.cssText =
+			"position:fixed;bottom:20px;left:50%;transform:translateX(-50%);background:#1f2937;color:white;padding:12px 24px;border-radius:8px;font:14px sans-serif;box-shadow:0 4px 12px rgba(0,0,0,0.3);pointer-events:auto;z-index:2147483647";
+	}
+	const updateBanner = () => {
+		if (!banner) return;
+		const total = [...counts.values()].reduce((a, b) => a + b, 0);
+		banner.textContent = `${message} (${total} selected, Cmd/Ctrl+click to add, Enter to finish, ESC to cancel)`;
+	};
+	const reportCount = () => {
+		if (top) {
+			counts.set(window, selections.length);
+			updateBanner();
+		} else {
+			window.top.postMessage({ firefoxPick: "count", count: selections.length }, "*");
+		}
+	};
+	const onMessage = (e) => {
+		if (e.data?.firefoxPick !== "count") return;
+		counts.set(e.source, e.data.count);
+		updateBanner();
+	};
+	reportCount();
+	(document.body ?? document.documentElement).append(...(banner ? [banner] : []), overlay);
+
+	const elementInfo = (el) => {
+		const rect = el.getBoundingClientRect();
+		const computed = getComputedStyle(el);
+		const selector = uniqueSelector(el);
+		const matches = deepQuerySelectorAll(selector);
+		return {
+			tag: el.localName,
+			description: describeElement(el),
+			selector,
+			...(matches.length > 1 ? { nth: matches.indexOf(el) } : {}),
+			xpath: xPathOf(el),
+			locator: locatorFor(el),
+			shadowRoot: el.getRootNode() !== document,
+			box: { x: Math.round(rect.x), y: Math.round(rect.y), width: Math.round(rect.width), height: Math.round(rect.height) },
+			id: el.id || null,
+			class: (typeof el.className === "string" ? el.className : "") || null,
+			text: normalizeText(el.innerText ?? el.textContent).slice(0, 200) || null,
+			html: el.outerHTML.slice(0, 500),
+			attributes: Object.fromEntries([...el.attributes].map((a) => [a.name, a.value.slice(0, 200)])),
+			styles: Object.fromEntries(styles.map((name) => [name, computed[name]])),
+			at: Date.now(),
+		};
+	};
+
+	// The innermost element under the pointer, inside open shadow roots too
+	const targetOf = (e) => {
+		const el = e.composedPath()[0];
+		if (!el || el.nodeType !== 1 || overlay.contains(el) || banner?.contains(el)) return null;
+		return el;
+	};
+
+	const cleanup = () => {
+		document.removeEventListener("mousemove", onMove, true);
+		document.removeEventListener("mouseout", onOut, true);
+		document.removeEventListener("click", onClick, true);
+		document.removeEventListener("keydown", onKey, true);
+		window.removeEventListener("message", onMessage);
+		overlay.remove();
+		banner?.remove();
+		selected.forEach((el) => {
+			el.style.outline = "";
+		});
+		delete window.__firefoxPick;
+	};
+
+	const onMove = (e) => {
+		const el = targetOf(e);
+		if (!el) return;
+		const r = el.getBoundingClientRect();
+		highlight.style.cssText = `position:absolute;border:2px solid #3b82f6;background:rgba(59,130,246,0.1);top:${r.top}px;left:${r.left}px;width:${r.width}px;height:${r.height}px`;
+	};
+
+	// Leaving into an iframe (or the window): that frame's picker highlights
+	const onOut = (e) => {
+		if (!e.relatedTarget || e.relatedTarget.localName === "iframe") highlight.style.cssText = "display:none";
+	};
+
+	const onClick = (e) => {
+		if (banner?.contains(e.target)) return;
+		e.preventDefault();
+		e.stopPropagation();
+		const el = targetOf(e);
+		if (!el) return;
+
+		if (e.metaKey || e.ctrlKey) {
+			if (!selected.has(el)) {
+				selected.add(el);
+				el.style.outline = "3px solid #10b981";
+				selections.push(elementInfo(el));
+				reportCount();
+			}
+		} else {
+			finish({ action: "pick", info: elementInfo(el) });
+		}
+	};
+
+	const onKey = (e) => {
+		if (e.key === "Escape") {
+			e.preventDefault();
+			finish({ action: "cancel" });
+		} else if (e.key === "Enter" && (selections.length > 0 || [...counts.values()].some(Boolean))) {
+			e.preventDefault();
+			finish({ action: "finish" });
+		}
+	};
+
+	document.addEventListener("mousemove", onMove, true);
+	document.addEventListener("mouseout", onOut, true);
+	document.addEventListener("click", onClick, true);
+	document.addEventListener("keydown", onKey, true);
+	if (top) window.addEventListener("message", onMessage);
+
+	window.__firefoxPick = {
+		done,
+		stop: () => {
+			cleanup();
+			return selections;
+		},
+	};
+}
+
+/**
+ * Where a frame's viewport sits in the top-level viewport, and its iframe
+ * element's selector in the parent frame.
+ */
+async function frameInfo(frame) {
+	let x = 0;
+	let y = 0;
+	let selector = null;
+	for (let current = frame; current.parentFrame(); current = current.parentFrame()) {
+		const element = await current.frameElement();
+		if (!element) break;
+		const offset = await element.evaluate((el) => {
+			const r = el.getBoundingClientRect();
+			return { x: r.x + el.clientLeft, y: r.y + el.clientTop };
+		});
+		x += offset.x;
+		y += offset.y;
+		if (current === frame) selector = await element.evaluate(inPage(uniqueSelector));
+	}
+	return { x, y, selector };
+}
+
+/**
+ * Ask the user to pick elements in the page with `message` as the banner.
+ * Resolves to one element's info (plain click), several (Cmd/Ctrl+click
+ * then Enter or a plain click), or null if cancelled. Elements in child
+ * frames get a `frame` { url, selector } and boxes in top-level viewport
+ * coordinates.
+ */
+export async function pickElements(page, message) {
+	const frames = [];
+	for (const frame of page.frames()) {
+		try {
+			await frame.evaluate(inPage(startPicker), { message, top: frame === page.mainFrame(), styles: STYLES });
+			frames.push(frame);
+		} catch {
+			// Detached, or not scriptable (e.g. about:blank being replaced)
+		}
+	}
+
+	// The first frame where picking ends; if the page navigates away, that
+	// counts as cancelling
+	const never = new Promise(() => {});
+	const outcome = await Promise.race(
+		frames.map((frame) =>
+			frame
+				.evaluate(() => window.__firefoxPick.done)
+				.then((result) => ({ ...result, frame }))
+				.catch(() => (frame === page.mainFrame() ? { action: "cancel" } : never)),
+		),
+	);
+
+	const withFrame = async (info, frame) => {
+		delete info.at;
+		if (frame === page.mainFrame()) return info;
+		const { x, y, selector } = await frameInfo(frame).catch(() => ({ x: 0, y: 0, selector: null }));
+		info.box = { ...info.box, x: Math.round(info.box.x + x), y: Math.round(info.box.y + y) };
+		info.frame = { url: frame.url(), selector };
+		return info;
+	};
+
+	const selections = [];
+	for (const frame of frames) {
+		const picked = await frame.evaluate(() => window.__firefoxPick?.stop() ?? []).catch(() => []);
+		for (const info of picked) selections.push({ info, frame });
+	}
+	selections.sort((a, b) => a.info.at - b.info.at);
+
+	if (outcome.action === "cancel") return null;
+	if (selections.length) return Promise.all(selections.map(({ info, frame }) => withFrame(info, frame)));
+	if (outcome.action === "pick") return withFrame(outcome.info, outcome.frame);
+	return null;
+}
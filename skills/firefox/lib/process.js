@@ -0,0 +1,31 @@
+import { readFileSync } from "node:fs";
+
+/**
+ * Process checks shared by the helpers that record PIDs (the Firefox
+ * instance, relays).
+ */
+
+/**
+ * Whether a process with `pid` exists. EPERM means it does, but belongs to
+ * another user.
+ */
+export function isAlive(pid) {
+	try {
+		process.kill(pid, 0);
+		return true;
+	} catch (e) {
+		return e.code === "EPERM";
+	}
+}
+
+/**
+ * Arguments `pid` was started with, from /proc on Linux. Null where that
+ * isn't available or the process is gone.
+ */
+export function commandLine(pid) {
+	try {
+		return readFileSync(`/proc/${pid}/cmdline`, "utf8").split("\0").filter(Boolean);
+	} catch {
+		return null;
+	}
+}
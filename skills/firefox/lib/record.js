@@ -0,0 +1,279 @@
+import { inPage } from "./dom.js";
+
+/**
+ * Record what the user does in a tab as replayable steps. A BiDi preload
+ * script installs the recorder in the tab's documents (iframes included,
+ * and again after every navigation) and reports each action on a
+ * script.message channel; navigations come from browsingContext.load.
+ *
+ * Steps, in the order they happened:
+ *
+ *   { action: "navigate", url }
+ *   { action: "click", target, alternatives, description }
+ *   { action: "type", target, alternatives, description, text, clear: true }
+ *   { action: "press", key }                       Enter in a field, Escape
+ *   { action: "select", target, alternatives, description, values }
+ *   { action: "upload", target, alternatives, description, files }
+ *   { action: "wait", for: ["url:<url>"] }        Navigation caused by the previous step
+ *
+ * target and alternatives are matchTarget() targets (see lib/dom.js), most
+ * robust first. Redacted passwords are typed as "${password}" variables,
+ * listed with a null value. firefox-run.js replays the steps (lib/run.js).
+ */
+
+export const STOP_KEY = "Shift+Escape";
+
+/**
+ * In-page: report the user's actions through `send` (a BiDi channel) as
+ * JSON strings, until Shift+Escape or the banner's Stop button sends
+ * { action: "stop" }. Typing is reported once per field when focus leaves
+ * it, Enter is pressed or the page goes away.
+ */
+function recordActions(send, { redact }) {
+	window.__firefoxRecord?.stop();
+
+	const top = window === window.top;
+	const report = (step) => send(JSON.stringify(step));
+	const TEXT_TYPES = ["text", "search", "email", "url", "tel", "password", "number", "date", "datetime-local", "month", "week", "time"];
+	const isTextField = (el) =>
+		el.localName === "textarea" || (el.localName === "input" && TEXT_TYPES.includes((el.getAttribute("type") || "text").toLowerCase()));
+	const isSecret = (el) => el.type === "password" || /(current|new)-password|one-time-code/.test(el.getAttribute("autocomplete") || "");
+
+	const banner = top ? document.createElement("div") : null;
+	if (banner) {
+		banner.style.cssText =
+			"position:fixed;top:12px;right:12px;z-index:2147483647;background:#991b1b;color:white;padding:8px 14px;border-radius:8px;font:13px sans-serif;box-shadow:0 4px 12px rgba(0,0,0,0.3);cursor:pointer";
+		banner.textContent = "● Recording (Shift+Esc or click here to stop)";
+		banner.addEventListener("click", () => report({ action: "stop" }));
+		(document.body ?? document.documentElement).append(banner);
+	}
+	const inBanner = (e) => banner && e.composedPath().includes(banner);
+
+	// Most robust target first: a selector built from ids/test ids/names, else
+	// role and name, else any selector
+	const targetsFor = (el) => {
+		const selector = uniqueSelector(el);
+		const matches = deepQuerySelectorAll(selector);
+		const bySelector = matches.length === 1 ? { selector } : { selector, nth: matches.indexOf(el) };
+		const locator = locatorFor(el);
+		const strong = matches.length === 1 && /^(#|\[data-)|\[(name|aria-label|placeholder|for|title|alt)=/.test(selector);
+		const ranked = strong || !locator || locator.nth !== undefined ? [bySelector, locator] : [locator, bySelector];
+		const [target, ...alternatives] = ranked.filter(Boolean);
+		return { target, alternatives, description: describeElement(el) };
+	};
+
+	const dirty = new Set();
+	const flush = (el) => {
+		if (!dirty.delete(el)) return;
+		const secret = redact && isSecret(el);
+		const text = el.isContentEditable ? el.innerText : el.value;
+		report({ action: "type", ...targetsFor(el), text: secret ? null : text, clear: true, ...(secret ? { secret: true } : {}) });
+	};
+	const flushAll = () => [...dirty].forEach(flush);
+
+	const CLICKABLE = "a[href], button, input, select, textarea, label, summary, option, [role], [onclick], [tabindex], [contenteditable='true']";
+	let lastClick = { el: null, control: null, time: -Infinity };
+	let lastEnter = -Infinity;
+
+	const onClick = (e) => {
+		if (!e.isTrusted || inBanner(e)) return;
+		const origin = e.composedPath()[0];
+		if (origin?.nodeType !== 1) return;
+		const el = origin.closest(CLICKABLE) ?? origin;
+
+		// A label's click is passed on to its control, and Enter in a field
+		// clicks the form's submit button: neither is a separate action
+		if (el === lastClick.control && e.timeStamp - lastClick.time < 500) return;
+		if (e.detail === 0 && e.timeStamp - lastEnter < 500) return;
+		// Focusing a field is part of typing; selects and file inputs report their result
+		if (isTextField(el) || el.isContentEditable || ["select", "option"].includes(el.localName) || el.type === "file") return;
+
+		flushAll();
+		report({ action: "click", ...targetsFor(el) });
+		lastClick = { el, control: el.localName === "label" ? el.control : null, time: e.timeStamp };
+	};
+
+	const onInput = (e) => {
+		if (!e.isTrusted) return;
+		const el = e.composedPath()[0];
+		if (el?.nodeType !== 1) return;
+		if (isTextField(el) || el.isContentEditable) {
+			dirty.add(el.isContentEditable ? (el.closest("[contenteditable='true']") ?? el) : el);
+		} else if (el.localName === "select") {
+			report({ action: "select", ...targetsFor(el), values: [...el.selectedOptions].map((o) => o.value) });
+		} else if (el.type === "file") {
+			// Opened by clicking a button rather than the input itself
+			const viaClick = lastClick.el && lastClick.el !== el && e.timeStamp - lastClick.time < 60000;
+			report({ action: "upload", ...targetsFor(el), files: [...el.files].map((f) => f.name), ...(viaClick ? { viaClick: true } : {}) });
+		}
+	};
+
+	const onKey = (e) => {
+		if (!e.isTrusted) return;
+		if (e.key === "Escape" && e.shiftKey) {
+			e.preventDefault();
+			flushAll();
+			report({ action: "stop" });
+			return;
+		}
+		const el = e.composedPath()[0];
+		if (e.key === "Enter" && el?.nodeType === 1 && (isTextField(el) && el.localName !== "textarea")) {
+			flush(el);
+			report({ action: "press", key: "Enter" });
+			lastEnter = e.timeStamp;
+		} else if (e.key === "Escape") {
+			flushAll();
+			report({ action: "press", key: "Escape" });
+		}
+	};
+
+	const onFocusOut = (e) => {
+		const el = e.composedPath()[0];
+		if (el?.nodeType === 1) flush(el.isContentEditable ? (el.closest("[contenteditable='true']") ?? el) : el);
+	};
+
+	document.addEventListener("click", onClick, true);
+	document.addEventListener("input", onInput, true);
+	document.addEventListener("keydown", onKey, true);
+	document.addEventListener("focusout", onFocusOut, true);
+	window.addEventListener("pagehide", flushAll, true);
+
+	window.__firefoxRecord = {
+		stop: () => {
+			flushAll();
+			document.removeEventListener("click", onClick, true);
+			document.removeEventListener("input", onInput, true);
+			document.removeEventListener("keydown", onKey, true);
+			document.removeEventListener("focusout", onFocusOut, true);
+			window.removeEventListener("pagehide", flushAll, true);
+			banner?.remove();
+			delete window.__firefoxRecord;
+		},
+	};
+}
+
+// Steps after which a navigation is the step's doing, not the user's
+const CAUSES_NAVIGATION = ["click", "press", "type", "select", "upload"];
+
+/**
+ * Start recording the user's actions in `page`. Options: redact (replace
+ * password values with variables, default true), onStep(step) as steps
+ * come in. Returns { steps, variables, stopped, stop }: stopped resolves
+ * with the reason ("stop key", "tab closed") when the user ends the
+ * recording, and stop() removes the recorder and resolves with the final
+ * { steps, variables }.
+ */
+export async function startRecording(browser, page, { redact = true, onStep } = {}) {
+	const connection = browser.connection;
+	const context = page.mainFrame().browsingContext.id;
+	const channel = `firefox-record-${process.pid}-${Date.now()}`;
+	const functionDeclaration = `(send) => (${inPage(recordActions)})(send, ${JSON.stringify({ redact })})`;
+	const channelArg = { type: "channel", value: { channel } };
+
+	const steps = [];
+	const variables = {};
+	const secretTargets = new Map();
+	let lastActionAt = 0;
+	let end;
+	const stopped = new Promise((resolve) => (end = resolve));
+
+	const add = (step) => {
+		const last = steps.at(-1);
+		// Typing into the same field again replaces the earlier text
+		if (step.action === "type" && last?.action === "type" && JSON.stringify(last.target) === JSON.stringify(step.target)) {
+			steps.pop();
+		}
+		// A button that opened the file chooser becomes the upload target,
+		// which firefox-upload.js handles
+		if (step.action === "upload" && step.viaClick && last?.action === "click") {
+			steps.pop();
+			step.alternatives = [step.target, ...step.alternatives];
+			step.target = last.target;
+			step.description = last.description;
+		}
+		delete step.viaClick;
+		if (step.secret) {
+			const key = JSON.stringify(step.target);
+			if (!secretTargets.has(key)) secretTargets.set(key, secretTargets.size ? `password${secretTargets.size + 1}` : "password");
+			const name = secretTargets.get(key);
+			variables[name] = null;
+			step.text = `\${${name}}`;
+			delete step.secret;
+		}
+		steps.push(step);
+		if (CAUSES_NAVIGATION.includes(step.action)) lastActionAt = Date.now();
+		onStep?.(step);
+	};
+
+	const onMessage = (params) => {
+		if (params.channel !== channel) return;
+		let step;
+		try {
+			step = JSON.parse(params.data?.value);
+		} catch {
+			return;
+		}
+		if (step.action === "stop") end("stop key");
+		else add(step);
+	};
+
+	const onLoad = (params) => {
+		if (params.context !== context) return;
+		const last = steps.at(-1);
+		if (last?.action === "navigate" && last.url === params.url) return;
+		if (last && CAUSES_NAVIGATION.includes(last.action) && Date.now() - lastActionAt < 10000) {
+			add({ action: "wait", for: [`url:${params.url}`] });
+		} else {
+			add({ action: "navigate", url: params.url });
+		}
+	};
+
+	const onDestroyed = (params) => {
+		if (params.context === context) end("tab closed");
+	};
+
+	connection.on("script.message", onMessage);
+	connection.on("browsingContext.load", onLoad);
+	connection.on("browsingContext.contextDestroyed", onDestroyed);
+
+	const { result } = await connection.send("script.addPreloadScript", {
+		functionDeclaration,
+		arguments: [channelArg],
+		contexts: [context],
+	});
+	add({ action: "navigate", url: page.url() });
+	for (const frame of page.frames()) {
+		await connection
+			.send("script.callFunction", {
+				functionDeclaration,
+				arguments: [channelArg],
+				target: { context: frame.browsingContext.id },
+				awaitPromise: false,
+			})
+			.catch(() => {});
+	}
+
+	return {
+		steps,
+		variables,
+		stopped,
+		async stop() {
+			await connection.send("script.removePreloadScript", { script: result.script }).catch(() => {});
+			for (const frame of page.frames()) {
+				await connection
+					.send("script.callFunction", {
+						functionDeclaration: "() => window.__firefoxRecord?.stop()",
+						target: { context: frame.browsingContext.id },
+						awaitPromise: false,
+					})
+					.catch(() => {});
+			}
+			// Typing flushed by stop() arrives just after
+			await new Promise((r) => setTimeout(r, 200));
+			connection.off("script.message", onMessage);
+			connection.off("browsingContext.load", onLoad);
+			connection.off("browsingContext.contextDestroyed", onDestroyed);
+			return { steps, variables };
+		},
+	};
+}
@@ -0,0 +1,231 @@
+import { EventEmitter } from "node:events";
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { createServer } from "node:http";
+import { join } from "node:path";
+import { WebSocket, WebSocketServer } from "ws";
+import { isAlive } from "./process.js";
+import { sessionDir } from "./session.js";
+
+/**
+ * A WebDriver BiDi relay. Firefox allows one BiDi session at a time, so a
+ * long-running helper (e.g. firefox-intercept.js) can't hold its own session
+ * while the other scripts connect. Instead the helper holds the session and
+ * runs this relay; scripts connect to the relay as if it were Firefox.
+ *
+ * Each client gets a fake session.new/session.end, its commands are forwarded
+ * with their ids remapped, and events go to every client. What a client adds
+ * to the shared session (subscriptions, intercepts, preload scripts, data
+ * collectors) is removed again when it disconnects.
+ *
+ * Two helpers run relays: firefox-intercept.js ("relay") and the connection
+ * daemon ("daemon", see lib/daemon.js). Each has its own state file next to
+ * the session's profile; when both run, the interception relay's upstream is
+ * the daemon.
+ */
+
+const statePath = (name) => join(sessionDir(), `${name}.json`);
+
+/**
+ * The running relay's state ({ pid, port, ... }), or null if there is none.
+ * A state file left behind by a dead relay is removed.
+ */
+export function readRelayState(name = "relay") {
+	if (!existsSync(statePath(name))) return null;
+	let state;
+	try {
+		state = JSON.parse(readFileSync(statePath(name), "utf8"));
+	} catch {
+		return null;
+	}
+	if (!state?.pid || !isAlive(state.pid)) {
+		rmSync(statePath(name), { force: true });
+		return null;
+	}
+	return state;
+}
+
+export function writeRelayState(state, name = "relay") {
+	mkdirSync(sessionDir(), { recursive: true });
+	writeFileSync(statePath(name), JSON.stringify(state, null, 2));
+}
+
+export function removeRelayState(name = "relay") {
+	rmSync(statePath(name), { force: true });
+}
+
+/**
+ * A plain BiDi connection over `ws`, with the same send()/on() shape as
+ * puppeteer's browser.connection: send() resolves to { result } and events
+ * are emitted by method name.
+ */
+class Connection extends EventEmitter {
+	#ws;
+	#nextId = 1;
+	#pending = new Map();
+
+	constructor(ws, onEvent) {
+		super();
+		this.#ws = ws;
+		ws.on("message", (data) => {
+			let message;
+			try {
+				message = JSON.parse(data);
+			} catch {
+				return;
+			}
+			if (message.type === "event") {
+				this.emit(message.method, message.params);
+				onEvent?.(message);
+			} else if (this.#pending.has(message.id)) {
+				this.#pending.get(message.id)(message);
+				this.#pending.delete(message.id);
+			}
+		});
+		ws.on("error", () => {});
+		ws.on("close", () => {
+			for (const resolve of this.#pending.values()) resolve({ type: "error", error: "no such frame", message: "Connection closed" });
+			this.#pending.clear();
+			this.emit("close");
+		});
+	}
+
+	// Send a command and resolve with the raw success or error message
+	request(method, params = {}) {
+		return new Promise((resolve) => {
+			const id = this.#nextId++;
+			this.#pending.set(id, resolve);
+			this.#ws.send(JSON.stringify({ id, method, params }));
+		});
+	}
+
+	async send(method, params = {}) {
+		const message = await this.request(method, params);
+		if (message.type === "error") throw new Error(`${method}: ${message.error}: ${message.message}`);
+		return { result: message.result };
+	}
+
+	close() {
+		this.#ws.close();
+	}
+}
+
+// Cleanup command for a resource a client created, from its command and result
+const CLEANUP = {
+	"session.subscribe": (r) => r.subscription && ["session.unsubscribe", { subscriptions: [r.subscription] }],
+	"network.addIntercept": (r) => ["network.removeIntercept", { intercept: r.intercept }],
+	"network.addDataCollector": (r) => ["network.removeDataCollector", { collector: r.collector }],
+	"script.addPreloadScript": (r) => ["script.removePreloadScript", { script: r.script }],
+};
+
+// Show a client only its own intercepts on blocked-request events. How many
+// intercepts hold the request in all goes along as `totalIntercepts`, so a
+// client can leave a request another client's intercept also holds.
+function eventFor(client, message) {
+	const intercepts = message.params?.intercepts;
+	if (!intercepts) return message;
+	const own = intercepts.filter((id) => client.intercepts.has(id));
+	const params = { ...message.params, isBlocked: own.length > 0, totalIntercepts: intercepts.length };
+	if (own.length) params.intercepts = own;
+	else delete params.intercepts;
+	return { ...message, params };
+}
+
+/**
+ * Open a session on `upstream` (a Firefox BiDi session URL) and serve it to
+ * clients on 127.0.0.1:`port` (0 picks a free port). Subscribes the session
+ * to `events` for the relay's own use. Plain HTTP requests on the same port
+ * go to `onRequest(req, res)` if given. Returns { port, connection, clients,
+ * close }, where connection is the relay's own view of the session (it
+ * emits "close" when Firefox goes away) and clients the number connected.
+ */
+export async function startRelay({ upstream, port = 0, events = ["network"], onRequest }) {
+	const clients = new Set();
+	const ws = new WebSocket(upstream);
+	await new Promise((resolve, reject) => {
+		ws.once("open", resolve);
+		ws.once("error", reject);
+	});
+
+	const connection = new Connection(ws, (message) => {
+		for (const client of clients) {
+			if (client.ws.readyState === WebSocket.OPEN) client.ws.send(JSON.stringify(eventFor(client, message)));
+		}
+	});
+	const { result: session } = await connection.send("session.new", {
+		capabilities: { alwaysMatch: { unhandledPromptBehavior: { default: "ignore" }, webSocketUrl: true } },
+	});
+	await connection.send("session.subscribe", { events });
+
+	const http = createServer((req, res) => {
+		if (onRequest) return onRequest(req, res);
+		res.writeHead(426).end();
+	});
+	const server = new WebSocketServer({ server: http });
+	await new Promise((resolve, reject) => {
+		http.once("listening", resolve);
+		http.once("error", reject);
+		http.listen(port, "127.0.0.1");
+	});
+
+	server.on("connection", (clientWs) => {
+		const client = { ws: clientWs, intercepts: new Set(), cleanup: [] };
+		clients.add(client);
+		clientWs.on("error", () => {});
+
+		clientWs.on("message", async (data) => {
+			let message;
+			try {
+				message = JSON.parse(data);
+			} catch {
+				return;
+			}
+			const { id, method, params = {} } = message;
+			const reply = (body) => {
+				if (clientWs.readyState === WebSocket.OPEN) clientWs.send(JSON.stringify({ ...body, id }));
+			};
+
+			// The shared session outlives clients: fake its lifecycle, and only let
+			// clients drop subscriptions they own
+			if (method === "session.new") {
+				return reply({ type: "success", result: { sessionId: session.sessionId, capabilities: session.capabilities } });
+			}
+			if (method === "session.end" || (method === "session.unsubscribe" && !params.subscriptions)) {
+				return reply({ type: "success", result: {} });
+			}
+
+			const response = await connection.request(method, params);
+			if (response.type === "success") {
+				if (method === "network.addIntercept") client.intercepts.add(response.result.intercept);
+				if (method === "network.removeIntercept") client.intercepts.delete(params.intercept);
+				const cleanup = CLEANUP[method]?.(response.result);
+				if (cleanup) client.cleanup.push(cleanup);
+			}
+			reply(response);
+		});
+
+		clientWs.on("close", () => {
+			clients.delete(client);
+			for (const [method, params] of client.cleanup) connection.send(method, params).catch(() => {});
+		});
+	});
+
+	connection.on("close", () => {
+		for (const client of clients) client.ws.close();
+		server.close();
+		http.close();
+	});
+
+	return {
+		port: http.address().port,
+		connection,
+		get clients() {
+			return clients.size;
+		},
+		async close() {
+			await connection.send("session.end").catch(() => {});
+			connection.close();
+			server.close();
+			http.close();
+		},
+	};
+}
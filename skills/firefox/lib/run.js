@@ -0,0 +1,499 @@
+import { readFileSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, extname, join, resolve } from "node:path";
+import { parse as parseYaml } from "yaml";
+import { readContent } from "./content.js";
+import { inPage } from "./dom.js";
+import { extractFromPage, EXTRACT_MODES } from "./extract.js";
+import { locate, targetArgs } from "./locate.js";
+import { parseCondition, urlMatches, waitForAll } from "./wait.js";
+
+/**
+ * Scenarios: steps run one after another in a single connection, stopping
+ * at the first failure. A scenario is JSON or YAML:
+ *
+ *   name: Sign in
+ *   variables: { email: me@example.com, password: null }
+ *   timeout: 10000                    # Per step, unless the step sets one
+ *   steps:
+ *     - navigate: https://app.example.com/login
+ *     - type: { target: "input[name=email]", text: "${email}" }
+ *     - click: { role: button, name: Sign in }
+ *     - assert: { url: /dashboard }
+ *
+ * Each step is { action, ... } (as firefox-record.js writes them) or the
+ * shorthand { <action>: value }. Targets are a CSS selector or ref string,
+ * or an object like the element commands' options ({ role, name, text,
+ * selector, nth, exact }); `alternatives` are tried too. "${name}" in any
+ * string is replaced with a variable ("${env.NAME}" with an environment
+ * variable) when the step runs, so values saved by earlier steps work.
+ * Eval expressions are JavaScript and left as written (template literals
+ * keep working); they see the variables as `vars`. Each step is bounded by
+ * its timeout.
+ */
+
+export const ACTIONS = ["navigate", "click", "type", "press", "select", "upload", "hover", "wait", "eval", "screenshot", "content", "extract", "assert"];
+
+// Actions whose shorthand value is the target
+const TARGET_ACTIONS = ["click", "hover"];
+
+// What a shorthand string or array means for each action
+const SHORTHAND = {
+	navigate: "url",
+	press: "key",
+	upload: "files",
+	wait: "for",
+	eval: "expression",
+	screenshot: "path",
+	extract: "modes",
+};
+
+const REQUIRED = {
+	navigate: ["url"],
+	click: ["target"],
+	hover: ["target"],
+	type: ["target", "text"],
+	press: ["key"],
+	select: ["target", "values"],
+	upload: ["files"],
+	wait: ["for"],
+	eval: ["expression"],
+	extract: ["modes"],
+};
+
+function toTarget(value) {
+	if (typeof value === "string") return /^e\d+$/.test(value) ? { ref: value } : { selector: value };
+	return value;
+}
+
+/**
+ * One step in canonical { action, ... } form. Throws on unknown actions and
+ * missing fields; `where` names the step in messages.
+ */
+export function normalizeStep(raw, where) {
+	if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error(`${where}: expected an object`);
+
+	let step;
+	if (raw.action) {
+		step = { ...raw };
+	} else {
+		const keys = Object.keys(raw).filter((key) => ACTIONS.includes(key));
+		if (keys.length !== 1) {
+			throw new Error(`${where}: expected one action (${ACTIONS.join(", ")}), got ${keys.length ? keys.join(", ") : "none"}`);
+		}
+		const [action] = keys;
+		const { [action]: value, ...rest } = raw;
+		step = { action, ...rest };
+		if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+			if (TARGET_ACTIONS.includes(action) && !value.target) step.target = value;
+			else Object.assign(step, value);
+		} else if (TARGET_ACTIONS.includes(action)) {
+			step.target = value;
+		} else if (SHORTHAND[action] && value !== null && value !== true) {
+			step[SHORTHAND[action]] = value;
+		}
+	}
+
+	if (!ACTIONS.includes(step.action)) throw new Error(`${where}: unknown action "${step.action}" (use ${ACTIONS.join(", ")})`);
+	if (step.action === "select" && step.value !== undefined && step.values === undefined) step.values = step.value;
+	for (const key of ["for", "values", "files", "modes"]) {
+		if (step[key] !== undefined && !Array.isArray(step[key])) step[key] = [step[key]];
+	}
+	if (step.timeout !== undefined) {
+		if (!(Number(step.timeout) > 0)) throw new Error(`${where}: invalid timeout "${step.timeout}" (expected milliseconds)`);
+		step.timeout = Number(step.timeout);
+	}
+	const missing = (REQUIRED[step.action] ?? []).filter((key) => step[key] === undefined);
+	if (missing.length) throw new Error(`${where}: ${step.action} needs ${missing.join(" and ")}`);
+	if (step.target) step.target = toTarget(step.target);
+	if (step.alternatives) step.alternatives = step.alternatives.map(toTarget);
+	if (step.action === "extract") {
+		const unknown = step.modes.filter((mode) => !EXTRACT_MODES.includes(mode));
+		if (unknown.length) throw new Error(`${where}: unknown extract mode ${unknown.join(", ")} (use ${EXTRACT_MODES.join(", ")})`);
+	}
+	return step;
+}
+
+/**
+ * Read a scenario file (.json, .yaml or .yml) into { name, variables,
+ * timeout, steps, dir }; a bare list of steps is accepted too. Throws with
+ * the file name on invalid input.
+ */
+export function loadScenario(file) {
+	const path = resolve(file);
+	let data;
+	try {
+		const source = readFileSync(path, "utf8");
+		data = extname(path) === ".json" ? JSON.parse(source) : parseYaml(source);
+	} catch (e) {
+		throw new Error(`Could not read scenario ${file}: ${e.message}`);
+	}
+	if (Array.isArray(data)) data = { steps: data };
+	if (!data || !Array.isArray(data.steps)) throw new Error(`${file}: expected a list of steps, or an object with "steps"`);
+	if (data.timeout !== undefined && !(Number(data.timeout) > 0)) throw new Error(`${file}: invalid timeout "${data.timeout}"`);
+
+	return {
+		name: data.name ?? null,
+		variables: data.variables ?? {},
+		timeout: data.timeout !== undefined ? Number(data.timeout) : undefined,
+		steps: data.steps.map((raw, i) => normalizeStep(raw, `${file}: step ${i + 1}`)),
+		dir: dirname(path),
+	};
+}
+
+/**
+ * Replace "${name}" and "${env.NAME}" in every string in `value`.
+ */
+export function substitute(value, variables) {
+	if (typeof value === "string") {
+		return value.replace(/\$\{([\w.-]+)\}/g, (_, name) => {
+			const found = name.startsWith("env.") ? process.env[name.slice(4)] : variables[name];
+			if (found === undefined || found === null) {
+				throw new Error(`Variable "${name}" has no value${name.startsWith("env.") ? "" : `; pass --var ${name}=...`}`);
+			}
+			return typeof found === "string" ? found : JSON.stringify(found);
+		});
+	}
+	if (Array.isArray(value)) return value.map((v) => substitute(v, variables));
+	if (value && typeof value === "object") {
+		return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, substitute(v, variables)]));
+	}
+	return value;
+}
+
+/**
+ * One-line description of a step, e.g. `click --role button --name Save`.
+ */
+export function describeStep(step) {
+	if (step.name) return step.name;
+	const target = step.target ? ` ${targetArgs(step.target)}` : "";
+	switch (step.action) {
+		case "navigate":
+			return `navigate ${step.url}`;
+		case "type":
+			return `type${target} ${JSON.stringify(step.text)}`;
+		case "press":
+			return `press ${step.key}`;
+		case "select":
+			return `select${target} ${step.values.map((v) => JSON.stringify(v)).join(" ")}`;
+		case "upload":
+			return `upload${target} ${step.files.join(" ")}`;
+		case "wait":
+			return `wait ${step.for.join(" ")}`;
+		case "eval":
+			return `eval ${step.expression.length > 60 ? `${step.expression.slice(0, 57)}...` : step.expression}`;
+		case "extract":
+			return `extract ${step.modes.join(" ")}`;
+		case "assert":
+			return `assert ${Object.entries(step)
+				.filter(([key]) => !["action", "timeout", "name", "target"].includes(key))
+				.map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`)
+				.join(" ")}${target}`;
+		default:
+			return `${step.action}${target}`;
+	}
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// The element for a step: its target or any alternative, whichever shows
+// up first
+async function findElement(page, step, timeout, { actionable = true } = {}) {
+	if (!step.target) throw new Error(`${step.action} needs a target`);
+	const targets = [step.target, ...(step.alternatives ?? [])];
+	if (targets.length === 1) return locate(page, step.target, { timeout, actionable });
+
+	const deadline = Date.now() + timeout;
+	let first;
+	for (;;) {
+		for (const target of targets) {
+			try {
+				return await locate(page, target, { timeout: 0, actionable });
+			} catch (e) {
+				if (e.name !== "TimeoutError") throw e;
+				first ??= e;
+			}
+		}
+		if (Date.now() > deadline) {
+			first.message = first.message.replace(/^Timed out after \d+ms/, `Timed out after ${timeout}ms`) + ` (and ${targets.length - 1} alternatives)`;
+			throw first;
+		}
+		await sleep(100);
+	}
+}
+
+// Key combos like "Control+A"
+async function pressKeys(page, combo) {
+	const keys = combo.split("+");
+	const key = keys.pop();
+	for (const modifier of keys) await page.keyboard.down(modifier);
+	await page.keyboard.press(key);
+	for (const modifier of keys.reverse()) await page.keyboard.up(modifier);
+}
+
+function assertionError(message) {
+	const error = new Error(message);
+	error.name = "AssertionError";
+	return error;
+}
+
+// Bound a step by its timeout, including actions without one of their own.
+// Handlers that do take it get a moment longer to fail with their own,
+// more specific error.
+function withTimeout(promise, timeout, description) {
+	let timer;
+	const timedOut = new Promise((_, reject) => {
+		timer = setTimeout(() => {
+			const error = new Error(`Timed out after ${timeout}ms: ${description}`);
+			error.name = "TimeoutError";
+			reject(error);
+		}, timeout + 1000);
+	});
+	return Promise.race([promise, timedOut]).finally(() => clearTimeout(timer));
+}
+
+// In-page: state of the first element matching `target`, and how many match
+function elementState(target) {
+	const found = matchTarget(target);
+	const el = found[target.nth || 0];
+	if (!el) return { count: found.length };
+	return {
+		count: found.length,
+		visible: isVisible(el),
+		enabled: isEnabled(el),
+		checked: el.checked ?? el.getAttribute("aria-checked") === "true",
+		text: normalizeText(el.innerText ?? el.textContent),
+		value: "value" in el ? String(el.value) : null,
+	};
+}
+
+/**
+ * Check an assert step once. Returns null if it holds, else what differs.
+ */
+async function checkAssertion(page, step) {
+	const problems = [];
+	const url = page.url();
+	if (step.url !== undefined && !urlMatches(url, step.url)) problems.push(`URL ${url} does not match ${step.url}`);
+	if (step.title !== undefined) {
+		const title = await page.title();
+		if (!title.includes(step.title)) problems.push(`title "${title}" does not contain "${step.title}"`);
+	}
+	if (step.text !== undefined || step.notText !== undefined) {
+		const text = await page.evaluate(() => document.body?.innerText ?? "");
+		if (step.text !== undefined && !text.includes(step.text)) problems.push(`page text does not contain "${step.text}"`);
+		if (step.notText !== undefined && text.includes(step.notText)) problems.push(`page text contains "${step.notText}"`);
+	}
+	if (step.target) {
+		// Matches summed over frames; the state is the first match's
+		let count = 0;
+		let state = null;
+		for (const frame of page.frames()) {
+			const s = await frame.evaluate(inPage(elementState), step.target).catch(() => null);
+			if (!s) continue;
+			count += s.count;
+			if (!state && s.visible !== undefined) state = s;
+		}
+		const what = targetArgs(step.target);
+		if (step.count !== undefined && count !== Number(step.count)) problems.push(`${what} matched ${count}, expected ${step.count}`);
+		if (step.count === undefined && !state) problems.push(`${what} matched nothing`);
+		if (state) {
+			for (const key of ["visible", "enabled", "checked"]) {
+				if (step[key] !== undefined && state[key] !== step[key]) problems.push(`${what} is ${step[key] ? "not " : ""}${key}`);
+			}
+			if (step.hasText !== undefined && !state.text.includes(step.hasText)) {
+				problems.push(`${what} text "${state.text.slice(0, 100)}" does not contain "${step.hasText}"`);
+			}
+			if (step.value !== undefined && state.value !== String(step.value)) {
+				problems.push(`${what} value is ${JSON.stringify(state.value)}, expected ${JSON.stringify(String(step.value))}`);
+			}
+		}
+	}
+	return problems.length ? problems.join("; ") : null;
+}
+
+// Save a step's output in a variable and/or a file (relative to the scenario)
+function keep(step, value, ctx) {
+	if (step.save) ctx.variables[step.save] = value;
+	if (step.out) writeFileSync(resolve(ctx.dir, step.out), typeof value === "string" ? value : JSON.stringify(value, null, 2));
+}
+
+// Each returns a short summary of what it did, for the report
+const HANDLERS = {
+	async navigate(step, { page, timeout }) {
+		const response = await page.goto(step.url, { waitUntil: step.waitUntil ?? "load", timeout });
+		return `${response?.status() ?? "-"} ${page.url()}`;
+	},
+
+	async click(step, { page, timeout }) {
+		const { element, description } = await findElement(page, step, timeout);
+		await element.click({ count: step.double ? 2 : 1, button: step.button ?? "left" });
+		return description;
+	},
+
+	async hover(step, { page, timeout }) {
+		const { element, description } = await findElement(page, step, timeout);
+		await element.hover();
+		return description;
+	},
+
+	async type(step, { page, timeout }) {
+		const { element, description } = await findElement(page, step, timeout);
+		await element.click();
+		if (step.clear) {
+			await element.evaluate((el) => {
+				if (typeof el.select === "function") el.select();
+				else getSelection().selectAllChildren(el);
+			});
+			await page.keyboard.press("Backspace");
+		}
+		await element.type(String(step.text), { delay: step.delay ?? 0 });
+		if (step.enter) await page.keyboard.press("Enter");
+		return description;
+	},
+
+	async press(step, { page }) {
+		await pressKeys(page, step.key);
+		return step.key;
+	},
+
+	async select(step, { page, timeout }) {
+		const { element, description } = await findElement(page, step, timeout);
+		const wanted = step.values.map(String);
+		if (!(await element.evaluate((el) => el.localName === "select"))) {
+			// Custom dropdown: open it, then click the option like a user
+			await element.click();
+			const { element: option, description: optionDescription } = await locate(page, { role: "option", name: wanted[0] }, { timeout });
+			await option.click();
+			return `${optionDescription} in ${description}`;
+		}
+		const values = await element.evaluate((el, wanted) => {
+			const options = [...el.options];
+			return wanted.map(
+				(w) =>
+					(options.find((o) => o.value === w) ||
+						options.find((o) => o.label.trim() === w) ||
+						options.find((o) => o.label.toLowerCase().includes(w.toLowerCase())))?.value ?? null,
+			);
+		}, wanted);
+		const missing = wanted.filter((_, i) => values[i] === null);
+		if (missing.length) throw new Error(`No option matching ${missing.map((m) => `"${m}"`).join(", ")} in ${description}`);
+		await element.focus();
+		await element.select(...values);
+		return `${values.map((v) => `"${v}"`).join(", ")} in ${description}`;
+	},
+
+	async upload(step, ctx) {
+		const { page, timeout } = ctx;
+		const files = step.files.map((f) => resolve(ctx.dir, f));
+		const withTarget = step.target ? step : { ...step, target: { selector: "input[type=file]" } };
+		const { element, description } = await findElement(page, withTarget, timeout, { actionable: false });
+		if (await element.evaluate((el) => el.localName === "input" && el.type === "file")) {
+			await element.uploadFile(...files);
+		} else {
+			const [chooser] = await Promise.all([page.waitForFileChooser({ timeout: 5000 }), element.click()]);
+			await chooser.accept(files);
+		}
+		return `${files.length} file(s) via ${description}`;
+	},
+
+	async wait(step, { page, timeout }) {
+		if (step.for.every((f) => typeof f === "number")) {
+			await sleep(step.for.reduce((a, b) => a + b, 0));
+			return `${step.for.join("+")}ms`;
+		}
+		const waited = await waitForAll(page, step.for.map((spec) => parseCondition(String(spec))), { timeout });
+		return waited.map((w) => w.condition).join(", ");
+	},
+
+	async eval(step, ctx) {
+		const value = await ctx.page.evaluate(
+			(c, vars) => {
+				const AsyncFunction = (async () => {}).constructor;
+				return new AsyncFunction("vars", `return (${c})`)(vars);
+			},
+			step.expression,
+			ctx.variables,
+		);
+		keep(step, value ?? null, ctx);
+		return value ?? null;
+	},
+
+	async screenshot(step, ctx) {
+		const { page, timeout } = ctx;
+		const path = step.path ? resolve(ctx.dir, step.path) : join(tmpdir(), `run-${Date.now()}.png`);
+		if (step.target) {
+			const { element } = await findElement(page, step, timeout, { actionable: false });
+			await element.screenshot({ path });
+		} else {
+			await page.screenshot({ path, fullPage: step.fullPage ?? false });
+		}
+		return path;
+	},
+
+	async content(step, ctx) {
+		const result = await readContent(ctx.page, { selector: step.selector, format: step.format ?? "markdown" });
+		keep(step, result.content, ctx);
+		return `${result.title ?? result.url} (${result.content.length} chars)`;
+	},
+
+	async extract(step, ctx) {
+		const result = await extractFromPage(ctx.page, step.modes);
+		keep(step, step.modes.length === 1 ? result[step.modes[0]] : result, ctx);
+		return step.modes.map((mode) => `${mode}: ${Array.isArray(result[mode]) ? result[mode].length : "ok"}`).join(", ");
+	},
+
+	// Retried until it holds or the step times out, as pages update
+	// asynchronously
+	async assert(step, { page, timeout }) {
+		const deadline = Date.now() + timeout;
+		for (;;) {
+			const problem = await checkAssertion(page, step);
+			if (!problem) return "ok";
+			if (Date.now() > deadline) throw assertionError(`Assertion failed: ${problem}`);
+			await sleep(200);
+		}
+	},
+};
+
+/**
+ * Run `scenario` (see loadScenario) in `page`. Options: variables (override
+ * the scenario's), timeout (default per-step timeout, else the scenario's,
+ * else 10000), onStep(report) after each step. Returns { passed, steps }
+ * where each step report is { index, action, description, status
+ * ("passed", "failed" or "skipped"), ms, result?, error? } and error is
+ * { name, message }.
+ */
+export async function runScenario(page, scenario, { variables = {}, timeout, onStep } = {}) {
+	const ctx = {
+		page,
+		dir: scenario.dir ?? process.cwd(),
+		variables: { ...scenario.variables, ...variables },
+	};
+	const defaultTimeout = timeout ?? scenario.timeout ?? 10000;
+	const reports = [];
+	let failed = false;
+
+	for (const [i, raw] of scenario.steps.entries()) {
+		const report = { index: i + 1, action: raw.action, description: describeStep(raw), status: "skipped", ms: 0 };
+		reports.push(report);
+		if (failed) continue;
+
+		const start = Date.now();
+		try {
+			// Eval expressions are JavaScript, where "${" is a template literal
+			const { expression, ...rest } = raw;
+			const step = { ...substitute(rest, ctx.variables), ...(expression !== undefined ? { expression } : {}) };
+			const stepTimeout = step.timeout ?? defaultTimeout;
+			const result = await withTimeout(HANDLERS[step.action](step, { ...ctx, timeout: stepTimeout }), stepTimeout, report.description);
+			report.status = "passed";
+			report.result = result;
+		} catch (e) {
+			failed = true;
+			report.status = "failed";
+			report.error = { name: e.name, message: e.message };
+		}
+		report.ms = Date.now() - start;
+		onStep?.(report);
+	}
+	return { passed: !failed, steps: reports };
+}
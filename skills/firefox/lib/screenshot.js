@@ -0,0 +1,103 @@
+import { inPage } from "./dom.js";
+import { applyEmulation, loadEmulation } from "./emulation.js";
+
+/**
+ * Hide position:fixed/sticky elements and common cookie/consent banners,
+ * except ones containing `keep`. Returns a function restoring them.
+ */
+export async function hideOverlays(page, keep = null) {
+	await page.evaluate((keep) => {
+		const banners = [
+			"[id*='cookie' i]",
+			"[class*='cookie' i]",
+			"[id*='consent' i]",
+			"[class*='consent' i]",
+			"[aria-label*='cookie' i]",
+			"#onetrust-banner-sdk",
+			"#CybotCookiebotDialog",
+			".cc-window",
+		].join(",");
+		for (const el of document.querySelectorAll("body *")) {
+			if (keep && el.contains(keep)) continue;
+			const { position } = getComputedStyle(el);
+			const overlay = position === "fixed" || position === "sticky";
+			const banner = el.matches(banners) && !el.parentElement?.closest(banners);
+			if (!overlay && !banner) continue;
+			el.dataset.firefoxSkillHidden = el.style.getPropertyValue("visibility") || " ";
+			el.style.setProperty("visibility", "hidden", "important");
+		}
+	}, keep);
+
+	return () =>
+		page.evaluate(() => {
+			for (const el of document.querySelectorAll("[data-firefox-skill-hidden]")) {
+				const previous = el.dataset.firefoxSkillHidden.trim();
+				if (previous) el.style.setProperty("visibility", previous);
+				else el.style.removeProperty("visibility");
+				delete el.dataset.firefoxSkillHidden;
+			}
+		});
+}
+
+/**
+ * Cover every element matching `selectors` with a solid box, so dynamic
+ * regions (ads, clocks, avatars) capture the same every time. Returns
+ * { count, restore }.
+ */
+export async function maskElements(page, selectors, color = "#ff00ff") {
+	const count = await page.evaluate(
+		inPage((selectors, color) => {
+			let count = 0;
+			for (const selector of selectors) {
+				for (const el of deepQuerySelectorAll(selector)) {
+					const r = el.getBoundingClientRect();
+					if (!r.width || !r.height) continue;
+					const mask = document.createElement("div");
+					mask.dataset.firefoxSkillMask = "";
+					mask.style.cssText = `position:absolute;z-index:2147483647;pointer-events:none;background:${color};top:${r.top + scrollY}px;left:${r.left + scrollX}px;width:${r.width}px;height:${r.height}px`;
+					document.body.appendChild(mask);
+					count++;
+				}
+			}
+			return count;
+		}),
+		selectors,
+		color,
+	);
+
+	return {
+		count,
+		restore: () =>
+			page.evaluate(() => {
+				for (const el of document.querySelectorAll("[data-firefox-skill-mask]")) el.remove();
+			}),
+	};
+}
+
+/**
+ * Capture a screenshot of the page, or of `element` if given.
+ * Options: path, type (png/jpeg/webp), quality, fullPage, clip, dpr,
+ * hideFixed, mask (selectors to cover). Returns the image as a Uint8Array.
+ */
+export async function capture(page, { element, path, type = "png", quality, fullPage = false, clip, dpr, hideFixed = false, mask = [] } = {}) {
+	if (dpr) {
+		const size = await page.evaluate(() => ({ width: innerWidth, height: innerHeight }));
+		await page.setViewport({ ...size, deviceScaleFactor: dpr });
+	}
+	const restoreOverlays = hideFixed ? await hideOverlays(page, element ?? null) : null;
+	const masks = mask.length ? await maskElements(page, mask) : null;
+
+	const options = { path, type, quality };
+	try {
+		if (element) return await element.screenshot(options);
+		return await page.screenshot({ ...options, fullPage, clip });
+	} finally {
+		await masks?.restore().catch(() => {});
+		await restoreOverlays?.().catch(() => {});
+		if (dpr) {
+			// Back to the tab's emulated viewport, if it has one (see lib/emulation.js)
+			const saved = loadEmulation(page.mainFrame().browsingContext.id) ?? {};
+			await applyEmulation(page.browser(), page, { viewport: saved.viewport, dpr: saved.dpr }, { dpr }).catch(() => {});
+		}
+	}
+}
@@ -0,0 +1,156 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, rmSync, writeFileSync } from "node:fs";
+import { connect as netConnect, createServer } from "node:net";
+import { join } from "node:path";
+import { CACHE_DIR } from "./firefox.js";
+
+/**
+ * Named browser sessions. Each session has its own cached profile directory
+ * and BiDi port, recorded in CACHE_DIR/sessions.json, so several browsers
+ * (say the Work profile and a fresh one) can run side by side. Scripts pick
+ * one with --session <name> or FIREFOX_SESSION.
+ *
+ * The "default" session keeps the original locations (CACHE_DIR/profile and
+ * port 9222, or FIREFOX_BIDI_PORT) so existing setups keep working.
+ */
+
+export const DEFAULT_SESSION = "default";
+export const DEFAULT_PORT = Number(process.env.FIREFOX_BIDI_PORT || 9222);
+const REGISTRY = join(CACHE_DIR, "sessions.json");
+const FIRST_PORT = 9223;
+
+let current = process.env.FIREFOX_SESSION || DEFAULT_SESSION;
+
+export function validateSessionName(name) {
+	if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+		throw new Error(`Invalid session name "${name}" (use letters, digits, - and _)`);
+	}
+	return name;
+}
+
+/**
+ * Select the session scripts act on (set from --session by parseArgs).
+ */
+export function setSession(name) {
+	current = validateSessionName(name);
+}
+
+export function sessionName() {
+	return current;
+}
+
+/**
+ * " --session <name>" for the current session, or "" for the default one,
+ * for hints that suggest a command.
+ */
+export function sessionFlag() {
+	return current === DEFAULT_SESSION ? "" : ` --session ${current}`;
+}
+
+/**
+ * Directory holding a session's profile and state files.
+ */
+export function sessionDir(name = current) {
+	return name === DEFAULT_SESSION ? CACHE_DIR : join(CACHE_DIR, "sessions", name);
+}
+
+function readRegistry() {
+	if (!existsSync(REGISTRY)) return {};
+	try {
+		return JSON.parse(readFileSync(REGISTRY, "utf8"));
+	} catch {
+		return {};
+	}
+}
+
+function writeRegistry(registry) {
+	mkdirSync(CACHE_DIR, { recursive: true });
+	const tmp = `${REGISTRY}.${process.pid}.tmp`;
+	writeFileSync(tmp, JSON.stringify(registry, null, 2));
+	renameSync(tmp, REGISTRY);
+}
+
+function withDefaults(name, entry = {}) {
+	// The default session runs on DEFAULT_PORT unless firefox-start.js --port
+	// recorded another one; FIREFOX_BIDI_PORT always wins
+	const port =
+		name === DEFAULT_SESSION && (process.env.FIREFOX_BIDI_PORT || !entry.port) ? DEFAULT_PORT : entry.port;
+	return { ...entry, name, profileDir: join(sessionDir(name), "profile"), port };
+}
+
+/**
+ * A session's registry entry { name, port, profileDir, profile, ... }, or
+ * null if no such session was created. The default session always exists.
+ */
+export function getSession(name = current) {
+	const entry = readRegistry()[name];
+	if (!entry && name !== DEFAULT_SESSION) return null;
+	return withDefaults(name, entry);
+}
+
+/**
+ * All sessions, the default one first.
+ */
+export function listSessions() {
+	const registry = readRegistry();
+	const names = [DEFAULT_SESSION, ...Object.keys(registry).filter((n) => n !== DEFAULT_SESSION).sort()];
+	return names.map((name) => withDefaults(name, registry[name]));
+}
+
+function portFree(port) {
+	return new Promise((resolve) => {
+		const server = createServer();
+		server.once("error", () => resolve(false));
+		server.listen(port, "127.0.0.1", () => server.close(() => resolve(true)));
+	});
+}
+
+/**
+ * Whether something is listening on a session's port.
+ */
+export function isListening(port) {
+	return new Promise((resolve) => {
+		const socket = netConnect(port, "127.0.0.1");
+		socket.setTimeout(1000);
+		socket.once("connect", () => {
+			socket.destroy();
+			resolve(true);
+		});
+		socket.once("error", () => resolve(false));
+		socket.once("timeout", () => {
+			socket.destroy();
+			resolve(false);
+		});
+	});
+}
+
+/**
+ * Create the session if needed (allocating a free port from 9223 up) and
+ * merge `fields` into its entry. Returns the entry.
+ */
+export async function saveSession(name, fields = {}) {
+	const registry = readRegistry();
+	let entry = registry[name];
+	if (!entry) {
+		entry = { created: new Date().toISOString() };
+		if (name !== DEFAULT_SESSION) {
+			const taken = new Set(listSessions().map((s) => s.port));
+			let port = FIRST_PORT;
+			while (taken.has(port) || !(await portFree(port))) port++;
+			entry.port = port;
+		}
+	}
+	registry[name] = { ...entry, ...fields };
+	writeRegistry(registry);
+	return withDefaults(name, registry[name]);
+}
+
+/**
+ * Remove a session from the registry and delete its directory.
+ */
+export function deleteSession(name) {
+	if (name === DEFAULT_SESSION) throw new Error("The default session can't be deleted");
+	const registry = readRegistry();
+	delete registry[name];
+	writeRegistry(registry);
+	rmSync(sessionDir(name), { recursive: true, force: true });
+}
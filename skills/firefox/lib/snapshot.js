@@ -0,0 +1,182 @@
+import { inPage } from "./dom.js";
+
+/**
+ * Accessibility outline of a page: landmarks, headings and interactive
+ * elements with their role, accessible name, state and value, indented by
+ * nesting. Interactive elements get a ref ("e12") stored in a
+ * data-firefox-ref attribute, which the element commands accept as a
+ * target until the next snapshot replaces them.
+ *
+ * Each frame is walked in the page (composed tree, so open shadow roots and
+ * slotted content are included) and child frames are placed under their
+ * iframe element.
+ */
+
+/**
+ * In-page: outline the document (or `rootSelector`'s subtree), numbering
+ * refs from `startRef`. Iframes become nodes with `frame` set to an index
+ * also written to their data-firefox-frame attribute. Returns
+ * { nodes: [{ depth, role, name, ref?, level?, value?, states, frame? }], nextRef }.
+ */
+function snapshotDocument({ startRef, rootSelector, includeHidden }) {
+	const LANDMARKS = ["banner", "main", "navigation", "contentinfo", "complementary", "region", "search", "form", "dialog", "alertdialog"];
+	const INTERACTIVE = [
+		"button", "link", "textbox", "searchbox", "checkbox", "radio", "combobox", "listbox", "option", "slider",
+		"spinbutton", "switch", "tab", "menuitem", "menuitemcheckbox", "menuitemradio", "treeitem",
+	];
+
+	for (const el of deepQuerySelectorAll("[data-firefox-ref], [data-firefox-frame]")) {
+		el.removeAttribute("data-firefox-ref");
+		el.removeAttribute("data-firefox-frame");
+	}
+
+	const root = rootSelector ? deepQuerySelectorAll(rootSelector)[0] : document.body ?? document.documentElement;
+	if (!root) throw new Error(`No element matches ${rootSelector}`);
+
+	let nextRef = startRef;
+	let frames = 0;
+	const nodes = [];
+
+	const roleFor = (el) => {
+		const role = roleOf(el);
+		if (role && role !== "presentation" && role !== "none") return role;
+		if (el.isContentEditable && !el.parentElement?.isContentEditable) return "textbox";
+		if (el.hasAttribute("onclick") || (el.hasAttribute("tabindex") && el.tabIndex >= 0)) return "clickable";
+		return null;
+	};
+
+	const statesOf = (el, role) => {
+		const states = [];
+		const aria = (name) => el.getAttribute(`aria-${name}`);
+		if (el.checked || aria("checked") === "true") states.push("checked");
+		if (aria("checked") === "mixed" || el.indeterminate) states.push("mixed");
+		if (aria("pressed") === "true") states.push("pressed");
+		if (aria("selected") === "true" || (role === "option" && el.selected)) states.push("selected");
+		if (aria("expanded") === "true" || (el.localName === "details" && el.open)) states.push("expanded");
+		if (aria("expanded") === "false" || (el.localName === "details" && !el.open)) states.push("collapsed");
+		if (!isEnabled(el)) states.push("disabled");
+		if (el.required || aria("required") === "true") states.push("required");
+		if (el.readOnly || aria("readonly") === "true") states.push("readonly");
+		if (aria("invalid") === "true" || (el.willValidate && el.validity && !el.validity.valid && el.value)) states.push("invalid");
+		if (el === document.activeElement || el.shadowRoot?.activeElement) states.push("focused");
+		return states;
+	};
+
+	const valueOf = (el, role) => {
+		if (el.localName === "select") {
+			return [...el.selectedOptions].map((o) => normalizeText(o.textContent)).join(", ");
+		}
+		if (el.localName === "input" && ["checkbox", "radio", "button", "submit", "reset", "image", "file"].includes(el.type)) return "";
+		if (el.localName === "input" && el.type === "password") return el.value ? "••••" : "";
+		if ("value" in el && ["textbox", "searchbox", "combobox", "slider", "spinbutton"].includes(role)) return String(el.value ?? "");
+		if (el.isContentEditable) return normalizeText(el.innerText ?? el.textContent).slice(0, 200);
+		return el.getAttribute("aria-valuetext") || el.getAttribute("aria-valuenow") || "";
+	};
+
+	const childrenOf = (el) => {
+		if (el.shadowRoot) return [...el.shadowRoot.children];
+		if (el.localName === "slot") {
+			const assigned = el.assignedElements({ flatten: true });
+			return assigned.length ? assigned : [...el.children];
+		}
+		return [...el.children];
+	};
+
+	const walk = (el, depth) => {
+		if (el.getAttribute("aria-hidden") === "true" || ["script", "style", "template", "noscript"].includes(el.localName)) return;
+		if (!includeHidden && getComputedStyle(el).display === "none") return;
+
+		if (el.localName === "iframe" || el.localName === "frame") {
+			if (!includeHidden && !isVisible(el)) return;
+			el.setAttribute("data-firefox-frame", String(frames));
+			nodes.push({ depth, role: "iframe", name: nameOf(el) || el.getAttribute("src") || "", states: [], frame: frames++ });
+			return;
+		}
+
+		const role = roleFor(el);
+		const shown = includeHidden || isVisible(el);
+		const include =
+			role && shown && (LANDMARKS.includes(role) || INTERACTIVE.includes(role) || role === "heading" || role === "clickable");
+		if (include) {
+			const node = { depth, role, name: nameOf(el).slice(0, 100), states: statesOf(el, role) };
+			if (role === "clickable" && !node.name) node.name = normalizeText(el.innerText ?? el.textContent).slice(0, 100);
+			if (role === "heading") node.level = Number(el.getAttribute("aria-level") || el.localName.slice(1)) || undefined;
+			const value = valueOf(el, role);
+			if (value) node.value = value.slice(0, 200);
+			if (INTERACTIVE.includes(role) || role === "clickable") {
+				node.ref = `e${nextRef++}`;
+				el.setAttribute("data-firefox-ref", node.ref);
+			}
+			nodes.push(node);
+		}
+		// Don't list the parts of a control (e.g. a link's inner spans, or a
+		// native select's options); custom listboxes and comboboxes keep theirs
+		const composite = ["listbox", "combobox"].includes(role) && el.localName !== "select";
+		if (include && INTERACTIVE.includes(role) && !composite) return;
+		for (const child of childrenOf(el)) walk(child, depth + (include ? 1 : 0));
+	};
+	walk(root, 0);
+
+	return { nodes, nextRef };
+}
+
+/**
+ * Outline the page, including child frames under their iframe nodes.
+ * Options: root (CSS selector), includeHidden. Returns the flat node list
+ * in display order, each with its depth and, for frames, the frame URL.
+ */
+export async function snapshotPage(page, { root = null, includeHidden = false } = {}) {
+	let nextRef = 1;
+
+	async function snapshotFrame(frame, baseDepth, rootSelector) {
+		const result = await frame.evaluate(inPage(snapshotDocument), { startRef: nextRef, rootSelector, includeHidden });
+		nextRef = result.nextRef;
+
+		// Which iframe node each child frame belongs to
+		const byIndex = new Map();
+		const unplaced = [];
+		for (const child of frame.childFrames()) {
+			let index = null;
+			try {
+				const element = await child.frameElement();
+				index = await element?.evaluate((el) => el.getAttribute("data-firefox-frame"));
+			} catch {}
+			if (index != null) byIndex.set(Number(index), child);
+			else unplaced.push(child);
+		}
+
+		const out = [];
+		for (const node of result.nodes) {
+			node.depth += baseDepth;
+			out.push(node);
+			const child = node.frame !== undefined ? byIndex.get(node.frame) : null;
+			if (node.frame !== undefined) delete node.frame;
+			if (child) {
+				node.url = child.url();
+				out.push(...(await snapshotFrame(child, node.depth + 1, null).catch(() => [])));
+			}
+		}
+		// Frames we couldn't place go last, unless outlining only part of the page
+		for (const child of rootSelector ? [] : unplaced) {
+			out.push({ depth: baseDepth, role: "iframe", name: "", url: child.url(), states: [] });
+			out.push(...(await snapshotFrame(child, baseDepth + 1, null).catch(() => [])));
+		}
+		return out;
+	}
+
+	return snapshotFrame(page.mainFrame(), 0, root);
+}
+
+/**
+ * One outline line: `- role "name" [ref] level=2 value="..." checked`.
+ */
+export function formatNode(node) {
+	const parts = [`${"  ".repeat(node.depth)}- ${node.role}`];
+	if (node.name) parts.push(JSON.stringify(node.name));
+	if (node.ref) parts.push(`[${node.ref}]`);
+	if (node.level) parts.push(`level=${node.level}`);
+	if (node.value !== undefined) parts.push(`value=${JSON.stringify(node.value)}`);
+	if (node.url) parts.push(`(${node.url})`);
+	parts.push(...node.states);
+	return parts.join(" ");
+}
@@ -0,0 +1,332 @@
+import { inPage } from "./dom.js";
+
+/**
+ * Web storage and IndexedDB of a page's origin. IndexedDB values can hold
+ * types JSON can't (Date, binary data, Blob, Map, Set); they are encoded as
+ * { $type, value } objects so dumps and snapshots round-trip.
+ */
+
+function bytesToBase64(bytes) {
+	let binary = "";
+	for (let i = 0; i < bytes.length; i += 0x8000) {
+		binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+	}
+	return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+	return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
+
+async function encodeValue(v) {
+	if (v instanceof Date) return { $type: "Date", value: v.toISOString() };
+	if (v instanceof ArrayBuffer) return { $type: "ArrayBuffer", value: bytesToBase64(new Uint8Array(v)) };
+	if (ArrayBuffer.isView(v)) {
+		return { $type: v.constructor.name, value: bytesToBase64(new Uint8Array(v.buffer, v.byteOffset, v.byteLength)) };
+	}
+	if (v instanceof Blob) {
+		return { $type: "Blob", mime: v.type, value: bytesToBase64(new Uint8Array(await v.arrayBuffer())) };
+	}
+	if (v instanceof Map) {
+		const entries = [];
+		for (const [key, value] of v) entries.push([await encodeValue(key), await encodeValue(value)]);
+		return { $type: "Map", value: entries };
+	}
+	if (v instanceof Set) {
+		const items = [];
+		for (const item of v) items.push(await encodeValue(item));
+		return { $type: "Set", value: items };
+	}
+	if (Array.isArray(v)) {
+		const items = [];
+		for (const item of v) items.push(await encodeValue(item));
+		return items;
+	}
+	if (v && typeof v === "object") {
+		const out = {};
+		for (const [key, value] of Object.entries(v)) out[key] = await encodeValue(value);
+		return out;
+	}
+	return v;
+}
+
+function decodeValue(v) {
+	if (Array.isArray(v)) return v.map(decodeValue);
+	if (!v || typeof v !== "object") return v;
+	switch (v.$type) {
+		case "Date":
+			return new Date(v.value);
+		case "ArrayBuffer":
+			return base64ToBytes(v.value).buffer;
+		case "Blob":
+			return new Blob([base64ToBytes(v.value)], { type: v.mime });
+		case "Map":
+			return new Map(v.value.map(([key, value]) => [decodeValue(key), decodeValue(value)]));
+		case "Set":
+			return new Set(v.value.map(decodeValue));
+		case undefined:
+			return Object.fromEntries(Object.entries(v).map(([key, value]) => [key, decodeValue(value)]));
+		default: {
+			const TypedArray = globalThis[v.$type];
+			if (typeof TypedArray === "function" && v.value !== undefined) {
+				const bytes = base64ToBytes(v.value);
+				return TypedArray === DataView ? new DataView(bytes.buffer) : new TypedArray(bytes.buffer);
+			}
+			return v;
+		}
+	}
+}
+
+// Entries of a Storage by index, so keys like "length" can't shadow the API
+function storageEntries(storage) {
+	const entries = [];
+	for (let i = 0; i < storage.length; i++) {
+		const key = storage.key(i);
+		entries.push({ key, value: storage.getItem(key) });
+	}
+	return entries;
+}
+
+function idbRequest(request) {
+	return new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+}
+
+// Open an existing database by name; never creates one
+async function openExisting(name) {
+	const databases = await indexedDB.databases();
+	if (!databases.some((db) => db.name === name)) {
+		throw new Error(`No IndexedDB database "${name}" (have: ${databases.map((db) => db.name).join(", ") || "none"})`);
+	}
+	return idbRequest(indexedDB.open(name));
+}
+
+function describeStore(store) {
+	return {
+		name: store.name,
+		keyPath: store.keyPath,
+		autoIncrement: store.autoIncrement,
+		indexes: [...store.indexNames].map((name) => {
+			const index = store.index(name);
+			return { name, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+		}),
+	};
+}
+
+// All databases with their stores; with `records`, also every record of every store
+async function readDatabases(records = false) {
+	const out = [];
+	for (const { name } of await indexedDB.databases()) {
+		const db = await idbRequest(indexedDB.open(name));
+		const stores = [];
+		for (const storeName of db.objectStoreNames) {
+			const store = db.transaction(storeName, "readonly").objectStore(storeName);
+			const info = { ...describeStore(store), count: await idbRequest(store.count()) };
+			if (records) {
+				const keys = await idbRequest(store.getAllKeys());
+				const values = await idbRequest(db.transaction(storeName, "readonly").objectStore(storeName).getAll());
+				info.records = [];
+				for (let i = 0; i < keys.length; i++) {
+					info.records.push({ key: await encodeValue(keys[i]), value: await encodeValue(values[i]) });
+				}
+			}
+			stores.push(info);
+		}
+		out.push({ name, version: db.version, stores });
+		db.close();
+	}
+	return out;
+}
+
+const HELPERS = [bytesToBase64, base64ToBytes, encodeValue, decodeValue, storageEntries, idbRequest, openExisting, describeStore, readDatabases];
+
+const area = (session) => (session ? "sessionStorage" : "localStorage");
+
+/**
+ * Entries of localStorage, or sessionStorage with `session`, as [{ key, value }].
+ */
+export function listStorage(page, { session = false } = {}) {
+	return page.evaluate(inPage((name) => storageEntries(window[name]), HELPERS), area(session));
+}
+
+/**
+ * Value of `key`, or null if unset.
+ */
+export function getItem(page, key, { session = false } = {}) {
+	return page.evaluate((name, key) => window[name].getItem(key), area(session), key);
+}
+
+export function setItem(page, key, value, { session = false } = {}) {
+	return page.evaluate((name, key, value) => window[name].setItem(key, value), area(session), key, value);
+}
+
+/**
+ * Remove `key`. Returns whether it was set.
+ */
+export function removeItem(page, key, { session = false } = {}) {
+	return page.evaluate(
+		(name, key) => {
+			const had = window[name].getItem(key) !== null;
+			window[name].removeItem(key);
+			return had;
+		},
+		area(session),
+		key,
+	);
+}
+
+/**
+ * Remove every entry. Returns how many there were.
+ */
+export function clearStorage(page, { session = false } = {}) {
+	return page.evaluate(
+		(name) => {
+			const count = window[name].length;
+			window[name].clear();
+			return count;
+		},
+		area(session),
+	);
+}
+
+/**
+ * IndexedDB databases of the origin: [{ name, version, stores }] where each
+ * store is { name, keyPath, autoIncrement, indexes, count }.
+ */
+export function listDatabases(page) {
+	return page.evaluate(inPage(() => readDatabases(), HELPERS));
+}
+
+/**
+ * Up to `limit` records of `store` in database `db`, from `offset`, as
+ * { total, records: [{ key, value }] } with values encoded.
+ */
+export function dumpStore(page, db, store, { limit = 20, offset = 0 } = {}) {
+	return page.evaluate(
+		inPage(
+			async (dbName, storeName, limit, offset) => {
+				const db = await openExisting(dbName);
+				try {
+					if (!db.objectStoreNames.contains(storeName)) {
+						throw new Error(`No object store "${storeName}" in "${dbName}" (have: ${[...db.objectStoreNames].join(", ") || "none"})`);
+					}
+					const objectStore = db.transaction(storeName, "readonly").objectStore(storeName);
+					const total = await idbRequest(objectStore.count());
+					const records = [];
+					await new Promise((resolve, reject) => {
+						let skipped = offset === 0;
+						const request = objectStore.openCursor();
+						request.onerror = () => reject(request.error);
+						request.onsuccess = () => {
+							const cursor = request.result;
+							if (!cursor || records.length >= limit) return resolve();
+							if (!skipped) {
+								skipped = true;
+								return cursor.advance(offset);
+							}
+							records.push({ key: cursor.primaryKey, value: cursor.value });
+							cursor.continue();
+						};
+					});
+					const encoded = [];
+					for (const { key, value } of records) encoded.push({ key: await encodeValue(key), value: await encodeValue(value) });
+					return { total, records: encoded };
+				} finally {
+					db.close();
+				}
+			},
+			HELPERS,
+		),
+		db,
+		store,
+		limit,
+		offset,
+	);
+}
+
+/**
+ * Everything the origin stores: { origin, url, created, localStorage,
+ * sessionStorage, indexedDB }, suitable for restoreStorage().
+ */
+export function snapshotStorage(page) {
+	return page.evaluate(
+		inPage(
+			async () => ({
+				origin: location.origin,
+				url: location.href,
+				created: new Date().toISOString(),
+				localStorage: Object.fromEntries(storageEntries(localStorage).map(({ key, value }) => [key, value])),
+				sessionStorage: Object.fromEntries(storageEntries(sessionStorage).map(({ key, value }) => [key, value])),
+				indexedDB: await readDatabases(true),
+			}),
+			HELPERS,
+		),
+	);
+}
+
+/**
+ * Replace the origin's storage with a snapshot: web storage is cleared and
+ * refilled, and each snapshotted IndexedDB database is deleted and recreated.
+ * Databases not in the snapshot are left alone. Throws if a database can't
+ * be deleted because the page keeps it open.
+ */
+export function restoreStorage(page, snapshot) {
+	return page.evaluate(
+		inPage(async (snapshot) => {
+			for (const name of ["localStorage", "sessionStorage"]) {
+				window[name].clear();
+				for (const [key, value] of Object.entries(snapshot[name] ?? {})) window[name].setItem(key, value);
+			}
+
+			let records = 0;
+			for (const database of snapshot.indexedDB ?? []) {
+				await new Promise((resolve, reject) => {
+					const request = indexedDB.deleteDatabase(database.name);
+					request.onsuccess = resolve;
+					request.onerror = () => reject(request.error);
+					request.onblocked = () =>
+						setTimeout(() => reject(new Error(`Database "${database.name}" is held open by the page; reload it or close other tabs of this origin and retry`)), 3000);
+				});
+
+				const open = indexedDB.open(database.name, database.version);
+				open.onupgradeneeded = () => {
+					for (const store of database.stores) {
+						const objectStore = open.result.createObjectStore(store.name, {
+							keyPath: store.keyPath ?? undefined,
+							autoIncrement: store.autoIncrement,
+						});
+						for (const index of store.indexes) {
+							objectStore.createIndex(index.name, index.keyPath, { unique: index.unique, multiEntry: index.multiEntry });
+						}
+					}
+				};
+				const db = await idbRequest(open);
+				for (const store of database.stores) {
+					if (!store.records?.length) continue;
+					const tx = db.transaction(store.name, "readwrite");
+					const objectStore = tx.objectStore(store.name);
+					for (const record of store.records) {
+						const value = decodeValue(record.value);
+						if (store.keyPath !== null) objectStore.put(value);
+						else objectStore.put(value, decodeValue(record.key));
+						records++;
+					}
+					await new Promise((resolve, reject) => {
+						tx.oncomplete = resolve;
+						tx.onerror = () => reject(tx.error);
+					});
+				}
+				db.close();
+			}
+			return {
+				localStorage: Object.keys(snapshot.localStorage ?? {}).length,
+				sessionStorage: Object.keys(snapshot.sessionStorage ?? {}).length,
+				databases: (snapshot.indexedDB ?? []).length,
+				records,
+			};
+		}, HELPERS),
+		snapshot,
+	);
+}
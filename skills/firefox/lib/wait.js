@@ -0,0 +1,202 @@
+import { inPage } from "./dom.js";
+import { fail } from "./output.js";
+
+/**
+ * Options for scripts that can wait for the page to be ready after acting
+ * (nav, content, screenshot). Each --wait-for is a condition spec, see
+ * parseCondition().
+ */
+export const WAIT_OPTIONS = {
+	"wait-for": { type: "string", multiple: true },
+	"wait-timeout": { type: "string" },
+};
+
+export const WAIT_USAGE = `
+Wait conditions (--wait-for, repeatable, all must hold):
+  selector:<css>       Element is visible (a bare value is treated as a selector)
+  gone:<css>           No matching element is visible
+  text:<text>          Page text contains <text>
+  url:<pattern>        URL contains <pattern>, or matches /regex/
+  idle[:<ms>]          No network requests for <ms> (default 500)
+  js:<expression>      JavaScript expression is truthy
+  --wait-timeout <ms>  Total time to wait (default 30000)`;
+
+const KINDS = ["selector", "gone", "text", "url", "idle", "js"];
+
+/**
+ * A positive number of milliseconds from `value` (an option or spec part).
+ * Throws naming `what` if it isn't one.
+ */
+export function milliseconds(value, what) {
+	const ms = Number(value);
+	if (!Number.isFinite(ms) || ms <= 0) throw new Error(`Invalid ${what} "${value}" (expected a positive number of milliseconds)`);
+	return ms;
+}
+
+/**
+ * Parse a condition spec like "text:Welcome" into { kind, value }. Throws
+ * on an invalid idle time.
+ */
+export function parseCondition(spec) {
+	const m = spec.match(/^([a-z]+)(?::([\s\S]*))?$/);
+	if (m && KINDS.includes(m[1])) {
+		const [, kind, value = ""] = m;
+		if (kind === "idle") return { kind, value: value ? milliseconds(value, "idle time") : 500 };
+		return { kind, value };
+	}
+	return { kind: "selector", value: spec };
+}
+
+export function describeCondition({ kind, value }) {
+	switch (kind) {
+		case "selector":
+			return `selector "${value}" to be visible`;
+		case "gone":
+			return `selector "${value}" to disappear`;
+		case "text":
+			return `text "${value}"`;
+		case "url":
+			return `URL matching ${value}`;
+		case "idle":
+			return `network idle for ${value}ms`;
+		case "js":
+			return `\`${value}\` to be truthy`;
+	}
+}
+
+/**
+ * Whether `url` contains `pattern`, or matches it when written as /regex/flags.
+ */
+export function urlMatches(url, pattern) {
+	const re = pattern.match(/^\/(.+)\/([dgimsuvy]*)$/);
+	return re ? new RegExp(re[1], re[2]).test(url) : url.includes(pattern);
+}
+
+// Count visible matches of a selector across all frames and open shadow roots
+async function countVisible(page, selector) {
+	let total = 0;
+	for (const frame of page.frames()) {
+		total += await frame
+			.evaluate(inPage((s) => deepQuerySelectorAll(s).filter(isVisible).length), selector)
+			.catch((e) => {
+				if (/SyntaxError|not a valid selector/i.test(e.message)) throw e;
+				return 0;
+			});
+	}
+	return total;
+}
+
+async function hasText(page, text) {
+	for (const frame of page.frames()) {
+		const found = await frame
+			.evaluate((t) => document.body?.innerText.includes(t) ?? false, text)
+			.catch(() => false);
+		if (found) return true;
+	}
+	return false;
+}
+
+async function check(page, { kind, value }) {
+	switch (kind) {
+		case "selector":
+			return (await countVisible(page, value)) > 0;
+		case "gone":
+			return (await countVisible(page, value)) === 0;
+		case "text":
+			return hasText(page, value);
+		case "url":
+			return urlMatches(page.url(), value);
+	}
+}
+
+function timeoutError(condition, timeout) {
+	const error = new Error(`Timed out after ${timeout}ms waiting for ${describeCondition(condition)}`);
+	error.name = "TimeoutError";
+	return error;
+}
+
+/**
+ * Wait until `condition` holds on the page. Throws a TimeoutError naming the
+ * condition if it doesn't within `timeout` ms.
+ */
+export async function waitFor(page, condition, { timeout = 30000 } = {}) {
+	const deadline = Date.now() + timeout;
+
+	if (condition.kind === "idle") {
+		await page.waitForNetworkIdle({ idleTime: condition.value, timeout }).catch((e) => {
+			throw e.name === "TimeoutError" ? timeoutError(condition, timeout) : e;
+		});
+		return;
+	}
+
+	if (condition.kind === "js") {
+		await page.waitForFunction(condition.value, { polling: 100, timeout }).catch((e) => {
+			throw e.name === "TimeoutError" ? timeoutError(condition, timeout) : e;
+		});
+		return;
+	}
+
+	for (;;) {
+		// Frames can be torn down mid-check during navigation; treat that as "not yet"
+		const ok = await check(page, condition).catch((e) => {
+			if (/SyntaxError|not a valid selector/i.test(e.message)) throw e;
+			return false;
+		});
+		if (ok) return;
+		if (Date.now() > deadline) throw timeoutError(condition, timeout);
+		await new Promise((r) => setTimeout(r, 100));
+	}
+}
+
+/**
+ * Wait for each condition in turn, sharing one `timeout` budget.
+ * Returns [{ condition, ms }] with how long each took.
+ */
+export async function waitForAll(page, conditions, { timeout = 30000 } = {}) {
+	const start = Date.now();
+	const waited = [];
+	for (const condition of conditions) {
+		const before = Date.now();
+		// puppeteer treats a 0 timeout as "no timeout", so keep at least 1ms
+		const remaining = Math.max(1, timeout - (before - start));
+		try {
+			await waitFor(page, condition, { timeout: remaining });
+		} catch (e) {
+			if (e.name === "TimeoutError") throw timeoutError(condition, timeout);
+			throw e;
+		}
+		waited.push({ condition: describeCondition(condition), ms: Date.now() - before });
+	}
+	return waited;
+}
+
+/**
+ * Conditions and timeout from parsed WAIT_OPTIONS. Exits with a usage error
+ * on invalid values.
+ */
+export function waitFromArgs(values) {
+	try {
+		return {
+			conditions: (values["wait-for"] || []).map(parseCondition),
+			timeout: values["wait-timeout"] !== undefined ? milliseconds(values["wait-timeout"], "--wait-timeout") : undefined,
+		};
+	} catch (e) {
+		fail(e.message, { code: "USAGE" });
+	}
+}
+
+/**
+ * Navigate to `url` and wait for the conditions from waitFromArgs, or
+ * without any, for the network to go idle (at most 15s).
+ */
+export async function loadAndWait(page, url, { conditions = [], timeout } = {}) {
+	if (conditions.length) {
+		await page.goto(url, { waitUntil: "domcontentloaded" });
+		return waitForAll(page, conditions, { timeout });
+	}
+	await Promise.race([
+		page.goto(url, { waitUntil: "networkidle2" }),
+		new Promise((r) => setTimeout(r, 15000)),
+	]).catch(() => {});
+	return [];
+}